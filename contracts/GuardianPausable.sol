@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.13;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+
+abstract contract GuardianPausable is Ownable, Pausable {
+    address private _guardian;
+
+    event GuardianUpdated(address indexed prevGuardian, address indexed newGuardian);
+
+    /**
+     * @dev Constructor that initializes the contract (and sets the deployer as the guardian).
+     */
+    constructor() {
+        _setGuardian(msg.sender);
+    }
+
+    /**
+     * @dev Verifies that the caller is the guardian.
+     */
+    modifier onlyGuardian() {
+        require(msg.sender == _guardian, "ACCESS_DENIED");
+
+        _;
+    }
+
+    /**
+     * @dev Returns the guardian, which is allowed to pause and unpause the contract.
+     */
+    function getGuardian() external view returns (address) {
+        return _guardian;
+    }
+
+    /**
+     * @dev Admin-only update of the guardian.
+     */
+    function setGuardian(address newGuardian) external onlyOwner {
+        require(newGuardian != address(0), "INVALID_ADDRESS");
+
+        _setGuardian(newGuardian);
+    }
+
+    /**
+     * @dev Guardian-only pause of new activity.
+     */
+    function pause() external onlyGuardian {
+        _pause();
+    }
+
+    /**
+     * @dev Guardian-only resumption of new activity.
+     */
+    function unpause() external onlyGuardian {
+        _unpause();
+    }
+
+    /**
+     * @dev Sets the guardian.
+     */
+    function _setGuardian(address newGuardian) private {
+        emit GuardianUpdated(_guardian, newGuardian);
+
+        _guardian = newGuardian;
+    }
+}
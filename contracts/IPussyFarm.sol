@@ -5,11 +5,20 @@ import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 
 interface IPussyFarm {
     event Staked(address indexed account, uint256 amount);
     event Withdrawn(address indexed account, uint256 amount);
     event Claimed(address indexed account, uint256 reward);
+    event EmergencyWithdrawn(address indexed account, uint256 amount);
+    event ProgramUpdated(uint256 endTime, uint256 rewardRate);
+    event RewardTokenAdded(IERC20 indexed rewardToken, uint256 startTime, uint256 endTime, uint256 rewardRate);
+    event RewardTokenClaimed(address indexed account, IERC20 indexed rewardToken, uint256 reward);
+    event RewardRecipientUpdated(address indexed account, address indexed recipient);
+    event BoostUpdated(IERC721 indexed boostToken, uint32 multiplier);
+    event BoostDeposited(address indexed account, uint256 tokenId, uint32 multiplier);
+    event BoostWithdrawn(address indexed account, uint256 tokenId);
 
     function getProgram()
         external
@@ -25,17 +34,67 @@ interface IPussyFarm {
 
     function getRewardToken() external view returns (IERC20);
 
+    function getRewardTokens() external view returns (IERC20[] memory);
+
+    function isLocking() external view returns (bool);
+
+    function getRewardTokenProgram(IERC20 rewardToken)
+        external
+        view
+        returns (
+            uint256,
+            uint256,
+            uint256,
+            uint256
+        );
+
     function getStake(address account) external view returns (uint256);
 
     function getClaimed(address account) external view returns (uint256);
 
     function getTotalStaked() external view returns (uint256);
 
+    function getWeight(address account) external view returns (uint256);
+
+    function getTotalWeight() external view returns (uint256);
+
+    function getRewardShortfall() external view returns (uint256);
+
+    function getRewardTokenShortfall(IERC20 rewardToken) external view returns (uint256);
+
+    function getRewardRecipient(address account) external view returns (address);
+
+    function getBoostSettings() external view returns (IERC721, uint32);
+
+    function getBoost(address account) external view returns (uint256, uint32);
+
+    function setRewardRecipient(address recipient) external;
+
     function stake(uint256 amount) external;
 
+    function stakeFor(address account, uint256 amount) external;
+
+    function stakeWithPermit(
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+
     function withdraw(uint256 amount) external;
 
+    function emergencyWithdraw() external;
+
     function getPendingRewards(address account) external view returns (uint256);
 
+    function getPendingTokenRewards(address account, IERC20 rewardToken) external view returns (uint256);
+
     function claim() external returns (uint256);
+
+    function claimTo(address recipient) external returns (uint256);
+
+    function depositBoost(uint256 tokenId) external;
+
+    function withdrawBoost() external;
 }
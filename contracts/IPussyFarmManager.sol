@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.13;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+interface IPussyFarmManager {
+    event PoolAdded(
+        uint256 indexed poolId,
+        IERC20 indexed stakeToken,
+        IERC20 indexed rewardToken,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 rewardRate
+    );
+    event Staked(uint256 indexed poolId, address indexed account, uint256 amount);
+    event Withdrawn(uint256 indexed poolId, address indexed account, uint256 amount);
+    event Claimed(uint256 indexed poolId, address indexed account, uint256 reward);
+    event EmergencyWithdrawn(uint256 indexed poolId, address indexed account, uint256 amount);
+
+    function getPoolIds() external view returns (uint256[] memory);
+
+    function getPool(uint256 poolId)
+        external
+        view
+        returns (
+            IERC20,
+            IERC20,
+            uint256,
+            uint256,
+            uint256,
+            uint256
+        );
+
+    function getStake(uint256 poolId, address account) external view returns (uint256);
+
+    function getClaimed(uint256 poolId, address account) external view returns (uint256);
+
+    function getTotalStaked(uint256 poolId) external view returns (uint256);
+
+    function stake(uint256 poolId, uint256 amount) external;
+
+    function withdraw(uint256 poolId, uint256 amount) external;
+
+    function emergencyWithdraw(uint256 poolId) external;
+
+    function getPendingRewards(uint256 poolId, address account) external view returns (uint256);
+
+    function claim(uint256 poolId) external returns (uint256);
+
+    function claimAll() external;
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.13;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+import "./IPussyFarm.sol";
+
+interface IPussyVault is IERC20 {
+    event Deposited(address indexed account, uint256 amount, uint256 shares);
+    event Redeemed(address indexed account, uint256 shares, uint256 amount);
+    event Harvested(address indexed caller, uint256 reward, uint256 bounty);
+    event HarvestBountyUpdated(uint32 prevHarvestBounty, uint32 newHarvestBounty);
+    event RewardTokenClaimed(address indexed account, IERC20 indexed rewardToken, uint256 reward);
+    event EmergencyExited(uint256 amount);
+
+    function getFarm() external view returns (IPussyFarm);
+
+    function getToken() external view returns (IERC20);
+
+    function getHarvestBounty() external view returns (uint32);
+
+    function getTotalAssets() external view returns (uint256);
+
+    function pricePerShare() external view returns (uint256);
+
+    function getPendingTokenRewards(address account, IERC20 rewardToken) external view returns (uint256);
+
+    function isEmergencyExited() external view returns (bool);
+
+    function deposit(uint256 amount) external returns (uint256);
+
+    function redeem(uint256 shares) external returns (uint256);
+
+    function harvest() external returns (uint256);
+
+    function claimRewards() external;
+}
@@ -1,33 +1,55 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.13;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
 
 import "./IPussyFarm.sol";
+import "./GuardianPausable.sol";
+import "./RewardPrograms.sol";
 
-contract PussyFarm is IPussyFarm, Ownable {
+contract PussyFarm is IPussyFarm, GuardianPausable {
     using Math for uint256;
     using SafeERC20 for IERC20;
+    using RewardPrograms for RewardPrograms.RewardProgram;
 
-    uint256 private constant RATE_FACTOR = 1e18;
+    uint256 private constant MAX_REWARD_TOKENS = 5;
+    uint32 private constant PPM_RESOLUTION = 1_000_000;
+    uint32 private constant MAX_BOOST_MULTIPLIER = 3_000_000;
+
+    // the primary reward program (the one the farm was created with) is always the first one
+    uint256 private constant PRIMARY_PROGRAM = 0;
+
+    struct Boost {
+        uint256 tokenId;
+        uint32 multiplier; // the multiplier at the time of the deposit (0 means that there is no boost)
+    }
 
     IERC20 internal immutable _stakeToken;
-    IERC20 internal immutable _rewardToken;
-    uint256 internal immutable _startTime;
-    uint256 internal immutable _endTime;
-    uint256 private immutable _rewardRate;
 
     mapping(address => uint256) internal _stakes;
     uint256 internal _totalStaked;
 
-    uint256 private _lastUpdateTime;
-    uint256 private _rewardPerTokenStored;
-    mapping(address => uint256) private _stakerRewardPerTokenPaid;
-    mapping(address => uint256) private _rewards;
-    mapping(address => uint256) private _claimed;
+    // the effective (possibly boosted) stakes, which are used for distributing the rewards
+    mapping(address => uint256) internal _weights;
+    uint256 internal _totalWeight;
+
+    // the effective stakes before applying the NFT boosts
+    mapping(address => uint256) internal _baseWeights;
+
+    IERC721 private _boostToken;
+    uint32 private _boostMultiplier;
+    uint256 private _totalBoosts;
+    mapping(address => Boost) private _boosts;
+
+    RewardPrograms.RewardProgram[] private _programs;
+    mapping(IERC20 => uint256) private _programIds;
+    mapping(uint256 => mapping(address => uint256)) private _stakerRewardPerTokenPaid;
+    mapping(uint256 => mapping(address => uint256)) private _rewards;
+    mapping(uint256 => mapping(address => uint256)) private _claimed;
+    mapping(address => address) private _rewardRecipients;
 
     /**
      * @dev Constructor that initializes the contract.
@@ -39,26 +61,24 @@ contract PussyFarm is IPussyFarm, Ownable {
         uint256 endTime,
         uint256 rewardRate
     ) {
-        require(address(stakeToken) != address(0) && address(rewardToken) != address(0), "INVALID_ADDRESS");
-        require(startTime < endTime && endTime > _time(), "INVALID_DURATION");
-        require(rewardRate > 0, "INVALID_VALUE");
+        require(address(stakeToken) != address(0), "INVALID_ADDRESS");
 
         _stakeToken = stakeToken;
-        _rewardToken = rewardToken;
-        _startTime = startTime;
-        _endTime = endTime;
-        _rewardRate = rewardRate;
+
+        _addProgram(rewardToken, startTime, endTime, rewardRate);
     }
 
     /**
-     * @dev Updates msg.sender's pending rewards and rate.
+     * @dev Updates account's pending rewards and rate.
      */
-    modifier updateReward() {
-        _rewardPerTokenStored = _rewardPerToken();
-        _lastUpdateTime = Math.min(_time(), _endTime);
+    modifier updateReward(address account) {
+        uint256 length = _programs.length;
+        for (uint256 id = 0; id < length; id++) {
+            _updateRewardPerToken(id);
 
-        _rewards[msg.sender] = _pendingRewards(msg.sender);
-        _stakerRewardPerTokenPaid[msg.sender] = _rewardPerTokenStored;
+            _rewards[id][account] = _pendingRewards(id, account);
+            _stakerRewardPerTokenPaid[id][account] = _programs[id].rewardPerTokenStored;
+        }
 
         _;
     }
@@ -77,7 +97,24 @@ contract PussyFarm is IPussyFarm, Ownable {
             uint256
         )
     {
-        return (_startTime, _endTime, _rewardRate, (_endTime - _startTime) * _rewardRate);
+        return _getProgram(PRIMARY_PROGRAM);
+    }
+
+    /**
+     * @dev Returns the parameters of the reward program of a given reward token.
+     */
+    function getRewardTokenProgram(IERC20 rewardToken)
+        external
+        view
+        override
+        returns (
+            uint256,
+            uint256,
+            uint256,
+            uint256
+        )
+    {
+        return _getProgram(_programId(rewardToken));
     }
 
     /**
@@ -91,7 +128,27 @@ contract PussyFarm is IPussyFarm, Ownable {
      * @dev Returns the reward token.
      */
     function getRewardToken() external view override returns (IERC20) {
-        return _rewardToken;
+        return _programs[PRIMARY_PROGRAM].rewardToken;
+    }
+
+    /**
+     * @dev Returns all the reward tokens (starting with the primary reward token).
+     */
+    function getRewardTokens() external view override returns (IERC20[] memory) {
+        uint256 length = _programs.length;
+        IERC20[] memory rewardTokens = new IERC20[](length);
+        for (uint256 id = 0; id < length; id++) {
+            rewardTokens[id] = _programs[id].rewardToken;
+        }
+
+        return rewardTokens;
+    }
+
+    /**
+     * @dev Returns whether the farm locks the stakes (i.e., they can't be withdrawn at any time).
+     */
+    function isLocking() external pure virtual override returns (bool) {
+        return false;
     }
 
     /**
@@ -105,7 +162,7 @@ contract PussyFarm is IPussyFarm, Ownable {
      * @dev Returns the total claimed rewards amount for a given account.
      */
     function getClaimed(address account) external view override returns (uint256) {
-        return _claimed[account];
+        return _claimed[PRIMARY_PROGRAM][account];
     }
 
     /**
@@ -115,104 +172,595 @@ contract PussyFarm is IPussyFarm, Ownable {
         return _totalStaked;
     }
 
+    /**
+     * @dev Returns the current effective stake of a given account.
+     */
+    function getWeight(address account) external view override returns (uint256) {
+        return _weights[account];
+    }
+
+    /**
+     * @dev Returns the total effective stake in the contract.
+     */
+    function getTotalWeight() external view override returns (uint256) {
+        return _totalWeight;
+    }
+
+    /**
+     * @dev Returns the NFT which can be deposited in order to boost the effective stake and the boost multiplier (in
+     * PPM) of new deposits.
+     */
+    function getBoostSettings() external view override returns (IERC721, uint32) {
+        return (_boostToken, _boostMultiplier);
+    }
+
+    /**
+     * @dev Returns the deposited NFT and the boost multiplier (in PPM) of a given account (or 0, if it isn't boosted).
+     */
+    function getBoost(address account) external view override returns (uint256, uint32) {
+        Boost memory boost = _boosts[account];
+
+        return (boost.tokenId, boost.multiplier);
+    }
+
+    /**
+     * @dev Returns the amount of reward tokens missing in order to cover all the unclaimed program rewards.
+     */
+    function getRewardShortfall() external view override returns (uint256) {
+        return _rewardShortfall(PRIMARY_PROGRAM);
+    }
+
+    /**
+     * @dev Returns the amount of tokens missing in order to cover all the unclaimed rewards of a given reward token.
+     */
+    function getRewardTokenShortfall(IERC20 rewardToken) external view override returns (uint256) {
+        return _rewardShortfall(_programId(rewardToken));
+    }
+
+    /**
+     * @dev Admin-only registration of an additional reward token, with its own reward program, while transferring all
+     * of its rewards from msg.sender, so that it can't be registered with a shortfall (which would block staking).
+     */
+    function addRewardToken(
+        IERC20 rewardToken,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 rewardRate
+    ) external onlyOwner {
+        require(_programs.length < MAX_REWARD_TOKENS, "TOO_MANY_REWARD_TOKENS");
+        require(startTime >= _time(), "INVALID_DURATION");
+
+        _addProgram(rewardToken, startTime, endTime, rewardRate);
+
+        rewardToken.safeTransferFrom(msg.sender, address(this), _programs[_programs.length - 1].totalRewards);
+
+        emit RewardTokenAdded(rewardToken, startTime, endTime, rewardRate);
+    }
+
+    /**
+     * @dev Admin-only update of the boost NFT and of the boost multiplier (in PPM) of new deposits. Please note that
+     * the NFT can't be replaced while there are deposited boosts, and that existing boosts keep their multipliers.
+     */
+    function setBoost(IERC721 boostToken, uint32 multiplier) external onlyOwner {
+        require(address(boostToken) != address(0), "INVALID_ADDRESS");
+        require(boostToken == _boostToken || _totalBoosts == 0, "BOOSTS_ACTIVE");
+        require(multiplier >= PPM_RESOLUTION && multiplier <= MAX_BOOST_MULTIPLIER, "INVALID_VALUE");
+
+        _boostToken = boostToken;
+        _boostMultiplier = multiplier;
+
+        emit BoostUpdated(boostToken, multiplier);
+    }
+
+    /**
+     * @dev Deposits an NFT (transferred from msg.sender) which boosts the effective stake of msg.sender by the current
+     * boost multiplier. The NFT is locked until it's withdrawn or until the whole stake is withdrawn.
+     */
+    function depositBoost(uint256 tokenId) external override whenNotPaused updateReward(msg.sender) {
+        require(address(_boostToken) != address(0), "BOOST_DISABLED");
+        require(_boosts[msg.sender].multiplier == 0, "ALREADY_BOOSTED");
+
+        _boosts[msg.sender] = Boost({ tokenId: tokenId, multiplier: _boostMultiplier });
+        _totalBoosts++;
+
+        _updateWeight(msg.sender);
+
+        _boostToken.transferFrom(msg.sender, address(this), tokenId);
+
+        emit BoostDeposited(msg.sender, tokenId, _boostMultiplier);
+    }
+
+    /**
+     * @dev Withdraws the boost NFT of msg.sender.
+     */
+    function withdrawBoost() external override updateReward(msg.sender) {
+        require(_boosts[msg.sender].multiplier != 0, "NOT_BOOSTED");
+
+        _withdrawBoost(msg.sender);
+    }
+
+    /**
+     * @dev Returns the recipient of the rewards of a given account.
+     */
+    function getRewardRecipient(address account) external view override returns (address) {
+        return _rewardRecipient(account);
+    }
+
+    /**
+     * @dev Sets the recipient of msg.sender's rewards (or resets it to msg.sender, if the zero address is provided).
+     */
+    function setRewardRecipient(address recipient) external override {
+        _rewardRecipients[msg.sender] = recipient;
+
+        emit RewardRecipientUpdated(msg.sender, _rewardRecipient(msg.sender));
+    }
+
     /**
      * @dev Stakes the specified token amount into the contract.
      */
-    function stake(uint256 amount) public virtual override updateReward {
-        require(amount > 0, "INVALID_AMOUNT");
+    function stake(uint256 amount) public virtual override {
+        _stake(msg.sender, amount);
+    }
 
-        _stakes[msg.sender] += amount;
-        _totalStaked += amount;
+    /**
+     * @dev Stakes the specified token amount (transferred from msg.sender) into the contract, on behalf of a given
+     * account.
+     */
+    function stakeFor(address account, uint256 amount) public virtual override {
+        require(account != address(0), "INVALID_ADDRESS");
 
-        _stakeToken.safeTransferFrom(msg.sender, address(this), amount);
+        _stake(account, amount);
+    }
 
-        emit Staked(msg.sender, amount);
+    /**
+     * @dev Stakes the specified token amount into the contract, while approving the transfer via an EIP-2612 permit
+     * signature.
+     */
+    function stakeWithPermit(
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public virtual override {
+        // the permit might have already been submitted by someone else (e.g., by front-running this transaction), in
+        // which case the transfer relies on the existing allowance
+        try IERC20Permit(address(_stakeToken)).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+
+        _stake(msg.sender, amount);
     }
 
     /**
      * @dev Unstakes the specified token amount from the contract.
      */
-    function withdraw(uint256 amount) public virtual override updateReward {
+    function withdraw(uint256 amount) public virtual override updateReward(msg.sender) {
         require(amount > 0, "INVALID_AMOUNT");
 
-        claim();
+        _claimRewards(msg.sender, _rewardRecipient(msg.sender));
 
-        _stakes[msg.sender] -= amount;
-        _totalStaked -= amount;
+        _unstake(msg.sender, amount, _releaseStake(msg.sender, amount));
 
         _stakeToken.safeTransfer(msg.sender, amount);
 
         emit Withdrawn(msg.sender, amount);
     }
 
+    /**
+     * @dev Unstakes the whole stake of msg.sender without claiming any rewards. Please note that all the pending
+     * rewards are forfeited.
+     */
+    function emergencyWithdraw() public virtual override updateReward(msg.sender) {
+        uint256 amount = _stakes[msg.sender];
+        require(amount > 0, "INVALID_AMOUNT");
+
+        _forfeitRewards(msg.sender, false);
+
+        _unstake(msg.sender, amount, _baseWeights[msg.sender]);
+
+        _stakeToken.safeTransfer(msg.sender, amount);
+
+        emit EmergencyWithdrawn(msg.sender, amount);
+    }
+
     /**
      * @dev Returns the pending rewards for a given account.
      */
     function getPendingRewards(address account) external view override returns (uint256) {
-        return _pendingRewards(account);
+        return _pendingRewards(PRIMARY_PROGRAM, account);
     }
 
     /**
-     * @dev Claims pending rewards and sends them to the owner.
+     * @dev Returns the pending rewards of a given reward token for a given account.
      */
-    function claim() public virtual override updateReward returns (uint256) {
-        uint256 reward = _pendingRewards(msg.sender);
+    function getPendingTokenRewards(address account, IERC20 rewardToken) external view override returns (uint256) {
+        return _pendingRewards(_programId(rewardToken), account);
+    }
+
+    /**
+     * @dev Claims pending rewards (of all the reward tokens) and sends them to the owner (or to the reward recipient,
+     * if set). Returns the claimed amount of the primary reward token.
+     */
+    function claim() public virtual override updateReward(msg.sender) returns (uint256) {
+        return _claimRewards(msg.sender, _rewardRecipient(msg.sender));
+    }
+
+    /**
+     * @dev Claims pending rewards (of all the reward tokens) and sends them to a given recipient. Returns the claimed
+     * amount of the primary reward token.
+     */
+    function claimTo(address recipient) public virtual override updateReward(msg.sender) returns (uint256) {
+        require(recipient != address(0), "INVALID_ADDRESS");
+
+        return _claimRewards(msg.sender, recipient);
+    }
+
+    /**
+     * @dev Admin-only extension of the program's end time.
+     */
+    function extendProgram(uint256 newEndTime) external onlyOwner {
+        RewardPrograms.RewardProgram storage program = _programs[PRIMARY_PROGRAM];
+
+        require(_time() < program.endTime, "PROGRAM_ENDED");
+        require(newEndTime > program.endTime, "INVALID_DURATION");
+
+        // Checkpoint the rewards accrued so far before changing the schedule
+        _updateRewardPerToken(PRIMARY_PROGRAM);
+
+        program.totalRewards += (newEndTime - program.endTime) * program.rewardRate;
+        program.endTime = newEndTime;
+
+        emit ProgramUpdated(newEndTime, program.rewardRate);
+    }
+
+    /**
+     * @dev Admin-only update of the program's reward rate (affects only future rewards).
+     */
+    function setRewardRate(uint256 newRewardRate) external onlyOwner {
+        RewardPrograms.RewardProgram storage program = _programs[PRIMARY_PROGRAM];
+
+        require(_time() < program.endTime, "PROGRAM_ENDED");
+        require(newRewardRate > 0, "INVALID_VALUE");
+
+        // Checkpoint the rewards accrued so far, using the previous rate
+        _updateRewardPerToken(PRIMARY_PROGRAM);
+
+        uint256 remainingTime = program.endTime - Math.max(_time(), program.startTime);
+        program.totalRewards =
+            program.totalRewards -
+            remainingTime *
+            program.rewardRate +
+            remainingTime *
+            newRewardRate;
+        program.rewardRate = newRewardRate;
+
+        emit ProgramUpdated(program.endTime, newRewardRate);
+    }
+
+    /**
+     * @dev Admin-only emergency transfer of contract owned funds. Please note that community funds and unclaimed
+     * program rewards are excluded.
+     */
+    function withdrawTokens(IERC20 token, uint256 amount) external onlyOwner {
+        uint256 balance = token.balanceOf(address(this));
+        uint256 requiredBalance = _requiredBalance(token);
+
+        require(balance >= requiredBalance && amount <= balance - requiredBalance, "INVALID_AMOUNT");
+
+        token.safeTransfer(msg.sender, amount);
+    }
+
+    /**
+     * @dev Stakes the specified token amount (transferred from msg.sender) on behalf of a given account.
+     */
+    function _stake(address account, uint256 amount) internal virtual {
+        _stakeWeighted(account, amount, amount);
+    }
+
+    /**
+     * @dev Stakes the specified token amount (transferred from msg.sender) on behalf of a given account, with the
+     * given effective stake.
+     */
+    function _stakeWeighted(
+        address account,
+        uint256 amount,
+        uint256 weight
+    ) internal whenNotPaused updateReward(account) {
+        require(amount > 0, "INVALID_AMOUNT");
+
+        uint256 length = _programs.length;
+        for (uint256 id = 0; id < length; id++) {
+            require(_rewardShortfall(id) == 0, "INSUFFICIENT_REWARDS");
+        }
+
+        _stakes[account] += amount;
+        _totalStaked += amount;
+        _baseWeights[account] += weight;
+
+        _updateWeight(account);
+
+        _stakeToken.safeTransferFrom(msg.sender, address(this), amount);
+
+        emit Staked(account, amount);
+    }
+
+    /**
+     * @dev Removes the specified token amount and effective stake (before applying the boost) from account's stake.
+     * Please note that the boost NFT is returned once the whole stake is removed.
+     */
+    function _unstake(
+        address account,
+        uint256 amount,
+        uint256 weight
+    ) internal {
+        _stakes[account] -= amount;
+        _totalStaked -= amount;
+        _baseWeights[account] -= weight;
+
+        if (_stakes[account] == 0 && _boosts[account].multiplier != 0) {
+            _withdrawBoost(account);
+        } else {
+            _updateWeight(account);
+        }
+    }
+
+    /**
+     * @dev Forfeits all of account's pending rewards (assumes that the rewards were already updated). The forfeited
+     * rewards are either redistributed to the other current stakers or left for the owner to withdraw.
+     */
+    function _forfeitRewards(address account, bool redistribute) internal {
+        uint256 length = _programs.length;
+        for (uint256 id = 0; id < length; id++) {
+            uint256 reward = _rewards[id][account];
+            if (reward == 0) {
+                continue;
+            }
+
+            _rewards[id][account] = 0;
+
+            if (redistribute) {
+                _distributeRewards(id, reward, account);
+            } else {
+                _programs[id].totalForfeited += reward;
+            }
+        }
+    }
+
+    /**
+     * @dev Distributes the specified amount of stake tokens (which are already held by the contract) to the current
+     * stakers, except for the excluded account, as additional rewards. Please note that the stake token has to be one
+     * of the reward tokens.
+     */
+    function _distributeStakeTokens(uint256 amount, address excludedAccount) internal {
+        uint256 id = _programId(_stakeToken);
+
+        _programs[id].totalRewards += amount;
+
+        _distributeRewards(id, amount, excludedAccount);
+    }
+
+    /**
+     * @dev Releases the specified token amount from account's stake and returns the effective stake that should be
+     * removed along with it.
+     */
+    function _releaseStake(address, uint256 amount) internal virtual returns (uint256) {
+        return amount;
+    }
+
+    /**
+     * @dev Removes account's boost and returns its NFT (assumes that the rewards were already updated).
+     */
+    function _withdrawBoost(address account) private {
+        uint256 tokenId = _boosts[account].tokenId;
+
+        delete _boosts[account];
+        _totalBoosts--;
+
+        _updateWeight(account);
+
+        _boostToken.transferFrom(address(this), account, tokenId);
+
+        emit BoostWithdrawn(account, tokenId);
+    }
+
+    /**
+     * @dev Recalculates account's effective stake by applying its boost (assumes that the rewards were already
+     * updated).
+     */
+    function _updateWeight(address account) internal {
+        uint256 weight = _baseWeights[account];
+
+        uint32 multiplier = _boosts[account].multiplier;
+        if (multiplier != 0) {
+            weight = (weight * multiplier) / PPM_RESOLUTION;
+        }
+
+        _totalWeight = _totalWeight - _weights[account] + weight;
+        _weights[account] = weight;
+    }
+
+    /**
+     * @dev Claims account's pending rewards (of all the reward tokens) and sends them to a given recipient (assumes
+     * that the rewards were already updated).
+     */
+    function _claimRewards(address account, address recipient) private returns (uint256) {
+        uint256 primaryReward = _claim(PRIMARY_PROGRAM, account, recipient);
+        if (primaryReward > 0) {
+            emit Claimed(account, primaryReward);
+        }
+
+        uint256 length = _programs.length;
+        for (uint256 id = PRIMARY_PROGRAM + 1; id < length; id++) {
+            uint256 reward = _claim(id, account, recipient);
+            if (reward > 0) {
+                emit RewardTokenClaimed(account, _programs[id].rewardToken, reward);
+            }
+        }
+
+        return primaryReward;
+    }
+
+    /**
+     * @dev Returns the recipient of the rewards of a given account.
+     */
+    function _rewardRecipient(address account) private view returns (address) {
+        address recipient = _rewardRecipients[account];
+
+        return recipient != address(0) ? recipient : account;
+    }
+
+    /**
+     * @dev Returns the end time of the primary reward program.
+     */
+    function _endTime() internal view returns (uint256) {
+        return _programs[PRIMARY_PROGRAM].endTime;
+    }
+
+    /**
+     * @dev Adds a new reward program.
+     */
+    function _addProgram(
+        IERC20 rewardToken,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 rewardRate
+    ) private {
+        require(address(rewardToken) != address(0), "INVALID_ADDRESS");
+        require(startTime < endTime && endTime > _time(), "INVALID_DURATION");
+        require(rewardRate > 0, "INVALID_VALUE");
+        require(_programIds[rewardToken] == 0, "ALREADY_EXISTS");
+
+        _programs.push(
+            RewardPrograms.RewardProgram({
+                rewardToken: rewardToken,
+                startTime: startTime,
+                endTime: endTime,
+                rewardRate: rewardRate,
+                totalRewards: (endTime - startTime) * rewardRate,
+                totalClaimed: 0,
+                totalForfeited: 0,
+                lastUpdateTime: 0,
+                rewardPerTokenStored: 0
+            })
+        );
+
+        // program IDs are stored 1-based, so that 0 can denote a non-existing program
+        _programIds[rewardToken] = _programs.length;
+    }
+
+    /**
+     * @dev Returns the ID of the reward program of a given reward token.
+     */
+    function _programId(IERC20 rewardToken) private view returns (uint256) {
+        uint256 id = _programIds[rewardToken];
+        require(id != 0, "INVALID_REWARD_TOKEN");
+
+        return id - 1;
+    }
+
+    /**
+     * @dev Returns the parameters of a given reward program.
+     */
+    function _getProgram(uint256 id)
+        private
+        view
+        returns (
+            uint256,
+            uint256,
+            uint256,
+            uint256
+        )
+    {
+        RewardPrograms.RewardProgram storage program = _programs[id];
+
+        return (program.startTime, program.endTime, program.rewardRate, program.totalRewards);
+    }
+
+    /**
+     * @dev Claims account's pending rewards of a given reward program and sends them to a given recipient (assumes
+     * that the rewards were already updated).
+     */
+    function _claim(
+        uint256 id,
+        address account,
+        address recipient
+    ) private returns (uint256) {
+        uint256 reward = _rewards[id][account];
         if (reward == 0) {
             return reward;
         }
 
-        _rewards[msg.sender] = 0;
-        _claimed[msg.sender] += reward;
+        RewardPrograms.RewardProgram storage program = _programs[id];
 
-        _rewardToken.safeTransfer(msg.sender, reward);
+        _rewards[id][account] = 0;
+        _claimed[id][account] += reward;
+        program.totalClaimed += reward;
 
-        emit Claimed(msg.sender, reward);
+        program.rewardToken.safeTransfer(recipient, reward);
 
         return reward;
     }
 
     /**
-     * @dev Admin-only emergency transfer of contract owned funds. Please note that community funds are excluded.
+     * @dev Returns the amount of tokens missing in order to cover all the unclaimed rewards of a given program.
      */
-    function withdrawTokens(IERC20 token, uint256 amount) external onlyOwner {
-        require(
-            address(token) != address(_stakeToken) || amount <= token.balanceOf(address(this)) - _totalStaked,
-            "INVALID_AMOUNT"
-        );
+    function _rewardShortfall(uint256 id) private view returns (uint256) {
+        IERC20 rewardToken = _programs[id].rewardToken;
+        uint256 balance = rewardToken.balanceOf(address(this));
+        uint256 requiredBalance = _requiredBalance(rewardToken);
 
-        token.safeTransfer(msg.sender, amount);
+        return requiredBalance > balance ? requiredBalance - balance : 0;
     }
 
     /**
-     * @dev Calculates current reward per-token amount.
+     * @dev Returns the amount of tokens the contract has to hold on behalf of the stakers.
      */
-    function _rewardPerToken() private view returns (uint256) {
-        if (_totalStaked == 0) {
-            return _rewardPerTokenStored;
+    function _requiredBalance(IERC20 token) private view returns (uint256) {
+        uint256 requiredBalance = 0;
+
+        if (token == _stakeToken) {
+            requiredBalance += _totalStaked;
         }
 
-        uint256 currentTime = _time();
-        if (currentTime < _startTime) {
-            return 0;
+        uint256 id = _programIds[token];
+        if (id != 0) {
+            requiredBalance += _programs[id - 1].unclaimed();
         }
 
-        uint256 stakingEndTime = Math.min(currentTime, _endTime);
-        uint256 stakingStartTime = Math.max(_startTime, _lastUpdateTime);
-        if (stakingStartTime == stakingEndTime) {
-            return _rewardPerTokenStored;
+        return requiredBalance;
+    }
+
+    /**
+     * @dev Distributes additional rewards of a given program to the current stakers, except for the excluded account,
+     * or forfeits them if there are none (assumes that the rewards were already updated).
+     */
+    function _distributeRewards(
+        uint256 id,
+        uint256 reward,
+        address excludedAccount
+    ) private {
+        uint256 excludedWeight = _weights[excludedAccount];
+        uint256 rewardPerToken = _programs[id].distribute(reward, _totalWeight - excludedWeight);
+
+        // Skip the distributed rewards for the excluded account, so that it doesn't earn any of them
+        if (excludedWeight > 0) {
+            _stakerRewardPerTokenPaid[id][excludedAccount] += rewardPerToken;
         }
+    }
 
-        return _rewardPerTokenStored + ((stakingEndTime - stakingStartTime) * _rewardRate * RATE_FACTOR) / _totalStaked;
+    /**
+     * @dev Updates the stored reward per-token amount of a given reward program.
+     */
+    function _updateRewardPerToken(uint256 id) private {
+        _programs[id].update(_totalWeight, _time());
     }
 
     /**
-     * @dev Calculates account's pending rewards.
+     * @dev Calculates account's pending rewards of a given reward program.
      */
-    function _pendingRewards(address account) private view returns (uint256) {
+    function _pendingRewards(uint256 id, address account) private view returns (uint256) {
         return
-            (_stakes[account] * (_rewardPerToken() - _stakerRewardPerTokenPaid[account])) /
-            RATE_FACTOR +
-            _rewards[account];
+            _programs[id].earned(_totalWeight, _time(), _weights[account], _stakerRewardPerTokenPaid[id][account]) +
+            _rewards[id][account];
     }
 
     /**
@@ -0,0 +1,325 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.13;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import "./IPussyFarmManager.sol";
+import "./GuardianPausable.sol";
+import "./RewardPrograms.sol";
+
+contract PussyFarmManager is IPussyFarmManager, GuardianPausable {
+    using SafeERC20 for IERC20;
+    using RewardPrograms for RewardPrograms.RewardProgram;
+
+    struct Pool {
+        IERC20 stakeToken;
+        uint256 totalStaked;
+        RewardPrograms.RewardProgram program;
+    }
+
+    uint256[] private _poolIds;
+    mapping(uint256 => Pool) internal _pools;
+
+    mapping(uint256 => mapping(address => uint256)) internal _stakes;
+    mapping(IERC20 => uint256) internal _totalStakedByToken;
+
+    mapping(uint256 => mapping(address => uint256)) private _stakerRewardPerTokenPaid;
+    mapping(uint256 => mapping(address => uint256)) private _rewards;
+    mapping(uint256 => mapping(address => uint256)) private _claimed;
+
+    /**
+     * @dev Verifies that the pool exists.
+     */
+    modifier poolExists(uint256 poolId) {
+        require(address(_pools[poolId].stakeToken) != address(0), "INVALID_POOL");
+
+        _;
+    }
+
+    /**
+     * @dev Updates msg.sender's pending rewards and rate in the given pool.
+     */
+    modifier updateReward(uint256 poolId) {
+        _updateReward(poolId, msg.sender);
+
+        _;
+    }
+
+    /**
+     * @dev Returns the IDs of all the pools.
+     */
+    function getPoolIds() external view override returns (uint256[] memory) {
+        return _poolIds;
+    }
+
+    /**
+     * @dev Returns the parameters of the given pool.
+     */
+    function getPool(uint256 poolId)
+        external
+        view
+        override
+        poolExists(poolId)
+        returns (
+            IERC20,
+            IERC20,
+            uint256,
+            uint256,
+            uint256,
+            uint256
+        )
+    {
+        Pool storage pool = _pools[poolId];
+        RewardPrograms.RewardProgram storage program = pool.program;
+
+        return (
+            pool.stakeToken,
+            program.rewardToken,
+            program.startTime,
+            program.endTime,
+            program.rewardRate,
+            program.totalRewards
+        );
+    }
+
+    /**
+     * @dev Returns the current stake of a given account in the given pool.
+     */
+    function getStake(uint256 poolId, address account) external view override returns (uint256) {
+        return _stakes[poolId][account];
+    }
+
+    /**
+     * @dev Returns the total claimed rewards amount for a given account in the given pool.
+     */
+    function getClaimed(uint256 poolId, address account) external view override returns (uint256) {
+        return _claimed[poolId][account];
+    }
+
+    /**
+     * @dev Returns the total staked tokens in the given pool.
+     */
+    function getTotalStaked(uint256 poolId) external view override returns (uint256) {
+        return _pools[poolId].totalStaked;
+    }
+
+    /**
+     * @dev Adds a new pool with the given ID, while transferring all of its rewards from msg.sender, so that each pool
+     * is always fully funded on its own.
+     */
+    function addPool(
+        uint256 poolId,
+        IERC20 stakeToken,
+        IERC20 rewardToken,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 rewardRate
+    ) external onlyOwner {
+        require(address(stakeToken) != address(0) && address(rewardToken) != address(0), "INVALID_ADDRESS");
+        require(startTime < endTime && endTime > _time(), "INVALID_DURATION");
+        require(rewardRate > 0, "INVALID_VALUE");
+
+        Pool storage pool = _pools[poolId];
+        require(address(pool.stakeToken) == address(0), "ALREADY_EXISTS");
+
+        pool.stakeToken = stakeToken;
+        pool.program = RewardPrograms.RewardProgram({
+            rewardToken: rewardToken,
+            startTime: startTime,
+            endTime: endTime,
+            rewardRate: rewardRate,
+            totalRewards: (endTime - startTime) * rewardRate,
+            totalClaimed: 0,
+            totalForfeited: 0,
+            lastUpdateTime: 0,
+            rewardPerTokenStored: 0
+        });
+
+        _poolIds.push(poolId);
+
+        rewardToken.safeTransferFrom(msg.sender, address(this), pool.program.totalRewards);
+
+        emit PoolAdded(poolId, stakeToken, rewardToken, startTime, endTime, rewardRate);
+    }
+
+    /**
+     * @dev Stakes the specified token amount into the given pool.
+     */
+    function stake(uint256 poolId, uint256 amount)
+        external
+        override
+        whenNotPaused
+        poolExists(poolId)
+        updateReward(poolId)
+    {
+        require(amount > 0, "INVALID_AMOUNT");
+
+        Pool storage pool = _pools[poolId];
+
+        _stakes[poolId][msg.sender] += amount;
+        pool.totalStaked += amount;
+        _totalStakedByToken[pool.stakeToken] += amount;
+
+        pool.stakeToken.safeTransferFrom(msg.sender, address(this), amount);
+
+        emit Staked(poolId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Unstakes the specified token amount from the given pool.
+     */
+    function withdraw(uint256 poolId, uint256 amount) external override poolExists(poolId) updateReward(poolId) {
+        require(amount > 0, "INVALID_AMOUNT");
+
+        _claim(poolId);
+
+        Pool storage pool = _pools[poolId];
+
+        _stakes[poolId][msg.sender] -= amount;
+        pool.totalStaked -= amount;
+        _totalStakedByToken[pool.stakeToken] -= amount;
+
+        pool.stakeToken.safeTransfer(msg.sender, amount);
+
+        emit Withdrawn(poolId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Unstakes the whole stake of msg.sender from the given pool without claiming any rewards. Please note that
+     * all the pending rewards of the pool are forfeited.
+     */
+    function emergencyWithdraw(uint256 poolId) external override poolExists(poolId) updateReward(poolId) {
+        uint256 amount = _stakes[poolId][msg.sender];
+        require(amount > 0, "INVALID_AMOUNT");
+
+        Pool storage pool = _pools[poolId];
+
+        pool.program.totalForfeited += _rewards[poolId][msg.sender];
+        _rewards[poolId][msg.sender] = 0;
+
+        _stakes[poolId][msg.sender] = 0;
+        pool.totalStaked -= amount;
+        _totalStakedByToken[pool.stakeToken] -= amount;
+
+        pool.stakeToken.safeTransfer(msg.sender, amount);
+
+        emit EmergencyWithdrawn(poolId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Returns the pending rewards for a given account in the given pool.
+     */
+    function getPendingRewards(uint256 poolId, address account) external view override returns (uint256) {
+        return _pendingRewards(poolId, account);
+    }
+
+    /**
+     * @dev Claims pending rewards from the given pool and sends them to the owner.
+     */
+    function claim(uint256 poolId) external override poolExists(poolId) updateReward(poolId) returns (uint256) {
+        return _claim(poolId);
+    }
+
+    /**
+     * @dev Claims pending rewards from all the pools and sends them to the owner.
+     */
+    function claimAll() external override {
+        uint256 length = _poolIds.length;
+        for (uint256 i = 0; i < length; i++) {
+            uint256 poolId = _poolIds[i];
+            if (_pendingRewards(poolId, msg.sender) == 0) {
+                continue;
+            }
+
+            _updateReward(poolId, msg.sender);
+            _claim(poolId);
+        }
+    }
+
+    /**
+     * @dev Admin-only emergency transfer of contract owned funds. Please note that community funds and unclaimed pool
+     * rewards are excluded.
+     */
+    function withdrawTokens(IERC20 token, uint256 amount) external onlyOwner {
+        uint256 balance = token.balanceOf(address(this));
+        uint256 requiredBalance = _requiredBalance(token);
+
+        require(balance >= requiredBalance && amount <= balance - requiredBalance, "INVALID_AMOUNT");
+
+        token.safeTransfer(msg.sender, amount);
+    }
+
+    /**
+     * @dev Returns the amount of tokens the contract has to hold on behalf of the stakers of all the pools.
+     */
+    function _requiredBalance(IERC20 token) private view returns (uint256) {
+        uint256 requiredBalance = _totalStakedByToken[token];
+
+        uint256 length = _poolIds.length;
+        for (uint256 i = 0; i < length; i++) {
+            RewardPrograms.RewardProgram storage program = _pools[_poolIds[i]].program;
+            if (program.rewardToken == token) {
+                requiredBalance += program.unclaimed();
+            }
+        }
+
+        return requiredBalance;
+    }
+
+    /**
+     * @dev Updates account's pending rewards and rate in the given pool.
+     */
+    function _updateReward(uint256 poolId, address account) private {
+        Pool storage pool = _pools[poolId];
+
+        pool.program.update(pool.totalStaked, _time());
+
+        _rewards[poolId][account] = _pendingRewards(poolId, account);
+        _stakerRewardPerTokenPaid[poolId][account] = pool.program.rewardPerTokenStored;
+    }
+
+    /**
+     * @dev Claims pending rewards from the given pool (assumes that the rewards were already updated).
+     */
+    function _claim(uint256 poolId) private returns (uint256) {
+        uint256 reward = _rewards[poolId][msg.sender];
+        if (reward == 0) {
+            return reward;
+        }
+
+        RewardPrograms.RewardProgram storage program = _pools[poolId].program;
+
+        _rewards[poolId][msg.sender] = 0;
+        _claimed[poolId][msg.sender] += reward;
+        program.totalClaimed += reward;
+
+        program.rewardToken.safeTransfer(msg.sender, reward);
+
+        emit Claimed(poolId, msg.sender, reward);
+
+        return reward;
+    }
+
+    /**
+     * @dev Calculates account's pending rewards in the given pool.
+     */
+    function _pendingRewards(uint256 poolId, address account) private view returns (uint256) {
+        Pool storage pool = _pools[poolId];
+
+        return
+            pool.program.earned(
+                pool.totalStaked,
+                _time(),
+                _stakes[poolId][account],
+                _stakerRewardPerTokenPaid[poolId][account]
+            ) + _rewards[poolId][account];
+    }
+
+    /**
+     * @dev Returns the current time (and used for testing).
+     */
+    function _time() internal view virtual returns (uint256) {
+        return block.timestamp;
+    }
+}
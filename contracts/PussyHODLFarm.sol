@@ -4,7 +4,47 @@ pragma solidity 0.8.13;
 import "./PussyFarm.sol";
 
 contract PussyHODLFarm is PussyFarm {
-    mapping(address => uint256) private _stakeTimes;
+    using SafeERC20 for IERC20;
+
+    uint32 private constant PPM_RESOLUTION = 1_000_000;
+    uint32 private constant MAX_MULTIPLIER = 5 * PPM_RESOLUTION;
+    uint32 private constant MAX_EARLY_WITHDRAWAL_PENALTY = PPM_RESOLUTION / 2;
+
+    // the default lock tier, which locks the stake until the end of the program without any boost
+    uint256 private constant DEFAULT_TIER = 0;
+
+    // the maximum number of positions of each account, which bounds the gas cost of iterating over them
+    uint256 private constant MAX_POSITIONS = 100;
+
+    struct LockTier {
+        uint256 duration; // 0 for locking until the end of the program
+        uint32 multiplier; // in PPM
+    }
+
+    struct Position {
+        uint256 tierId;
+        uint256 amount;
+        uint256 weight;
+        uint256 stakeTime; // the time of the first stake of the position
+        uint256 unlockTime; // the end of the program at the time of the stake, for positions locked until the end
+    }
+
+    // the recipient of the early withdrawal penalties (or zero, for redistributing them to the other stakers)
+    address private immutable _dao;
+
+    bool private _emergencyMode;
+    uint32 private _earlyWithdrawalPenalty;
+
+    LockTier[] private _lockTiers;
+    mapping(address => Position[]) private _positions;
+    mapping(address => uint256) private _firstPositions; // the index of the oldest open position of each account
+
+    event EmergencyModeUpdated(bool enabled);
+    event LockTierAdded(uint256 indexed tierId, uint256 duration, uint32 multiplier);
+    event Locked(address indexed account, uint256 indexed tierId, uint256 amount, uint256 weight, uint256 unlockTime);
+    event Kicked(address indexed account, uint256 weight);
+    event EarlyWithdrawn(address indexed account, uint256 amount, uint256 penalty);
+    event EarlyWithdrawalPenaltyUpdated(uint32 prevEarlyWithdrawalPenalty, uint32 newEarlyWithdrawalPenalty);
 
     /**
      * @dev Constructor that initializes the contract.
@@ -14,15 +54,359 @@ contract PussyHODLFarm is PussyFarm {
         IERC20 rewardToken,
         uint256 startTime,
         uint256 endTime,
-        uint256 rewardRate
-    ) PussyFarm(stakeToken, rewardToken, startTime, endTime, rewardRate) {}
+        uint256 rewardRate,
+        uint32 earlyWithdrawalPenalty,
+        address dao
+    ) PussyFarm(stakeToken, rewardToken, startTime, endTime, rewardRate) {
+        // Redistributing the penalties to the remaining stakers requires the stake token to also be the reward token
+        require(dao != address(0) || stakeToken == rewardToken, "INVALID_ADDRESS");
+
+        _dao = dao;
+
+        _setEarlyWithdrawalPenalty(earlyWithdrawalPenalty);
+        _addLockTier(0, PPM_RESOLUTION);
+    }
+
+    /**
+     * @dev Stakes the specified token amount into the contract, locked according to the given lock tier.
+     */
+    function stakeLocked(uint256 amount, uint256 tierId) external {
+        _stakeLocked(msg.sender, amount, tierId);
+    }
+
+    /**
+     * @dev Removes the lock tier boost of account's unlocked positions, whose effective stake is reset to their amount
+     * (can be called by anyone, since the boost is only granted for as long as the position is locked).
+     */
+    function kick(address account) external updateReward(account) {
+        Position[] storage positions = _positions[account];
+        uint256 length = positions.length;
+
+        uint256 expiredWeight = 0;
+        for (uint256 i = _firstPositions[account]; i < length; i++) {
+            Position storage position = positions[i];
+            if (position.weight <= position.amount || _time() < position.unlockTime) {
+                continue;
+            }
+
+            expiredWeight += position.weight - position.amount;
+            position.weight = position.amount;
+        }
+
+        require(expiredWeight > 0, "NO_EXPIRED_POSITIONS");
+
+        _baseWeights[account] -= expiredWeight;
+
+        _updateWeight(account);
+
+        emit Kicked(account, expiredWeight);
+    }
+
+    /**
+     * @dev Unstakes the whole stake of msg.sender without claiming any rewards (allowed before all of its positions
+     * are unlocked only in emergency mode).
+     */
+    function emergencyWithdraw() public override {
+        require(_emergencyMode || _lockedStake(msg.sender) == 0, "STAKE_LOCKED");
+
+        super.emergencyWithdraw();
+
+        delete _positions[msg.sender];
+        _firstPositions[msg.sender] = 0;
+    }
+
+    /**
+     * @dev Unstakes the specified token amount from the contract, including from positions which are still locked.
+     * Please note that a penalty is deducted from the locked part of the amount and that all the pending rewards are
+     * forfeited.
+     */
+    function earlyWithdraw(uint256 amount) external updateReward(msg.sender) {
+        require(amount > 0, "INVALID_AMOUNT");
+
+        // Release the unlocked positions first and only then the locked ones
+        (uint256 lockedAmount, uint256 weight) = _releasePositions(msg.sender, amount, false);
+        if (lockedAmount > 0) {
+            (uint256 remainingAmount, uint256 lockedWeight) = _releasePositions(msg.sender, lockedAmount, true);
+            require(remainingAmount == 0, "INVALID_AMOUNT");
+
+            weight += lockedWeight;
+        }
+
+        _unstake(msg.sender, amount, weight);
+
+        bool redistribute = _dao == address(0);
+
+        _forfeitRewards(msg.sender, redistribute);
+
+        uint256 penalty = (lockedAmount * _earlyWithdrawalPenalty) / PPM_RESOLUTION;
+        if (penalty > 0) {
+            if (redistribute) {
+                _distributeStakeTokens(penalty, msg.sender);
+            } else {
+                _stakeToken.safeTransfer(_dao, penalty);
+            }
+        }
+
+        _stakeToken.safeTransfer(msg.sender, amount - penalty);
+
+        emit EarlyWithdrawn(msg.sender, amount, penalty);
+    }
+
+    /**
+     * @dev Returns whether the farm locks the stakes (i.e., they can't be withdrawn at any time).
+     */
+    function isLocking() external pure override returns (bool) {
+        return true;
+    }
+
+    /**
+     * @dev Returns the recipient of the early withdrawal penalties (or zero, if they are redistributed to the other
+     * stakers).
+     */
+    function getDAO() external view returns (address) {
+        return _dao;
+    }
+
+    /**
+     * @dev Returns the early withdrawal penalty (in PPM).
+     */
+    function getEarlyWithdrawalPenalty() external view returns (uint32) {
+        return _earlyWithdrawalPenalty;
+    }
+
+    /**
+     * @dev Returns the number of lock tiers.
+     */
+    function getLockTierCount() external view returns (uint256) {
+        return _lockTiers.length;
+    }
+
+    /**
+     * @dev Returns the lock duration and the reward multiplier (in PPM) of a given lock tier.
+     */
+    function getLockTier(uint256 tierId) external view returns (uint256, uint32) {
+        require(tierId < _lockTiers.length, "INVALID_TIER");
+
+        LockTier memory tier = _lockTiers[tierId];
+
+        return (tier.duration, tier.multiplier);
+    }
+
+    /**
+     * @dev Returns the open positions of a given account (from the oldest to the newest).
+     */
+    function getPositions(address account) external view returns (Position[] memory) {
+        Position[] storage positions = _positions[account];
+        uint256 length = positions.length;
+        uint256 first = _firstPositions[account];
+
+        uint256 count = 0;
+        for (uint256 i = first; i < length; i++) {
+            if (positions[i].amount > 0) {
+                count++;
+            }
+        }
+
+        Position[] memory openPositions = new Position[](count);
+        uint256 index = 0;
+        for (uint256 i = first; i < length; i++) {
+            Position memory position = positions[i];
+            if (position.amount == 0) {
+                continue;
+            }
+
+            openPositions[index++] = position;
+        }
+
+        return openPositions;
+    }
+
+    /**
+     * @dev Returns the amount of the stake of a given account which is already unlocked.
+     */
+    function getUnlockedStake(address account) external view returns (uint256) {
+        return _stakes[account] - _lockedStake(account);
+    }
 
     /**
-     * @dev Unstakes the specified token amount from the contract.
+     * @dev Returns whether the farm is in emergency mode.
      */
-    function withdraw(uint256 amount) public override {
-        require(_time() >= _endTime, "STAKE_LOCKED");
+    function isEmergencyMode() external view returns (bool) {
+        return _emergencyMode;
+    }
+
+    /**
+     * @dev Admin-only toggle of the emergency mode, which allows stakers to emergency withdraw their locked stakes.
+     */
+    function setEmergencyMode(bool enabled) external onlyOwner {
+        _emergencyMode = enabled;
+
+        emit EmergencyModeUpdated(enabled);
+    }
+
+    /**
+     * @dev Admin-only update of the early withdrawal penalty.
+     */
+    function setEarlyWithdrawalPenalty(uint32 earlyWithdrawalPenalty) external onlyOwner {
+        _setEarlyWithdrawalPenalty(earlyWithdrawalPenalty);
+    }
+
+    /**
+     * @dev Admin-only addition of a new lock tier.
+     */
+    function addLockTier(uint256 duration, uint32 multiplier) external onlyOwner {
+        _addLockTier(duration, multiplier);
+    }
+
+    /**
+     * @dev Stakes the specified token amount on behalf of a given account, locked until the end of the program.
+     */
+    function _stake(address account, uint256 amount) internal override {
+        _stakeLocked(account, amount, DEFAULT_TIER);
+    }
+
+    /**
+     * @dev Releases the specified token amount from account's unlocked positions and returns their effective stake.
+     */
+    function _releaseStake(address account, uint256 amount) internal override returns (uint256) {
+        (uint256 remainingAmount, uint256 weight) = _releasePositions(account, amount, false);
+
+        require(remainingAmount == 0, "STAKE_LOCKED");
+
+        return weight;
+    }
+
+    /**
+     * @dev Stakes the specified token amount (transferred from msg.sender) on behalf of a given account, locked
+     * according to the given lock tier. Please note that the stake is merged into the newest position of the account
+     * if it has the same lock tier and unlock time.
+     */
+    function _stakeLocked(
+        address account,
+        uint256 amount,
+        uint256 tierId
+    ) private {
+        require(tierId < _lockTiers.length, "INVALID_TIER");
+
+        LockTier memory tier = _lockTiers[tierId];
+
+        // Snapshot the unlock time, so that extending the program doesn't extend the locks of existing positions
+        uint256 weight = (amount * tier.multiplier) / PPM_RESOLUTION;
+        uint256 unlockTime = tier.duration == 0 ? _endTime() : _time() + tier.duration;
+
+        _stakeWeighted(account, amount, weight);
+
+        // Merge the stake into the newest position when possible, so that staking on behalf of an account (which
+        // anyone can do) doesn't grow its positions and the gas cost of its withdrawals
+        Position[] storage positions = _positions[account];
+        uint256 length = positions.length;
+        uint256 first = _firstPositions[account];
+        if (length > first) {
+            Position storage lastPosition = positions[length - 1];
+            if (lastPosition.amount > 0 && lastPosition.tierId == tierId && lastPosition.unlockTime == unlockTime) {
+                lastPosition.amount += amount;
+                lastPosition.weight += weight;
+
+                emit Locked(account, tierId, amount, weight, unlockTime);
+
+                return;
+            }
+        }
+
+        require(length - first < MAX_POSITIONS, "TOO_MANY_POSITIONS");
+
+        positions.push(
+            Position({ tierId: tierId, amount: amount, weight: weight, stakeTime: _time(), unlockTime: unlockTime })
+        );
+
+        emit Locked(account, tierId, amount, weight, unlockTime);
+    }
+
+    /**
+     * @dev Releases up to the specified token amount from account's unlocked (or locked) positions, from the oldest to
+     * the newest, and returns the amount which couldn't be released and the released effective stake.
+     */
+    function _releasePositions(
+        address account,
+        uint256 amount,
+        bool locked
+    ) private returns (uint256, uint256) {
+        Position[] storage positions = _positions[account];
+        uint256 length = positions.length;
+        uint256 first = _firstPositions[account];
+
+        uint256 remainingAmount = amount;
+        uint256 weight = 0;
+        for (uint256 i = first; i < length && remainingAmount > 0; i++) {
+            Position storage position = positions[i];
+            if (position.amount == 0 || (_time() < position.unlockTime) != locked) {
+                continue;
+            }
+
+            if (remainingAmount < position.amount) {
+                uint256 releasedWeight = (position.weight * remainingAmount) / position.amount;
+
+                position.amount -= remainingAmount;
+                position.weight -= releasedWeight;
+                weight += releasedWeight;
+                remainingAmount = 0;
+
+                break;
+            }
+
+            remainingAmount -= position.amount;
+            weight += position.weight;
+
+            delete positions[i];
+        }
+
+        // Skip over the fully released positions at the head of the queue
+        while (first < length && positions[first].amount == 0) {
+            first++;
+        }
+
+        _firstPositions[account] = first;
+
+        return (remainingAmount, weight);
+    }
+
+    /**
+     * @dev Sets the early withdrawal penalty.
+     */
+    function _setEarlyWithdrawalPenalty(uint32 earlyWithdrawalPenalty) private {
+        require(earlyWithdrawalPenalty <= MAX_EARLY_WITHDRAWAL_PENALTY, "INVALID_VALUE");
+
+        emit EarlyWithdrawalPenaltyUpdated(_earlyWithdrawalPenalty, earlyWithdrawalPenalty);
+
+        _earlyWithdrawalPenalty = earlyWithdrawalPenalty;
+    }
+
+    /**
+     * @dev Adds a new lock tier.
+     */
+    function _addLockTier(uint256 duration, uint32 multiplier) private {
+        require(multiplier >= PPM_RESOLUTION && multiplier <= MAX_MULTIPLIER, "INVALID_VALUE");
+
+        _lockTiers.push(LockTier({ duration: duration, multiplier: multiplier }));
+
+        emit LockTierAdded(_lockTiers.length - 1, duration, multiplier);
+    }
+
+    /**
+     * @dev Returns the total amount of account's positions which are still locked.
+     */
+    function _lockedStake(address account) private view returns (uint256) {
+        Position[] storage positions = _positions[account];
+        uint256 length = positions.length;
+
+        uint256 lockedStake = 0;
+        for (uint256 i = _firstPositions[account]; i < length; i++) {
+            Position storage position = positions[i];
+            if (_time() < position.unlockTime) {
+                lockedStake += position.amount;
+            }
+        }
 
-        super.withdraw(amount);
+        return lockedStake;
     }
 }
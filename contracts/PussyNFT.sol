@@ -3,16 +3,36 @@ pragma solidity 0.8.13;
 
 import "@openzeppelin/contracts/utils/Strings.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
-contract PussyNFT is ERC721Enumerable, ReentrancyGuard, Ownable {
+import "./GuardianPausable.sol";
+
+contract PussyNFT is ERC721Enumerable, ERC2981, ReentrancyGuard, GuardianPausable {
     using Strings for uint256;
     using SafeERC20 for IERC20;
 
+    uint32 private constant PPM_RESOLUTION = 1_000_000;
+    uint32 private constant DEFAULT_ROYALTY_RATE = 50_000; // 5%
+    uint32 private constant MAX_ROYALTY_RATE = 100_000; // 10%
+
+    // the number of blocks between the first mint and the block whose hash determines the starting index
+    uint256 private constant STARTING_INDEX_BLOCK_DELAY = 5;
+
+    // the number of the most recent blocks whose hashes are available
+    uint256 private constant BLOCK_HASH_HISTORY = 256;
+
+    enum Phase {
+        Closed,
+        Presale,
+        Public
+    }
+
     IERC20 private immutable _token;
     address private immutable _dao;
     uint256 private immutable _maxSupply;
@@ -22,7 +42,27 @@ contract PussyNFT is ERC721Enumerable, ReentrancyGuard, Ownable {
     string private _uri;
     bool private _mintFinished;
 
+    uint256 private _presaleStartTime;
+    bytes32 private _presaleRoot;
+    uint256 private _presalePrice;
+    mapping(address => uint256) private _presaleMinted;
+
+    uint256 private _maxPerTransaction; // 0 means unlimited
+    uint256 private _maxPerWallet; // 0 means unlimited
+    mapping(address => uint256) private _mintedBy;
+
+    bytes32 private immutable _provenanceHash;
+    uint256 private _startingIndexBlock;
+    uint256 private _startingIndex;
+    bool private _startingIndexRevealed;
+
     event Finalized(string uri);
+    event StartingIndexCommitted(uint256 blockNumber);
+    event StartingIndexRevealed(uint256 startingIndex);
+    event RoyaltyUpdated(address indexed receiver, uint32 rate);
+    event PresaleUpdated(uint256 startTime, bytes32 root, uint256 price);
+    event MintLimitsUpdated(uint256 maxPerTransaction, uint256 maxPerWallet);
+    event Minted(address indexed account, uint256 requestedQuantity, uint256 quantity, uint256 price);
 
     constructor(
         IERC20 token,
@@ -30,11 +70,13 @@ contract PussyNFT is ERC721Enumerable, ReentrancyGuard, Ownable {
         uint256 maxSupply,
         uint256 mintPrice,
         uint256 mintStartTime,
-        string memory tempUri
+        string memory tempUri,
+        bytes32 provenanceHash
     ) ERC721("Pussy Financial Punks", "PFP") {
         require(address(token) != address(0) && dao != address(0), "INVALID_ADDRESS");
         require(maxSupply > 0, "INVALID_MAX_SUPPLY");
         require(mintPrice > 0, "INVALID_PRICE");
+        require(provenanceHash != bytes32(0), "INVALID_HASH");
 
         _token = token;
         _dao = dao;
@@ -42,6 +84,18 @@ contract PussyNFT is ERC721Enumerable, ReentrancyGuard, Ownable {
         _mintPrice = mintPrice;
         _mintStartTime = mintStartTime;
         _tempUri = tempUri;
+        _provenanceHash = provenanceHash;
+
+        _setRoyalty(dao, DEFAULT_ROYALTY_RATE);
+    }
+
+    /**
+     * @dev Verifies that the caller is the DAO.
+     */
+    modifier onlyDAO() {
+        require(msg.sender == _dao, "ACCESS_DENIED");
+
+        _;
     }
 
     /**
@@ -63,6 +117,111 @@ contract PussyNFT is ERC721Enumerable, ReentrancyGuard, Ownable {
         return (_token, _dao, _maxSupply, _mintPrice, _mintStartTime, _tempUri, _mintFinished);
     }
 
+    /**
+     * @dev Returns presale settings
+     */
+    function presaleSettings()
+        external
+        view
+        returns (
+            uint256,
+            bytes32,
+            uint256
+        )
+    {
+        return (_presaleStartTime, _presaleRoot, _presalePrice);
+    }
+
+    /**
+     * @dev Returns the provenance hash of the collection, the block whose hash determines the starting index, whether
+     * the starting index was revealed, and the starting index itself. The metadata file of every token ID is
+     * ((tokenId - 1 + startingIndex) % maxSupply) + 1, which allows anyone to verify the reveal against the provenance
+     * hash.
+     */
+    function provenance()
+        external
+        view
+        returns (
+            bytes32,
+            uint256,
+            bool,
+            uint256
+        )
+    {
+        return (_provenanceHash, _startingIndexBlock, _startingIndexRevealed, _startingIndex);
+    }
+
+    /**
+     * @dev Returns the maximum number of PFPs which can be minted per transaction and per wallet (where 0 means
+     * unlimited).
+     */
+    function mintLimits() external view returns (uint256, uint256) {
+        return (_maxPerTransaction, _maxPerWallet);
+    }
+
+    /**
+     * @dev Returns the total number of PFPs minted by the specified account (during both the presale and the public
+     * mint).
+     */
+    function mintedBy(address account) external view returns (uint256) {
+        return _mintedBy[account];
+    }
+
+    /**
+     * @dev Returns the current minting phase.
+     */
+    function getPhase() public view returns (Phase) {
+        uint256 currentTime = _time();
+
+        if (currentTime >= _mintStartTime) {
+            return Phase.Public;
+        }
+
+        if (_presaleRoot != bytes32(0) && currentTime >= _presaleStartTime) {
+            return Phase.Presale;
+        }
+
+        return Phase.Closed;
+    }
+
+    /**
+     * @dev Returns the number of PFPs minted by the specified account during the presale.
+     */
+    function getPresaleMinted(address account) external view returns (uint256) {
+        return _presaleMinted[account];
+    }
+
+    /**
+     * @dev Returns the number of PFPs the specified account is still allowed to mint during the presale, given its
+     * allowlist cap and proof (or 0 if the proof is invalid).
+     */
+    function getPresaleAllowance(
+        address account,
+        uint256 cap,
+        bytes32[] calldata proof
+    ) external view returns (uint256) {
+        if (!_isAllowlisted(account, cap, proof)) {
+            return 0;
+        }
+
+        uint256 minted = _presaleMinted[account];
+
+        return cap > minted ? cap - minted : 0;
+    }
+
+    /**
+     * @dev Returns whether the specified interface is supported.
+     */
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        virtual
+        override(ERC721Enumerable, ERC2981)
+        returns (bool)
+    {
+        return super.supportsInterface(interfaceId);
+    }
+
     /**
      * @dev Returns the URI of the specified token.
      */
@@ -73,34 +232,116 @@ contract PussyNFT is ERC721Enumerable, ReentrancyGuard, Ownable {
             return _tempUri;
         }
 
+        // Shift the metadata of every token ID by the (randomized) starting index
+        uint256 metadataId = ((tokenId - 1 + _startingIndex) % _maxSupply) + 1;
+
         string memory baseUri = _uri;
-        return bytes(baseUri).length > 0 ? string.concat(baseUri, tokenId.toString(), ".json") : "";
+        return bytes(baseUri).length > 0 ? string.concat(baseUri, metadataId.toString(), ".json") : "";
     }
 
     /**
      * @dev Mints a single PFP.
      */
-    function mint(uint256 quantity) external nonReentrant {
+    function mint(uint256 quantity) external nonReentrant whenNotPaused {
         require(_time() >= _mintStartTime, "MINT_NOT_STARTED");
-        require(quantity > 0, "INVALID_QUANTITY");
 
-        uint256 totalSupply = totalSupply();
-        uint256 availableQuantity = Math.min(_maxSupply - totalSupply, quantity);
+        _mintPFPs(quantity, _mintPrice);
+    }
 
-        require(availableQuantity > 0, "MAX_SUPPLY_REACHED");
+    /**
+     * @dev Mints PFPs, while approving the payment via an EIP-2612 permit signature.
+     */
+    function mintWithPermit(
+        uint256 quantity,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused {
+        require(_time() >= _mintStartTime, "MINT_NOT_STARTED");
 
-        // Transfer the tokens to the DAO
-        _token.safeTransferFrom(msg.sender, _dao, _mintPrice * availableQuantity);
+        // tolerate a permit which was already used (e.g., by a front-runner), since the payment can still rely on the
+        // resulting allowance
+        try
+            IERC20Permit(address(_token)).permit(msg.sender, address(this), _mintPrice * quantity, deadline, v, r, s)
+        {} catch {}
 
-        // Mint tokens to the purchaser (starting from token ID 1)
-        uint256 tokenId = totalSupply;
-        for (uint256 i = 0; i < availableQuantity; i++) {
-            _safeMint(msg.sender, tokenId + i + 1);
-        }
+        _mintPFPs(quantity, _mintPrice);
     }
 
     /**
-     * @dev Finalizes the minting process.
+     * @dev Mints PFPs during the presale, up to the allowlist cap of the caller.
+     */
+    function presaleMint(
+        uint256 quantity,
+        uint256 cap,
+        bytes32[] calldata proof
+    ) external nonReentrant whenNotPaused {
+        require(getPhase() == Phase.Presale, "PRESALE_NOT_ACTIVE");
+        require(_isAllowlisted(msg.sender, cap, proof), "INVALID_PROOF");
+
+        uint256 minted = _presaleMinted[msg.sender];
+        require(minted + quantity <= cap, "ALLOWANCE_EXCEEDED");
+
+        _presaleMinted[msg.sender] = minted + _mintPFPs(quantity, _presalePrice);
+    }
+
+    /**
+     * @dev Admin-only update of the maximum number of PFPs which can be minted per transaction and per wallet (where 0
+     * means unlimited).
+     */
+    function setMintLimits(uint256 maxPerTransaction, uint256 maxPerWallet) external onlyOwner {
+        _maxPerTransaction = maxPerTransaction;
+        _maxPerWallet = maxPerWallet;
+
+        emit MintLimitsUpdated(maxPerTransaction, maxPerWallet);
+    }
+
+    /**
+     * @dev Admin-only update of the presale, which runs from its start time until the public mint, is limited to the
+     * allowlist of (account, cap) pairs committed in the Merkle root, and is priced at the presale price (or at the
+     * mint price, when set to 0).
+     */
+    function setPresale(
+        uint256 startTime,
+        bytes32 root,
+        uint256 price
+    ) external onlyOwner {
+        require(startTime < _mintStartTime, "INVALID_TIME");
+        require(root != bytes32(0), "INVALID_ROOT");
+        require(price <= _mintPrice, "INVALID_PRICE");
+
+        _presaleStartTime = startTime;
+        _presaleRoot = root;
+        _presalePrice = price == 0 ? _mintPrice : price;
+
+        emit PresaleUpdated(startTime, root, _presalePrice);
+    }
+
+    /**
+     * @dev DAO-only update of the royalty receiver and rate (in PPM) of secondary sales.
+     */
+    function setRoyalty(address receiver, uint32 rate) external onlyDAO {
+        require(receiver != address(0), "INVALID_ADDRESS");
+        require(rate <= MAX_ROYALTY_RATE, "INVALID_RATE");
+
+        _setRoyalty(receiver, rate);
+    }
+
+    /**
+     * @dev Reveals the starting index, once the committed block was mined (and can be called by anyone). Please note
+     * that an expired commitment is renewed instead.
+     */
+    function revealStartingIndex() external {
+        require(!_startingIndexRevealed, "ALREADY_REVEALED");
+        require(_startingIndexBlock != 0, "STARTING_INDEX_NOT_COMMITTED");
+        require(block.number > _startingIndexBlock, "STARTING_INDEX_BLOCK_NOT_MINED");
+
+        _revealStartingIndex();
+    }
+
+    /**
+     * @dev Finalizes the minting process (while revealing the starting index, if it wasn't revealed yet).
      */
     function finalizeMint(string memory uri) external nonReentrant onlyOwner {
         require(!_mintFinished, "ALREADY_FINISHED");
@@ -109,12 +350,124 @@ contract PussyNFT is ERC721Enumerable, ReentrancyGuard, Ownable {
         bytes memory rawUri = bytes(uri);
         require(rawUri[rawUri.length - 1] == "/", "INVALID_TERMINATOR");
 
+        if (!_startingIndexRevealed) {
+            require(block.number > _startingIndexBlock, "STARTING_INDEX_BLOCK_NOT_MINED");
+            require(!_isStartingIndexExpired(), "STARTING_INDEX_EXPIRED");
+
+            _revealStartingIndex();
+        }
+
         _mintFinished = true;
         _uri = uri;
 
         emit Finalized(uri);
     }
 
+    /**
+     * @dev Sets the royalty receiver and rate (in PPM).
+     */
+    function _setRoyalty(address receiver, uint32 rate) private {
+        _setDefaultRoyalty(receiver, rate);
+
+        emit RoyaltyUpdated(receiver, rate);
+    }
+
+    /**
+     * @dev Returns the denominator of the royalty rate.
+     */
+    function _feeDenominator() internal pure override returns (uint96) {
+        return PPM_RESOLUTION;
+    }
+
+    /**
+     * @dev Commits to the hash of a future block, which will determine the starting index.
+     */
+    function _commitStartingIndex() private {
+        _startingIndexBlock = block.number + STARTING_INDEX_BLOCK_DELAY;
+
+        emit StartingIndexCommitted(_startingIndexBlock);
+    }
+
+    /**
+     * @dev Derives the starting index from the hash of the committed block (which must have already been mined).
+     *
+     * Please note that since only the hashes of the most recent blocks are available, an expired commitment is renewed
+     * to a new future block instead, so that the starting index can't be chosen by letting the commitment expire.
+     */
+    function _revealStartingIndex() private {
+        if (_isStartingIndexExpired()) {
+            _commitStartingIndex();
+
+            return;
+        }
+
+        _startingIndex = uint256(blockhash(_startingIndexBlock)) % _maxSupply;
+        _startingIndexRevealed = true;
+
+        emit StartingIndexRevealed(_startingIndex);
+    }
+
+    /**
+     * @dev Returns whether the hash of the committed block is no longer available.
+     */
+    function _isStartingIndexExpired() private view returns (bool) {
+        return block.number > _startingIndexBlock + BLOCK_HASH_HISTORY;
+    }
+
+    /**
+     * @dev Returns whether the specified account and cap are included in the presale allowlist.
+     */
+    function _isAllowlisted(
+        address account,
+        uint256 cap,
+        bytes32[] calldata proof
+    ) private view returns (bool) {
+        // Leaves are double hashed to prevent second preimage attacks
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(account, cap))));
+
+        return MerkleProof.verify(proof, _presaleRoot, leaf);
+    }
+
+    /**
+     * @dev Mints PFPs to the caller, in exchange for the specified price per PFP, and returns the minted quantity.
+     * Please note that if the remaining supply is lower than the requested quantity, only the remaining supply is
+     * minted (and paid for).
+     */
+    function _mintPFPs(uint256 quantity, uint256 price) private returns (uint256) {
+        require(quantity > 0, "INVALID_QUANTITY");
+        require(_maxPerTransaction == 0 || quantity <= _maxPerTransaction, "MAX_PER_TRANSACTION_EXCEEDED");
+
+        uint256 minted = _mintedBy[msg.sender];
+        require(_maxPerWallet == 0 || minted + quantity <= _maxPerWallet, "MAX_PER_WALLET_EXCEEDED");
+
+        uint256 totalSupply = totalSupply();
+        uint256 availableQuantity = Math.min(_maxSupply - totalSupply, quantity);
+
+        require(availableQuantity > 0, "MAX_SUPPLY_REACHED");
+
+        // Commit to the starting index at the start of the mint, and reveal it as soon as the committed block is mined
+        if (totalSupply == 0) {
+            _commitStartingIndex();
+        } else if (!_startingIndexRevealed && block.number > _startingIndexBlock) {
+            _revealStartingIndex();
+        }
+
+        _mintedBy[msg.sender] = minted + availableQuantity;
+
+        // Transfer the tokens to the DAO
+        _token.safeTransferFrom(msg.sender, _dao, price * availableQuantity);
+
+        // Mint tokens to the purchaser (starting from token ID 1)
+        uint256 tokenId = totalSupply;
+        for (uint256 i = 0; i < availableQuantity; i++) {
+            _safeMint(msg.sender, tokenId + i + 1);
+        }
+
+        emit Minted(msg.sender, quantity, availableQuantity, price);
+
+        return availableQuantity;
+    }
+
     /**
      * @dev Returns the current time (and used for testing).
      */
@@ -0,0 +1,394 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.13;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import "./IPussyVault.sol";
+import "./IPussyFarm.sol";
+
+contract PussyVault is IPussyVault, ERC20, Ownable {
+    using SafeERC20 for IERC20;
+
+    uint32 private constant PPM_RESOLUTION = 1_000_000;
+    uint32 private constant MAX_HARVEST_BOUNTY = 50_000;
+
+    uint256 private constant PRICE_FACTOR = 1e18;
+    uint256 private constant RATE_FACTOR = 1e18;
+
+    IPussyFarm private immutable _farm;
+    IERC20 private immutable _token;
+
+    // the portion of the harvested rewards which is paid to the caller of harvest (in PPM)
+    uint32 private _harvestBounty;
+
+    // the underlying tokens of the shareholders, which are tracked internally, so that tokens which are sent to the
+    // vault (or staked on its behalf) directly can't affect the price per share
+    uint256 private _staked;
+    uint256 private _idle;
+
+    // whether the stake was emergency withdrawn from the farm, after which the shares can only be redeemed (pro-rata)
+    bool private _emergencyExited;
+
+    // the rewards of the additional reward tokens of the farm, which are distributed to the shareholders per share
+    mapping(IERC20 => uint256) private _rewardPerShare;
+    mapping(IERC20 => mapping(address => uint256)) private _rewardPerSharePaid;
+    mapping(IERC20 => mapping(address => uint256)) private _rewards;
+    mapping(IERC20 => uint256) private _totalRewards;
+
+    /**
+     * @dev Constructor that initializes the contract.
+     */
+    constructor(
+        IPussyFarm farm,
+        string memory name,
+        string memory symbol,
+        uint32 harvestBounty
+    ) ERC20(name, symbol) {
+        require(address(farm) != address(0), "INVALID_ADDRESS");
+        require(farm.getStakeToken() == farm.getRewardToken() && !farm.isLocking(), "INVALID_FARM");
+
+        _farm = farm;
+        _token = farm.getStakeToken();
+
+        _setHarvestBounty(harvestBounty);
+
+        _token.safeApprove(address(farm), type(uint256).max);
+    }
+
+    /**
+     * @dev Allows execution only if the stake wasn't emergency withdrawn from the farm.
+     */
+    modifier whenNotEmergencyExited() {
+        require(!_emergencyExited, "EMERGENCY_EXITED");
+
+        _;
+    }
+
+    /**
+     * @dev Returns the underlying farm.
+     */
+    function getFarm() external view override returns (IPussyFarm) {
+        return _farm;
+    }
+
+    /**
+     * @dev Returns the underlying token (which is both the stake and the reward token of the farm).
+     */
+    function getToken() external view override returns (IERC20) {
+        return _token;
+    }
+
+    /**
+     * @dev Returns the harvest bounty (in PPM).
+     */
+    function getHarvestBounty() external view override returns (uint32) {
+        return _harvestBounty;
+    }
+
+    /**
+     * @dev Returns the total amount of underlying tokens held by the vault on behalf of the shareholders (excluding
+     * unharvested rewards).
+     */
+    function getTotalAssets() external view override returns (uint256) {
+        return _totalAssets();
+    }
+
+    /**
+     * @dev Returns the amount of underlying tokens that a single share (scaled by 1e18) is worth.
+     */
+    function pricePerShare() external view override returns (uint256) {
+        uint256 totalSupply = totalSupply();
+        if (totalSupply == 0) {
+            return PRICE_FACTOR;
+        }
+
+        return (_totalAssets() * PRICE_FACTOR) / totalSupply;
+    }
+
+    /**
+     * @dev Returns the pending rewards of a given additional reward token of the farm for a given shareholder
+     * (excluding unharvested rewards).
+     */
+    function getPendingTokenRewards(address account, IERC20 rewardToken) external view override returns (uint256) {
+        return
+            _rewards[rewardToken][account] +
+            (balanceOf(account) * (_rewardPerShare[rewardToken] - _rewardPerSharePaid[rewardToken][account])) /
+            RATE_FACTOR;
+    }
+
+    /**
+     * @dev Returns whether the stake was emergency withdrawn from the farm.
+     */
+    function isEmergencyExited() external view override returns (bool) {
+        return _emergencyExited;
+    }
+
+    /**
+     * @dev Deposits the specified amount of underlying tokens (transferred from msg.sender) and issues shares in return.
+     */
+    function deposit(uint256 amount) external override whenNotEmergencyExited returns (uint256) {
+        require(amount > 0, "INVALID_AMOUNT");
+
+        // Compound any pending rewards first, so that they are attributed to the existing shareholders only
+        _claimFarmRewards();
+
+        uint256 totalSupply = totalSupply();
+        uint256 shares = totalSupply == 0 ? amount : (amount * totalSupply) / _totalAssets();
+
+        require(shares > 0, "INVALID_AMOUNT");
+
+        _token.safeTransferFrom(msg.sender, address(this), amount);
+        _idle += amount;
+
+        _mint(msg.sender, shares);
+
+        _restake();
+
+        emit Deposited(msg.sender, amount, shares);
+
+        return shares;
+    }
+
+    /**
+     * @dev Burns the specified amount of shares and returns their worth of underlying tokens to msg.sender.
+     */
+    function redeem(uint256 shares) external override returns (uint256) {
+        require(shares > 0 && shares <= balanceOf(msg.sender), "INVALID_AMOUNT");
+
+        // Compound any pending rewards first, so that the redeemed shares are priced along with their part of them
+        // (unless the stake was already emergency withdrawn, in which case all the tokens are idle)
+        if (!_emergencyExited) {
+            _claimFarmRewards();
+        }
+
+        uint256 amount = (shares * _totalAssets()) / totalSupply();
+
+        _burn(msg.sender, shares);
+
+        // Use the idle tokens first and withdraw the rest from the farm
+        if (_idle < amount) {
+            uint256 withdrawAmount = amount - _idle;
+
+            _farm.withdraw(withdrawAmount);
+
+            _staked -= withdrawAmount;
+            _idle += withdrawAmount;
+        }
+
+        _idle -= amount;
+
+        _token.safeTransfer(msg.sender, amount);
+
+        emit Redeemed(msg.sender, shares, amount);
+
+        return amount;
+    }
+
+    /**
+     * @dev Claims the pending rewards from the farm and re-stakes them, while paying a small bounty to the caller.
+     */
+    function harvest() external override whenNotEmergencyExited returns (uint256) {
+        uint256 reward = _claimFarmRewards();
+
+        require(reward > 0, "NO_REWARDS");
+
+        uint256 bounty = (reward * _harvestBounty) / PPM_RESOLUTION;
+        if (bounty > 0) {
+            _idle -= bounty;
+
+            _token.safeTransfer(msg.sender, bounty);
+        }
+
+        _restake();
+
+        emit Harvested(msg.sender, reward, bounty);
+
+        return reward;
+    }
+
+    /**
+     * @dev Claims the pending rewards of all the additional reward tokens of the farm and sends them to msg.sender.
+     */
+    function claimRewards() external override {
+        if (!_emergencyExited) {
+            _claimFarmRewards();
+        }
+
+        IERC20[] memory rewardTokens = _farm.getRewardTokens();
+
+        _updateRewards(msg.sender, rewardTokens);
+
+        uint256 length = rewardTokens.length;
+        for (uint256 i = 0; i < length; i++) {
+            IERC20 rewardToken = rewardTokens[i];
+
+            uint256 reward = _rewards[rewardToken][msg.sender];
+            if (reward == 0) {
+                continue;
+            }
+
+            _rewards[rewardToken][msg.sender] = 0;
+            _totalRewards[rewardToken] -= reward;
+
+            rewardToken.safeTransfer(msg.sender, reward);
+
+            emit RewardTokenClaimed(msg.sender, rewardToken, reward);
+        }
+    }
+
+    /**
+     * @dev Admin-only update of the harvest bounty.
+     */
+    function setHarvestBounty(uint32 harvestBounty) external onlyOwner {
+        _setHarvestBounty(harvestBounty);
+    }
+
+    /**
+     * @dev Admin-only emergency exit, which withdraws the whole stake from the farm while forfeiting its pending
+     * rewards (e.g., if claiming them reverts), and allows the shareholders to redeem their shares pro-rata.
+     */
+    function emergencyExit() external onlyOwner whenNotEmergencyExited {
+        uint256 amount = _staked;
+        if (amount > 0) {
+            _farm.emergencyWithdraw();
+
+            _staked = 0;
+            _idle += amount;
+        }
+
+        _emergencyExited = true;
+
+        emit EmergencyExited(amount);
+    }
+
+    /**
+     * @dev Admin-only emergency transfer of contract owned funds. Please note that the underlying token and the
+     * unclaimed rewards of the additional reward tokens are excluded, since they belong to the shareholders.
+     */
+    function withdrawTokens(IERC20 token, uint256 amount) external onlyOwner {
+        require(token != _token, "INVALID_TOKEN");
+
+        uint256 balance = token.balanceOf(address(this));
+        uint256 requiredBalance = _totalRewards[token];
+
+        require(balance >= requiredBalance && amount <= balance - requiredBalance, "INVALID_AMOUNT");
+
+        token.safeTransfer(msg.sender, amount);
+    }
+
+    /**
+     * @dev Updates the rewards of the additional reward tokens of the sender and of the recipient of the shares.
+     */
+    function _beforeTokenTransfer(
+        address from,
+        address to,
+        uint256
+    ) internal override {
+        IERC20[] memory rewardTokens = _farm.getRewardTokens();
+
+        if (from != address(0)) {
+            _updateRewards(from, rewardTokens);
+        }
+
+        if (to != address(0)) {
+            _updateRewards(to, rewardTokens);
+        }
+    }
+
+    /**
+     * @dev Returns the total amount of underlying tokens held by the vault on behalf of the shareholders.
+     */
+    function _totalAssets() private view returns (uint256) {
+        return _staked + _idle;
+    }
+
+    /**
+     * @dev Claims the pending rewards from the farm and returns the claimed amount of the underlying token. The
+     * underlying token rewards are compounded, while the rewards of the additional reward tokens are distributed to
+     * the current shareholders.
+     */
+    function _claimFarmRewards() private returns (uint256) {
+        IERC20[] memory rewardTokens = _farm.getRewardTokens();
+        uint256 length = rewardTokens.length;
+
+        uint256[] memory prevBalances = new uint256[](length);
+        for (uint256 i = 0; i < length; i++) {
+            prevBalances[i] = rewardTokens[i].balanceOf(address(this));
+        }
+
+        uint256 reward = _farm.claim();
+
+        _idle += reward;
+
+        uint256 totalSupply = totalSupply();
+        if (totalSupply == 0) {
+            return reward;
+        }
+
+        for (uint256 i = 0; i < length; i++) {
+            IERC20 rewardToken = rewardTokens[i];
+            if (rewardToken == _token) {
+                continue;
+            }
+
+            uint256 received = rewardToken.balanceOf(address(this)) - prevBalances[i];
+            if (received == 0) {
+                continue;
+            }
+
+            _rewardPerShare[rewardToken] += (received * RATE_FACTOR) / totalSupply;
+            _totalRewards[rewardToken] += received;
+        }
+
+        return reward;
+    }
+
+    /**
+     * @dev Updates account's pending rewards of the additional reward tokens.
+     */
+    function _updateRewards(address account, IERC20[] memory rewardTokens) private {
+        uint256 balance = balanceOf(account);
+
+        uint256 length = rewardTokens.length;
+        for (uint256 i = 0; i < length; i++) {
+            IERC20 rewardToken = rewardTokens[i];
+            if (rewardToken == _token) {
+                continue;
+            }
+
+            uint256 rewardPerShare = _rewardPerShare[rewardToken];
+
+            _rewards[rewardToken][account] +=
+                (balance * (rewardPerShare - _rewardPerSharePaid[rewardToken][account])) /
+                RATE_FACTOR;
+            _rewardPerSharePaid[rewardToken][account] = rewardPerShare;
+        }
+    }
+
+    /**
+     * @dev Stakes all the idle underlying tokens into the farm.
+     */
+    function _restake() private {
+        uint256 idle = _idle;
+        if (idle > 0) {
+            _farm.stake(idle);
+
+            _staked += idle;
+            _idle = 0;
+        }
+    }
+
+    /**
+     * @dev Sets the harvest bounty.
+     */
+    function _setHarvestBounty(uint32 harvestBounty) private {
+        require(harvestBounty <= MAX_HARVEST_BOUNTY, "INVALID_VALUE");
+
+        emit HarvestBountyUpdated(_harvestBounty, harvestBounty);
+
+        _harvestBounty = harvestBounty;
+    }
+}
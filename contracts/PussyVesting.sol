@@ -4,25 +4,88 @@ pragma solidity 0.8.13;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 contract PussyVesting is Ownable {
     using SafeERC20 for IERC20;
+    using Checkpoints for Checkpoints.History;
+
+    uint32 private constant PPM_RESOLUTION = 1_000_000;
+    uint256 private constant MAX_MILESTONES = 100;
+
+    enum ScheduleType {
+        Linear,
+        Periodic, // vests in equal steps, at the end of every period
+        CliffPercentage, // releases a percentage at the cliff and vests the rest linearly until the end
+        Milestones // releases fixed amounts at specific times
+    }
+
+    struct Milestone {
+        uint256 time;
+        uint256 amount;
+    }
+
+    struct Grant {
+        address beneficiary;
+        uint256 amount;
+        uint256 start;
+        uint256 cliff;
+        uint256 end;
+    }
+
+    struct MerkleDistribution {
+        uint256 remaining; // the amount which wasn't activated yet
+        bool revocable;
+    }
 
     struct Program {
+        address beneficiary;
         uint256 amount;
         uint256 start;
         uint256 cliff;
         uint256 end;
         uint256 claimed;
+        bool revocable;
+        bool transferable;
+        ScheduleType scheduleType;
+        uint256 scheduleParam; // the period length of periodic programs or the cliff percentage (in PPM)
+        uint256 unvested; // the unvested amount as of the last update, which is counted as voting power
     }
 
     IERC20 private immutable _token;
-    mapping(address => Program) private _programs;
+    mapping(uint256 => Program) private _programs;
+    mapping(address => uint256[]) private _programIds;
+    mapping(uint256 => Milestone[]) private _milestones;
+    mapping(uint256 => address) private _pendingBeneficiaries;
+    mapping(bytes32 => MerkleDistribution) private _merkleDistributions;
+    mapping(bytes32 => mapping(bytes32 => bool)) private _activatedLeaves;
+    uint256 private _nextProgramId = 1;
     uint256 private _totalVesting;
 
-    event ProgramCreated(address indexed owner, uint256 amount);
-    event ProgramCanceled(address indexed owner);
-    event Claimed(address indexed owner, uint256 amount);
+    // the total unvested amount of all the programs of each beneficiary (as of their last update), which is the voting
+    // power they can delegate
+    mapping(address => uint256) private _unvested;
+    mapping(address => address) private _claimRecipients;
+    mapping(address => address) private _delegates;
+    mapping(address => Checkpoints.History) private _votes;
+
+    event ProgramCreated(uint256 indexed programId, address indexed beneficiary, uint256 amount);
+    event ProgramCanceled(uint256 indexed programId, address indexed beneficiary, uint256 vested, uint256 unvested);
+    event Claimed(uint256 indexed programId, address indexed beneficiary, uint256 amount);
+    event TransferProposed(uint256 indexed programId, address indexed beneficiary, address indexed newBeneficiary);
+    event ProgramTransferred(
+        uint256 indexed programId,
+        address indexed prevBeneficiary,
+        address indexed newBeneficiary
+    );
+    event TransferabilityUpdated(uint256 indexed programId, bool transferable);
+    event MerkleRootAdded(bytes32 indexed root, uint256 amount, bool revocable);
+    event MerkleRootRemoved(bytes32 indexed root, uint256 remaining);
+    event ProgramActivated(bytes32 indexed root, uint256 indexed programId, address indexed beneficiary);
+    event ClaimRecipientUpdated(address indexed beneficiary, address indexed recipient);
+    event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    event DelegateVotesChanged(address indexed delegate, uint256 previousBalance, uint256 newBalance);
 
     /**
      * @dev Constructor that initializes the contract.
@@ -34,22 +97,106 @@ contract PussyVesting is Ownable {
     }
 
     /**
-     * @dev Returns a program for a given owner.
+     * @dev Returns the vesting token.
      */
-    function getProgram(address owner)
+    function getToken() external view returns (IERC20) {
+        return _token;
+    }
+
+    /**
+     * @dev Returns a given program.
+     */
+    function getProgram(uint256 programId)
         external
         view
         returns (
+            address,
+            uint256,
             uint256,
             uint256,
             uint256,
             uint256,
-            uint256
+            bool
         )
     {
-        Program memory p = _programs[owner];
+        Program memory p = _programs[programId];
 
-        return (p.amount, p.start, p.cliff, p.end, p.claimed);
+        return (p.beneficiary, p.amount, p.start, p.cliff, p.end, p.claimed, p.revocable);
+    }
+
+    /**
+     * @dev Returns the schedule of a given program: its type, parameter and milestones (for milestone programs).
+     */
+    function getSchedule(uint256 programId)
+        external
+        view
+        returns (
+            ScheduleType,
+            uint256,
+            Milestone[] memory
+        )
+    {
+        Program memory p = _programs[programId];
+
+        return (p.scheduleType, p.scheduleParam, _milestones[programId]);
+    }
+
+    /**
+     * @dev Returns whether the beneficiary of a given program is allowed to transfer it.
+     */
+    function isTransferable(uint256 programId) external view returns (bool) {
+        return _programs[programId].transferable;
+    }
+
+    /**
+     * @dev Returns the proposed new beneficiary of a given program (or zero if there isn't a pending transfer).
+     */
+    function getPendingBeneficiary(uint256 programId) external view returns (address) {
+        return _pendingBeneficiaries[programId];
+    }
+
+    /**
+     * @dev Returns the IDs of all the programs of a given beneficiary.
+     */
+    function getProgramIds(address beneficiary) external view returns (uint256[] memory) {
+        return _programIds[beneficiary];
+    }
+
+    /**
+     * @dev Returns the total unvested amount of all the programs of a given beneficiary, as of their last update.
+     */
+    function getUnvested(address beneficiary) external view returns (uint256) {
+        return _unvested[beneficiary];
+    }
+
+    /**
+     * @dev Returns the address which receives the claimed tokens of a given beneficiary.
+     */
+    function getClaimRecipient(address beneficiary) external view returns (address) {
+        return _claimRecipient(beneficiary);
+    }
+
+    /**
+     * @dev Returns the delegate of a given beneficiary.
+     */
+    function delegates(address beneficiary) external view returns (address) {
+        return _delegates[beneficiary];
+    }
+
+    /**
+     * @dev Returns the current voting power of a given account.
+     */
+    function getVotes(address account) external view returns (uint256) {
+        return _votes[account].latest();
+    }
+
+    /**
+     * @dev Returns the voting power of a given account at the end of a given (already mined) block.
+     */
+    function getPastVotes(address account, uint256 blockNumber) external view returns (uint256) {
+        require(blockNumber < block.number, "BLOCK_NOT_MINED");
+
+        return _votes[account].getAtBlock(blockNumber);
     }
 
     /**
@@ -60,73 +207,373 @@ contract PussyVesting is Ownable {
     }
 
     /**
-     * @dev Creates a new vesting program for a given owner.
+     * @dev Returns the amount of vesting tokens held by the contract which aren't allocated to any program.
+     */
+    function getUnallocated() external view returns (uint256) {
+        return _unallocated();
+    }
+
+    /**
+     * @dev Creates a new (revocable or irrevocable) linear vesting program for a given beneficiary and returns its ID.
+     * Please note that the part of the grant which isn't covered by the unallocated balance is transferred from the
+     * caller.
      */
     function addProgram(
-        address owner,
+        address beneficiary,
+        uint256 amount,
+        uint256 start,
+        uint256 cliff,
+        uint256 end,
+        bool revocable
+    ) external onlyOwner returns (uint256) {
+        return _addProgram(beneficiary, amount, start, cliff, end, revocable, ScheduleType.Linear, 0);
+    }
+
+    /**
+     * @dev Creates a batch of (revocable or irrevocable) linear vesting programs and returns their IDs.
+     */
+    function addPrograms(Grant[] calldata grants, bool revocable) external onlyOwner returns (uint256[] memory) {
+        uint256 length = grants.length;
+        require(length > 0, "INVALID_VALUE");
+
+        uint256[] memory programIds = new uint256[](length);
+        for (uint256 i = 0; i < length; i++) {
+            Grant calldata grant = grants[i];
+
+            programIds[i] = _addProgram(
+                grant.beneficiary,
+                grant.amount,
+                grant.start,
+                grant.cliff,
+                grant.end,
+                revocable,
+                ScheduleType.Linear,
+                0
+            );
+        }
+
+        return programIds;
+    }
+
+    /**
+     * @dev Returns the amount of a given Merkle distribution which wasn't activated yet and whether its programs are
+     * revocable.
+     */
+    function getMerkleDistribution(bytes32 root) external view returns (uint256, bool) {
+        MerkleDistribution memory d = _merkleDistributions[root];
+
+        return (d.remaining, d.revocable);
+    }
+
+    /**
+     * @dev Returns whether a given program of a Merkle distribution was already activated.
+     */
+    function isActivated(
+        bytes32 root,
+        address beneficiary,
         uint256 amount,
         uint256 start,
         uint256 cliff,
         uint256 end
+    ) external view returns (bool) {
+        return _activatedLeaves[root][_leaf(beneficiary, amount, start, cliff, end)];
+    }
+
+    /**
+     * @dev Commits the root of a Merkle tree of (beneficiary, amount, start, cliff, end) linear vesting programs, which
+     * the beneficiaries activate when claiming them for the first time. Please note that the part of the total amount
+     * which isn't covered by the unallocated balance is transferred from the caller.
+     */
+    function addMerkleRoot(
+        bytes32 root,
+        uint256 amount,
+        bool revocable
     ) external onlyOwner {
-        require(owner != address(0), "INVALID_ADDRESS");
+        require(root != bytes32(0), "INVALID_ROOT");
+        require(_merkleDistributions[root].remaining == 0, "ALREADY_EXISTS");
         require(amount > 0, "INVALID_AMOUNT");
-        require(start <= cliff && cliff <= end, "INVALID_TIME");
 
-        require(_programs[owner].amount == 0, "ALREADY_EXISTS");
+        _merkleDistributions[root] = MerkleDistribution({ remaining: amount, revocable: revocable });
 
-        _programs[owner] = Program({ amount: amount, start: start, cliff: cliff, end: end, claimed: 0 });
+        _fund(amount);
 
-        _totalVesting += amount;
+        emit MerkleRootAdded(root, amount, revocable);
+    }
+
+    /**
+     * @dev Removes a revocable Merkle distribution and returns the amount which wasn't activated yet to the
+     * unallocated balance. Please note that already activated programs aren't affected.
+     */
+    function removeMerkleRoot(bytes32 root) external onlyOwner {
+        MerkleDistribution memory d = _merkleDistributions[root];
+
+        require(d.remaining > 0, "INVALID_ROOT");
+        require(d.revocable, "NOT_REVOCABLE");
 
-        emit ProgramCreated(owner, amount);
+        delete _merkleDistributions[root];
+
+        _totalVesting -= d.remaining;
+
+        emit MerkleRootRemoved(root, d.remaining);
     }
 
     /**
-     * @dev Cancels an existing vesting program (including unclaimed vested tokens).
+     * @dev Creates a new vesting program with a given schedule type (other than milestones) and returns its ID. The
+     * schedule parameter is the period length of periodic programs and the percentage (in PPM) released at the cliff
+     * of cliff-percentage programs.
      */
-    function cancelProgram(address owner) external onlyOwner {
-        Program memory p = _programs[owner];
+    function addScheduledProgram(
+        address beneficiary,
+        uint256 amount,
+        uint256 start,
+        uint256 cliff,
+        uint256 end,
+        bool revocable,
+        ScheduleType scheduleType,
+        uint256 scheduleParam
+    ) external onlyOwner returns (uint256) {
+        if (scheduleType == ScheduleType.Periodic) {
+            require(scheduleParam > 0, "INVALID_VALUE");
+        } else if (scheduleType == ScheduleType.CliffPercentage) {
+            require(scheduleParam <= PPM_RESOLUTION, "INVALID_VALUE");
+        } else {
+            require(scheduleType == ScheduleType.Linear && scheduleParam == 0, "INVALID_VALUE");
+        }
 
-        require(p.amount > 0, "INVALID_ADDRESS");
+        return _addProgram(beneficiary, amount, start, cliff, end, revocable, scheduleType, scheduleParam);
+    }
 
-        _totalVesting -= p.amount - p.claimed;
+    /**
+     * @dev Creates a new vesting program which releases fixed amounts at specific (strictly increasing) times and
+     * returns its ID.
+     */
+    function addMilestoneProgram(
+        address beneficiary,
+        Milestone[] calldata milestones,
+        bool revocable
+    ) external onlyOwner returns (uint256) {
+        uint256 length = milestones.length;
+        require(length > 0 && length <= MAX_MILESTONES, "INVALID_VALUE");
+
+        uint256 amount = 0;
+        for (uint256 i = 0; i < length; i++) {
+            require(milestones[i].amount > 0, "INVALID_AMOUNT");
+            require(i == 0 || milestones[i].time > milestones[i - 1].time, "INVALID_TIME");
+
+            amount += milestones[i].amount;
+        }
 
-        delete _programs[owner];
+        uint256 programId = _addProgram(
+            beneficiary,
+            amount,
+            milestones[0].time,
+            milestones[0].time,
+            milestones[length - 1].time,
+            revocable,
+            ScheduleType.Milestones,
+            0
+        );
+
+        Milestone[] storage programMilestones = _milestones[programId];
+        for (uint256 i = 0; i < length; i++) {
+            programMilestones.push(milestones[i]);
+        }
 
-        emit ProgramCanceled(owner);
+        return programId;
     }
 
     /**
-     * @dev Returns the current claimable vested amount.
+     * @dev Cancels an existing revocable vesting program. Please note that the vested (but unclaimed) tokens are sent
+     * to the beneficiary, while the unvested tokens are returned to the unallocated balance.
      */
-    function getClaimable(address owner) external view returns (uint256) {
-        return _claimable(_programs[owner]);
+    function cancelProgram(uint256 programId) external onlyOwner {
+        Program memory p = _programs[programId];
+
+        require(p.amount > 0, "INVALID_PROGRAM");
+        require(p.revocable, "NOT_REVOCABLE");
+
+        uint256 vested = _claimable(programId, p);
+        uint256 unvested = p.amount - p.claimed - vested;
+
+        _totalVesting -= p.amount - p.claimed;
+
+        delete _programs[programId];
+        delete _milestones[programId];
+        delete _pendingBeneficiaries[programId];
+
+        _removeProgramId(p.beneficiary, programId);
+        _moveUnvested(p.beneficiary, address(0), p.unvested);
+
+        if (vested > 0) {
+            _token.safeTransfer(_claimRecipient(p.beneficiary), vested);
+        }
+
+        emit ProgramCanceled(programId, p.beneficiary, vested, unvested);
     }
 
     /**
-     * @dev Claims vested tokens and sends them to the owner.
+     * @dev Admin-only update of whether the beneficiary of a given program is allowed to transfer it.
      */
-    function claim() external {
-        Program storage p = _programs[msg.sender];
-        require(p.amount > 0, "INVALID_ADDRESS");
+    function setTransferable(uint256 programId, bool transferable) external onlyOwner {
+        Program storage p = _programs[programId];
 
-        uint256 unclaimed = _claimable(p);
-        if (unclaimed == 0) {
+        require(p.amount > 0, "INVALID_PROGRAM");
+
+        if (p.transferable == transferable) {
             return;
         }
 
-        p.claimed += unclaimed;
+        p.transferable = transferable;
 
-        _totalVesting -= unclaimed;
+        if (!transferable) {
+            delete _pendingBeneficiaries[programId];
+        }
+
+        emit TransferabilityUpdated(programId, transferable);
+    }
+
+    /**
+     * @dev Proposes to transfer a given program to a new beneficiary, which has to accept the transfer. Please note
+     * that proposing again overrides the previous proposal.
+     */
+    function proposeTransfer(uint256 programId, address newBeneficiary) external {
+        Program memory p = _programs[programId];
 
-        _token.safeTransfer(msg.sender, unclaimed);
+        require(p.amount > 0, "INVALID_PROGRAM");
+        require(p.beneficiary == msg.sender, "ACCESS_DENIED");
+        require(p.transferable, "NOT_TRANSFERABLE");
+        require(newBeneficiary != address(0) && newBeneficiary != p.beneficiary, "INVALID_ADDRESS");
 
-        emit Claimed(msg.sender, unclaimed);
+        _pendingBeneficiaries[programId] = newBeneficiary;
+
+        emit TransferProposed(programId, p.beneficiary, newBeneficiary);
+    }
+
+    /**
+     * @dev Accepts a pending transfer of a given program and moves the whole program (including its claimed amount)
+     * to the caller.
+     */
+    function acceptTransfer(uint256 programId) external {
+        Program storage p = _programs[programId];
+
+        require(p.amount > 0, "INVALID_PROGRAM");
+        require(_pendingBeneficiaries[programId] == msg.sender, "ACCESS_DENIED");
+        require(p.transferable, "NOT_TRANSFERABLE");
+
+        address prevBeneficiary = p.beneficiary;
+
+        _updateUnvested(programId, p);
+
+        p.beneficiary = msg.sender;
+        delete _pendingBeneficiaries[programId];
+
+        _removeProgramId(prevBeneficiary, programId);
+        _programIds[msg.sender].push(programId);
+        _moveUnvested(prevBeneficiary, msg.sender, p.unvested);
+
+        emit ProgramTransferred(programId, prevBeneficiary, msg.sender);
     }
 
     /**
-     * @dev Admin-only emergency transfer of contract's funds.
+     * @dev Sets the address which receives the claimed tokens of all the programs of msg.sender (or resets it when set
+     * to zero).
+     */
+    function setClaimRecipient(address recipient) external {
+        _claimRecipients[msg.sender] = recipient;
+
+        emit ClaimRecipientUpdated(msg.sender, _claimRecipient(msg.sender));
+    }
+
+    /**
+     * @dev Delegates the voting power of the unvested amount of all the programs of msg.sender. Please note that,
+     * similarly to ERC20Votes, the voting power isn't counted until it's delegated (including to msg.sender itself).
+     */
+    function delegate(address delegatee) external {
+        _updateVotingPower(msg.sender);
+
+        address currentDelegate = _delegates[msg.sender];
+
+        _delegates[msg.sender] = delegatee;
+
+        emit DelegateChanged(msg.sender, currentDelegate, delegatee);
+
+        _moveVotingPower(currentDelegate, delegatee, _unvested[msg.sender]);
+    }
+
+    /**
+     * @dev Releases the voting power of the tokens which have vested since the last update of all the programs of a
+     * given beneficiary. Please note that anyone can call it (e.g., before a governance snapshot), since vested tokens
+     * aren't counted as voting power even if they weren't claimed yet.
+     */
+    function updateVotingPower(address beneficiary) external {
+        _updateVotingPower(beneficiary);
+    }
+
+    /**
+     * @dev Returns the current claimable vested amount of a given program.
+     */
+    function getClaimable(uint256 programId) external view returns (uint256) {
+        return _claimable(programId, _programs[programId]);
+    }
+
+    /**
+     * @dev Claims vested tokens of a given program and sends them to its beneficiary.
+     */
+    function claim(uint256 programId) external {
+        Program storage p = _programs[programId];
+        require(p.amount > 0, "INVALID_PROGRAM");
+        require(p.beneficiary == msg.sender, "ACCESS_DENIED");
+
+        _claim(programId, p);
+    }
+
+    /**
+     * @dev Activates a program of a Merkle distribution for msg.sender, claims its vested tokens, and returns its ID.
+     * Once activated, the program should be claimed via its ID.
+     */
+    function claimWithProof(
+        bytes32 root,
+        uint256 amount,
+        uint256 start,
+        uint256 cliff,
+        uint256 end,
+        bytes32[] calldata proof
+    ) external returns (uint256) {
+        MerkleDistribution storage d = _merkleDistributions[root];
+        require(d.remaining > 0, "INVALID_ROOT");
+
+        bytes32 leaf = _leaf(msg.sender, amount, start, cliff, end);
+        require(!_activatedLeaves[root][leaf], "ALREADY_ACTIVATED");
+        require(MerkleProof.verify(proof, root, leaf), "INVALID_PROOF");
+        require(amount <= d.remaining, "INVALID_AMOUNT");
+
+        _activatedLeaves[root][leaf] = true;
+        d.remaining -= amount;
+
+        uint256 programId = _createProgram(msg.sender, amount, start, cliff, end, d.revocable, ScheduleType.Linear, 0);
+
+        emit ProgramActivated(root, programId, msg.sender);
+
+        _claim(programId, _programs[programId]);
+
+        return programId;
+    }
+
+    /**
+     * @dev Claims vested tokens of all the programs of msg.sender.
+     */
+    function claimAll() external {
+        uint256[] memory programIds = _programIds[msg.sender];
+        require(programIds.length > 0, "INVALID_ADDRESS");
+
+        for (uint256 i = 0; i < programIds.length; i++) {
+            _claim(programIds[i], _programs[programIds[i]]);
+        }
+    }
+
+    /**
+     * @dev Admin-only emergency transfer of contract's funds. Please note that vesting tokens which are allocated to
+     * programs are excluded.
      */
     function withdraw(
         IERC20 token,
@@ -134,19 +581,240 @@ contract PussyVesting is Ownable {
         uint256 amount
     ) external onlyOwner {
         require(target != address(0), "INVALID_ADDRESS");
+        require(token != _token || amount <= _unallocated(), "INVALID_AMOUNT");
 
         token.safeTransfer(target, amount);
     }
 
+    /**
+     * @dev Creates and funds a new vesting program and returns its ID.
+     */
+    function _addProgram(
+        address beneficiary,
+        uint256 amount,
+        uint256 start,
+        uint256 cliff,
+        uint256 end,
+        bool revocable,
+        ScheduleType scheduleType,
+        uint256 scheduleParam
+    ) private returns (uint256) {
+        uint256 programId = _createProgram(
+            beneficiary,
+            amount,
+            start,
+            cliff,
+            end,
+            revocable,
+            scheduleType,
+            scheduleParam
+        );
+
+        _fund(amount);
+
+        return programId;
+    }
+
+    /**
+     * @dev Allocates vesting tokens and transfers the part which isn't covered by the unallocated balance from the
+     * caller.
+     */
+    function _fund(uint256 amount) private {
+        uint256 unallocated = _unallocated();
+
+        _totalVesting += amount;
+
+        if (amount > unallocated) {
+            _token.safeTransferFrom(msg.sender, address(this), amount - unallocated);
+        }
+    }
+
+    /**
+     * @dev Creates a new (already funded) vesting program and returns its ID.
+     */
+    function _createProgram(
+        address beneficiary,
+        uint256 amount,
+        uint256 start,
+        uint256 cliff,
+        uint256 end,
+        bool revocable,
+        ScheduleType scheduleType,
+        uint256 scheduleParam
+    ) private returns (uint256) {
+        require(beneficiary != address(0), "INVALID_ADDRESS");
+        require(amount > 0, "INVALID_AMOUNT");
+        require(start <= cliff && cliff <= end, "INVALID_TIME");
+
+        uint256 programId = _nextProgramId++;
+
+        _programs[programId] = Program({
+            beneficiary: beneficiary,
+            amount: amount,
+            start: start,
+            cliff: cliff,
+            end: end,
+            claimed: 0,
+            revocable: revocable,
+            transferable: true,
+            scheduleType: scheduleType,
+            scheduleParam: scheduleParam,
+            unvested: amount
+        });
+        _programIds[beneficiary].push(programId);
+        _moveUnvested(address(0), beneficiary, amount);
+
+        emit ProgramCreated(programId, beneficiary, amount);
+
+        return programId;
+    }
+
+    /**
+     * @dev Returns the Merkle tree leaf of a given program (double hashed to prevent second preimage attacks).
+     */
+    function _leaf(
+        address beneficiary,
+        uint256 amount,
+        uint256 start,
+        uint256 cliff,
+        uint256 end
+    ) private pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(beneficiary, amount, start, cliff, end))));
+    }
+
+    /**
+     * @dev Removes a program from the list of the programs of a given beneficiary.
+     */
+    function _removeProgramId(address beneficiary, uint256 programId) private {
+        uint256[] storage programIds = _programIds[beneficiary];
+        uint256 length = programIds.length;
+        for (uint256 i = 0; i < length; i++) {
+            if (programIds[i] == programId) {
+                programIds[i] = programIds[length - 1];
+                programIds.pop();
+
+                break;
+            }
+        }
+    }
+
+    /**
+     * @dev Claims vested tokens of a given program and sends them to its beneficiary.
+     */
+    function _claim(uint256 programId, Program storage p) private {
+        _updateUnvested(programId, p);
+
+        uint256 unclaimed = _claimable(programId, p);
+        if (unclaimed == 0) {
+            return;
+        }
+
+        p.claimed += unclaimed;
+
+        _totalVesting -= unclaimed;
+
+        _token.safeTransfer(_claimRecipient(p.beneficiary), unclaimed);
+
+        emit Claimed(programId, p.beneficiary, unclaimed);
+    }
+
+    /**
+     * @dev Returns the address which receives the claimed tokens of a given beneficiary.
+     */
+    function _claimRecipient(address beneficiary) private view returns (address) {
+        address recipient = _claimRecipients[beneficiary];
+
+        return recipient == address(0) ? beneficiary : recipient;
+    }
+
+    /**
+     * @dev Releases the voting power of the tokens of a given program which have vested since its last update.
+     */
+    function _updateUnvested(uint256 programId, Program storage p) private {
+        uint256 unvested = p.amount - _vested(programId, p);
+        if (unvested >= p.unvested) {
+            return;
+        }
+
+        _moveUnvested(p.beneficiary, address(0), p.unvested - unvested);
+
+        p.unvested = unvested;
+    }
+
+    /**
+     * @dev Releases the voting power of the tokens which have vested since the last update of all the programs of a
+     * given beneficiary.
+     */
+    function _updateVotingPower(address beneficiary) private {
+        uint256[] memory programIds = _programIds[beneficiary];
+        for (uint256 i = 0; i < programIds.length; i++) {
+            _updateUnvested(programIds[i], _programs[programIds[i]]);
+        }
+    }
+
+    /**
+     * @dev Moves unvested amount between beneficiaries (where zero represents allocating or releasing it), along with
+     * the voting power of their delegates.
+     */
+    function _moveUnvested(
+        address from,
+        address to,
+        uint256 amount
+    ) private {
+        if (from != address(0)) {
+            _unvested[from] -= amount;
+        }
+
+        if (to != address(0)) {
+            _unvested[to] += amount;
+        }
+
+        _moveVotingPower(_delegates[from], _delegates[to], amount);
+    }
+
+    /**
+     * @dev Moves voting power between delegates.
+     */
+    function _moveVotingPower(
+        address from,
+        address to,
+        uint256 amount
+    ) private {
+        if (from == to || amount == 0) {
+            return;
+        }
+
+        if (from != address(0)) {
+            (uint256 prevVotes, uint256 newVotes) = _votes[from].push(_votes[from].latest() - amount);
+
+            emit DelegateVotesChanged(from, prevVotes, newVotes);
+        }
+
+        if (to != address(0)) {
+            (uint256 prevVotes, uint256 newVotes) = _votes[to].push(_votes[to].latest() + amount);
+
+            emit DelegateVotesChanged(to, prevVotes, newVotes);
+        }
+    }
+
+    /**
+     * @dev Returns the amount of vesting tokens held by the contract which aren't allocated to any program.
+     */
+    function _unallocated() private view returns (uint256) {
+        uint256 balance = _token.balanceOf(address(this));
+
+        return balance > _totalVesting ? balance - _totalVesting : 0;
+    }
+
     /**
      * @dev Returns the current claimable amount.
      */
-    function _claimable(Program memory p) private view returns (uint256) {
+    function _claimable(uint256 programId, Program memory p) private view returns (uint256) {
         if (p.amount == 0) {
             return 0;
         }
 
-        uint256 vested = _vested(p);
+        uint256 vested = _vested(programId, p);
         if (vested == 0) {
             return 0;
         }
@@ -155,9 +823,9 @@ contract PussyVesting is Ownable {
     }
 
     /**
-     * @dev Returns the current claimable amount for a owner at the specific time.
+     * @dev Returns the current vested amount of a given program.
      */
-    function _vested(Program memory p) private view returns (uint256) {
+    function _vested(uint256 programId, Program memory p) private view returns (uint256) {
         uint256 time = _time();
 
         if (time < p.cliff) {
@@ -168,6 +836,31 @@ contract PussyVesting is Ownable {
             return p.amount;
         }
 
+        if (p.scheduleType == ScheduleType.Periodic) {
+            // Only vest whole periods: claimable = amount * ((elapsed periods * period) / (end - start)).
+            uint256 elapsed = time - p.start;
+
+            return (p.amount * (elapsed - (elapsed % p.scheduleParam))) / (p.end - p.start);
+        }
+
+        if (p.scheduleType == ScheduleType.CliffPercentage) {
+            // Release the cliff amount and interpolate the rest between the cliff and the end.
+            uint256 cliffAmount = (p.amount * p.scheduleParam) / PPM_RESOLUTION;
+
+            return cliffAmount + ((p.amount - cliffAmount) * (time - p.cliff)) / (p.end - p.cliff);
+        }
+
+        if (p.scheduleType == ScheduleType.Milestones) {
+            Milestone[] storage milestones = _milestones[programId];
+
+            uint256 vested = 0;
+            for (uint256 i = 0; i < milestones.length && milestones[i].time <= time; i++) {
+                vested += milestones[i].amount;
+            }
+
+            return vested;
+        }
+
         // Interpolate vesting: claimable = amount * ((time - start) / (end - start)).
         return (p.amount * (time - p.start)) / (p.end - p.start);
     }
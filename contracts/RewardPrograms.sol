@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.13;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @dev The reward-per-token accounting of a reward program, which is shared by PussyFarm and PussyFarmManager.
+ */
+library RewardPrograms {
+    uint256 internal constant RATE_FACTOR = 1e18;
+
+    struct RewardProgram {
+        IERC20 rewardToken;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 rewardRate;
+        uint256 totalRewards;
+        uint256 totalClaimed;
+        uint256 totalForfeited; // the rewards which can't be distributed (e.g., of the periods without any weight)
+        uint256 lastUpdateTime;
+        uint256 rewardPerTokenStored;
+    }
+
+    /**
+     * @dev Updates the stored reward per-token amount of a given program, while forfeiting the rewards of the period
+     * since the last update if there was no weight to distribute them to.
+     */
+    function update(
+        RewardProgram storage program,
+        uint256 totalWeight,
+        uint256 time
+    ) internal {
+        if (totalWeight == 0) {
+            uint256 stakingEndTime = Math.min(time, program.endTime);
+            uint256 stakingStartTime = Math.max(program.startTime, program.lastUpdateTime);
+            if (stakingEndTime > stakingStartTime) {
+                program.totalForfeited += (stakingEndTime - stakingStartTime) * program.rewardRate;
+            }
+        }
+
+        program.rewardPerTokenStored = rewardPerToken(program, totalWeight, time);
+        program.lastUpdateTime = Math.min(time, program.endTime);
+    }
+
+    /**
+     * @dev Distributes additional rewards to the given weight (or forfeits them if there is none) and returns the
+     * added reward per-token amount (assumes that the program was already updated).
+     */
+    function distribute(
+        RewardProgram storage program,
+        uint256 reward,
+        uint256 totalWeight
+    ) internal returns (uint256) {
+        if (totalWeight == 0) {
+            program.totalForfeited += reward;
+
+            return 0;
+        }
+
+        uint256 addedRewardPerToken = (reward * RATE_FACTOR) / totalWeight;
+        program.rewardPerTokenStored += addedRewardPerToken;
+
+        return addedRewardPerToken;
+    }
+
+    /**
+     * @dev Calculates the current reward per-token amount of a given program.
+     */
+    function rewardPerToken(
+        RewardProgram storage program,
+        uint256 totalWeight,
+        uint256 time
+    ) internal view returns (uint256) {
+        if (totalWeight == 0 || time < program.startTime) {
+            return program.rewardPerTokenStored;
+        }
+
+        uint256 stakingEndTime = Math.min(time, program.endTime);
+        uint256 stakingStartTime = Math.max(program.startTime, program.lastUpdateTime);
+        if (stakingStartTime >= stakingEndTime) {
+            return program.rewardPerTokenStored;
+        }
+
+        return
+            program.rewardPerTokenStored +
+            ((stakingEndTime - stakingStartTime) * program.rewardRate * RATE_FACTOR) /
+            totalWeight;
+    }
+
+    /**
+     * @dev Calculates the rewards earned by a given weight since its reward per-token amount was last paid.
+     */
+    function earned(
+        RewardProgram storage program,
+        uint256 totalWeight,
+        uint256 time,
+        uint256 weight,
+        uint256 rewardPerTokenPaid
+    ) internal view returns (uint256) {
+        return (weight * (rewardPerToken(program, totalWeight, time) - rewardPerTokenPaid)) / RATE_FACTOR;
+    }
+
+    /**
+     * @dev Returns the rewards of a given program which weren't claimed or forfeited yet.
+     */
+    function unclaimed(RewardProgram storage program) internal view returns (uint256) {
+        return program.totalRewards - program.totalClaimed - program.totalForfeited;
+    }
+}
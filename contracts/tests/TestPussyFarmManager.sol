@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.13;
+
+import "../PussyFarmManager.sol";
+
+contract TestPussyFarmManager is PussyFarmManager {
+    uint256 private _currentTime;
+
+    function _time() internal view virtual override returns (uint256) {
+        return _currentTime != 0 ? _currentTime : super._time();
+    }
+
+    function setTime(uint256 newCurrentTime) external {
+        _currentTime = newCurrentTime;
+    }
+
+    function time() external view returns (uint256) {
+        return _time();
+    }
+}
@@ -11,8 +11,10 @@ contract TestPussyHODLFarm is PussyHODLFarm {
         IERC20 rewardToken,
         uint256 startTime,
         uint256 endTime,
-        uint256 rewardRate
-    ) PussyHODLFarm(stakeToken, rewardToken, startTime, endTime, rewardRate) {}
+        uint256 rewardRate,
+        uint32 earlyWithdrawalPenalty,
+        address dao
+    ) PussyHODLFarm(stakeToken, rewardToken, startTime, endTime, rewardRate, earlyWithdrawalPenalty, dao) {}
 
     function _time() internal view virtual override returns (uint256) {
         return _currentTime != 0 ? _currentTime : super._time();
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.13;
+
+import "../PussyNFT.sol";
+
+contract TestPussyNFT is PussyNFT {
+    uint256 private _currentTime;
+
+    constructor(
+        IERC20 token,
+        address dao,
+        uint256 maxSupply,
+        uint256 mintPrice,
+        uint256 mintStartTime,
+        string memory tempUri,
+        bytes32 provenanceHash
+    ) PussyNFT(token, dao, maxSupply, mintPrice, mintStartTime, tempUri, provenanceHash) {}
+
+    function _time() internal view virtual override returns (uint256) {
+        return _currentTime != 0 ? _currentTime : super._time();
+    }
+
+    function setTime(uint256 newCurrentTime) external {
+        _currentTime = newCurrentTime;
+    }
+
+    function time() external view returns (uint256) {
+        return _time();
+    }
+}
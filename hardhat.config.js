@@ -3,6 +3,10 @@ require('@nomiclabs/hardhat-ethers');
 
 require('solidity-coverage');
 
+require('./tasks/addVestingPrograms');
+require('./tasks/buildNFTAllowlist');
+require('./tasks/buildVestingMerkleTree');
+
 const { BigNumber } = require('ethers');
 
 module.exports = {
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const { task, types } = require('hardhat/config');
+
+const { parseGrants } = require('../utils/Vesting');
+
+const DEFAULT_BATCH_SIZE = 20;
+const DEFAULT_MAX_BATCH_GAS = 8000000;
+
+// Splits the grants into batches of up to batchSize programs, while halving every batch whose estimated gas exceeds
+// the limit
+const splitBatches = async (vesting, grants, revocable, batchSize, maxBatchGas) => {
+    const batches = [];
+
+    let offset = 0;
+    while (offset < grants.length) {
+        let size = Math.min(batchSize, grants.length - offset);
+        let batch = grants.slice(offset, offset + size);
+
+        while (size > 1 && (await vesting.estimateGas.addPrograms(batch, revocable)).gt(maxBatchGas)) {
+            size = Math.ceil(size / 2);
+            batch = grants.slice(offset, offset + size);
+        }
+
+        batches.push(batch);
+        offset += size;
+    }
+
+    return batches;
+};
+
+task('add-vesting-programs', 'Creates PussyVesting programs from a CSV file of (address, amount, start, cliff, end)')
+    .addParam('vesting', 'The address of the PussyVesting contract')
+    .addParam('file', 'The path of the CSV file')
+    .addOptionalParam('decimals', 'The decimals of the amounts', 18, types.int)
+    .addOptionalParam('batchSize', 'The maximum number of programs per transaction', DEFAULT_BATCH_SIZE, types.int)
+    .addOptionalParam('maxBatchGas', 'The maximum gas per transaction', DEFAULT_MAX_BATCH_GAS, types.int)
+    .addFlag('revocable', 'Whether the programs are revocable')
+    .addFlag('dryRun', 'Only validate the file and print the summary')
+    .setAction(async (args, { ethers }) => {
+        const { vesting: vestingAddress, file, decimals, batchSize, maxBatchGas, revocable, dryRun } = args;
+        const {
+            utils: { formatUnits }
+        } = ethers;
+
+        if (batchSize <= 0) {
+            throw new Error('Invalid batch size');
+        }
+
+        const { grants, errors } = parseGrants(file, fs.readFileSync(file, 'utf8'), decimals);
+        if (errors.length > 0) {
+            throw new Error(`Invalid file ${file}:\n${errors.join('\n')}`);
+        }
+
+        if (grants.length === 0) {
+            throw new Error(`No programs found in ${file}`);
+        }
+
+        const [signer] = await ethers.getSigners();
+        const vesting = await ethers.getContractAt('PussyVesting', vestingAddress, signer);
+        const token = await ethers.getContractAt('IERC20', await vesting.getToken(), signer);
+
+        const total = grants.reduce((res, { amount }) => res.add(amount), ethers.BigNumber.from(0));
+        const unallocated = await vesting.getUnallocated();
+        const required = total.gt(unallocated) ? total.sub(unallocated) : ethers.BigNumber.from(0);
+
+        console.log(`Programs: ${grants.length} (${revocable ? 'revocable' : 'irrevocable'})`);
+        console.log(`Beneficiaries: ${new Set(grants.map(({ beneficiary }) => beneficiary)).size}`);
+        console.log(`Total amount: ${formatUnits(total, decimals)}`);
+        console.log(`Unallocated balance: ${formatUnits(unallocated, decimals)}`);
+        console.log(`Required funding from ${signer.address}: ${formatUnits(required, decimals)}`);
+        console.log(`Earliest start: ${new Date(Math.min(...grants.map(({ start }) => start)) * 1000).toISOString()}`);
+        console.log(`Latest end: ${new Date(Math.max(...grants.map(({ end }) => end)) * 1000).toISOString()}`);
+
+        if (dryRun) {
+            return;
+        }
+
+        if (required.gt(0) && (await token.allowance(signer.address, vesting.address)).lt(required)) {
+            console.log(`Approving ${formatUnits(required, decimals)}...`);
+
+            await (await token.approve(vesting.address, required)).wait();
+        }
+
+        const batches = await splitBatches(vesting, grants, revocable, batchSize, maxBatchGas);
+        for (const [index, batch] of batches.entries()) {
+            const res = await vesting.addPrograms(batch, revocable);
+            const { gasUsed } = await res.wait();
+
+            console.log(`Batch ${index + 1}/${batches.length}: ${batch.length} programs (${res.hash}, gas ${gasUsed})`);
+        }
+    });
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const { task } = require('hardhat/config');
+
+const MerkleTree = require('../utils/MerkleTree');
+const { parseAllowlist, getLeaf } = require('../utils/Allowlist');
+
+task('build-nft-allowlist', 'Builds the Merkle tree of a CSV/JSON file of (address, cap) PussyNFT presale entries')
+    .addParam('file', 'The path of the CSV/JSON file')
+    .addParam('output', 'The path of the proofs file')
+    .setAction(async ({ file, output }) => {
+        const { entries, errors } = parseAllowlist(file, fs.readFileSync(file, 'utf8'));
+        if (errors.length > 0) {
+            throw new Error(`Invalid file ${file}:\n${errors.join('\n')}`);
+        }
+
+        if (entries.length === 0) {
+            throw new Error(`No entries found in ${file}`);
+        }
+
+        const leaves = entries.map((entry) => getLeaf(entry));
+        const tree = new MerkleTree(leaves);
+
+        const proofs = {
+            root: tree.getRoot(),
+            allowlist: Object.fromEntries(
+                entries.map(({ account, cap }, index) => [account, { cap, proof: tree.getProof(leaves[index]) }])
+            )
+        };
+
+        fs.writeFileSync(output, JSON.stringify(proofs, null, 4));
+
+        console.log(`Addresses: ${entries.length}`);
+        console.log(`Total cap: ${entries.reduce((res, { cap }) => res + cap, 0)}`);
+        console.log(`Merkle root: ${proofs.root}`);
+        console.log(`Proofs were written to ${output}`);
+    });
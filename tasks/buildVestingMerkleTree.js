@@ -0,0 +1,55 @@
+const fs = require('fs');
+const { task, types } = require('hardhat/config');
+
+const MerkleTree = require('../utils/MerkleTree');
+const { parseGrants, getLeaf } = require('../utils/Vesting');
+
+task(
+    'build-vesting-merkle-tree',
+    'Builds the Merkle tree of a CSV/JSON file of (address, amount, start, cliff, end) PussyVesting programs'
+)
+    .addParam('file', 'The path of the CSV/JSON file')
+    .addParam('output', 'The path of the proofs file')
+    .addOptionalParam('decimals', 'The decimals of the amounts', 18, types.int)
+    .setAction(async ({ file, output, decimals }, { ethers }) => {
+        const {
+            utils: { formatUnits }
+        } = ethers;
+
+        const { grants, errors } = parseGrants(file, fs.readFileSync(file, 'utf8'), decimals);
+        if (errors.length > 0) {
+            throw new Error(`Invalid file ${file}:\n${errors.join('\n')}`);
+        }
+
+        if (grants.length === 0) {
+            throw new Error(`No programs found in ${file}`);
+        }
+
+        const leaves = grants.map((grant) => getLeaf(grant));
+        const tree = new MerkleTree(leaves);
+        const total = grants.reduce((res, { amount }) => res.add(amount), ethers.BigNumber.from(0));
+
+        const proofs = {
+            root: tree.getRoot(),
+            total: total.toString(),
+            programs: Object.fromEntries(
+                grants.map(({ beneficiary, amount, start, cliff, end }, index) => [
+                    beneficiary,
+                    {
+                        amount: amount.toString(),
+                        start,
+                        cliff,
+                        end,
+                        proof: tree.getProof(leaves[index])
+                    }
+                ])
+            )
+        };
+
+        fs.writeFileSync(output, JSON.stringify(proofs, null, 4));
+
+        console.log(`Programs: ${grants.length}`);
+        console.log(`Total amount: ${formatUnits(total, decimals)} (${total})`);
+        console.log(`Merkle root: ${proofs.root}`);
+        console.log(`Proofs were written to ${output}`);
+    });
@@ -5,9 +5,10 @@ const Decimal = require('decimal.js');
 
 const { duration, latest } = require('./helpers/Time');
 const Contracts = require('./helpers/Contracts');
+const { signPermit } = require('./helpers/Permit');
 
 const {
-    constants: { AddressZero: ZERO_ADDRESS }
+    constants: { AddressZero: ZERO_ADDRESS, MaxUint256: MAX_UINT256 }
 } = ethers;
 
 describe('PussyFarm', () => {
@@ -125,6 +126,7 @@ describe('PussyFarm', () => {
             expect(program[3]).to.equal(endTime.sub(startTime).mul(rewardRate));
 
             expect(await pussyFarm.getTotalStaked()).to.equal(BigNumber.from(0));
+            expect(await pussyFarm.isLocking()).to.be.false;
             expect(await pussyFarm.time()).to.equal(await latest());
         });
     });
@@ -179,6 +181,8 @@ describe('PussyFarm', () => {
             expect(await pussyFarm.getClaimed(account.address)).to.equal(prevClaimed);
             expect(await pussyFarm.getStake(account.address)).to.equal(stakeAmounts[account.address]);
             expect(await pussyFarm.getTotalStaked()).to.equal(totalStakedAmount);
+            expect(await pussyFarm.getWeight(account.address)).to.equal(stakeAmounts[account.address]);
+            expect(await pussyFarm.getTotalWeight()).to.equal(totalStakedAmount);
         };
 
         const withdraw = async (account, amount) => {
@@ -205,6 +209,8 @@ describe('PussyFarm', () => {
             expect(await pussyFarm.getClaimed(account.address)).to.equal(prevClaimed.add(claimable));
             expect(await pussyFarm.getStake(account.address)).to.equal(stakeAmounts[account.address]);
             expect(await pussyFarm.getTotalStaked()).to.equal(totalStakedAmount);
+            expect(await pussyFarm.getWeight(account.address)).to.equal(stakeAmounts[account.address]);
+            expect(await pussyFarm.getTotalWeight()).to.equal(totalStakedAmount);
             expect(await pussyFarm.getPendingRewards(account.address)).to.equal(BigNumber.from(0));
         };
 
@@ -510,6 +516,1176 @@ describe('PussyFarm', () => {
         });
     });
 
+    describe('program updates', () => {
+        const REWARDS_DURATION = duration.days(30);
+        const REWARD_RATE = BigNumber.from(1000);
+
+        let programStartTime;
+        let programEndTime;
+        let staker;
+
+        const STAKE_AMOUNT = BigNumber.from(1_000_000);
+
+        beforeEach(async () => {
+            staker = accounts[2];
+
+            programStartTime = now.add(duration.days(1));
+            programEndTime = programStartTime.add(REWARDS_DURATION);
+
+            pussyFarm = await Contracts.TestPussyFarm.deploy(
+                stakeToken.address,
+                rewardToken.address,
+                programStartTime,
+                programEndTime,
+                REWARD_RATE
+            );
+
+            await rewardToken.transfer(pussyFarm.address, TOTAL_SUPPLY.div(BigNumber.from(2)));
+
+            await stakeToken.transfer(staker.address, STAKE_AMOUNT);
+            await stakeToken.connect(staker).approve(pussyFarm.address, STAKE_AMOUNT);
+            await pussyFarm.connect(staker).stake(STAKE_AMOUNT);
+        });
+
+        it('should revert when a non-owner attempts to update the program', async () => {
+            await expect(
+                pussyFarm.connect(nonOwner).extendProgram(programEndTime.add(duration.days(1)))
+            ).to.be.revertedWith('Ownable: caller is not the owner');
+
+            await expect(pussyFarm.connect(nonOwner).setRewardRate(REWARD_RATE.mul(2))).to.be.revertedWith(
+                'Ownable: caller is not the owner'
+            );
+        });
+
+        it('should revert when extending the program to an earlier end time', async () => {
+            await expect(pussyFarm.extendProgram(programEndTime)).to.be.revertedWith('INVALID_DURATION');
+            await expect(pussyFarm.extendProgram(programEndTime.sub(duration.days(1)))).to.be.revertedWith(
+                'INVALID_DURATION'
+            );
+        });
+
+        it('should revert when setting an invalid reward rate', async () => {
+            await expect(pussyFarm.setRewardRate(BigNumber.from(0))).to.be.revertedWith('INVALID_VALUE');
+        });
+
+        it('should revert when updating an ended program', async () => {
+            await setTime(programEndTime);
+
+            await expect(pussyFarm.extendProgram(programEndTime.add(duration.days(1)))).to.be.revertedWith(
+                'PROGRAM_ENDED'
+            );
+            await expect(pussyFarm.setRewardRate(REWARD_RATE.mul(2))).to.be.revertedWith('PROGRAM_ENDED');
+        });
+
+        it('should extend the program', async () => {
+            const extension = duration.days(10);
+            const newEndTime = programEndTime.add(extension);
+
+            await setTime(programStartTime.add(duration.days(5)));
+
+            const res = await pussyFarm.extendProgram(newEndTime);
+            await expect(res).to.emit(pussyFarm, 'ProgramUpdated').withArgs(newEndTime, REWARD_RATE);
+
+            const program = await pussyFarm.getProgram();
+            expect(program[0]).to.equal(programStartTime);
+            expect(program[1]).to.equal(newEndTime);
+            expect(program[2]).to.equal(REWARD_RATE);
+            expect(program[3]).to.equal(REWARDS_DURATION.add(extension).mul(REWARD_RATE));
+
+            await setTime(newEndTime.add(duration.days(1)));
+
+            expect(await pussyFarm.getPendingRewards(staker.address)).to.equal(
+                REWARDS_DURATION.add(extension).mul(REWARD_RATE)
+            );
+        });
+
+        it('should preserve the rewards earned under the previous rate', async () => {
+            const newRewardRate = REWARD_RATE.mul(3);
+            const elapsed = duration.days(5);
+
+            await setTime(programStartTime.add(elapsed));
+
+            const prevReward = await pussyFarm.getPendingRewards(staker.address);
+            expect(prevReward).to.equal(elapsed.mul(REWARD_RATE));
+
+            const res = await pussyFarm.setRewardRate(newRewardRate);
+            await expect(res).to.emit(pussyFarm, 'ProgramUpdated').withArgs(programEndTime, newRewardRate);
+
+            expect(await pussyFarm.getPendingRewards(staker.address)).to.equal(prevReward);
+
+            const program = await pussyFarm.getProgram();
+            expect(program[1]).to.equal(programEndTime);
+            expect(program[2]).to.equal(newRewardRate);
+            expect(program[3]).to.equal(elapsed.mul(REWARD_RATE).add(REWARDS_DURATION.sub(elapsed).mul(newRewardRate)));
+
+            await setTime(now.add(duration.days(1)));
+
+            expect(await pussyFarm.getPendingRewards(staker.address)).to.equal(
+                prevReward.add(duration.days(1).mul(newRewardRate))
+            );
+
+            await setTime(programEndTime.add(duration.days(1)));
+
+            expect(await pussyFarm.getPendingRewards(staker.address)).to.equal(program[3]);
+        });
+
+        it('should apply a new reward rate to the whole program before it has started', async () => {
+            const newRewardRate = REWARD_RATE.div(2);
+
+            await pussyFarm.setRewardRate(newRewardRate);
+
+            const program = await pussyFarm.getProgram();
+            expect(program[3]).to.equal(REWARDS_DURATION.mul(newRewardRate));
+
+            await setTime(programEndTime);
+
+            expect(await pussyFarm.getPendingRewards(staker.address)).to.equal(program[3]);
+        });
+    });
+
+    describe('reward solvency', () => {
+        const REWARDS_DURATION = duration.days(10);
+        const REWARD_RATE = BigNumber.from(1000);
+        const TOTAL_REWARDS = REWARDS_DURATION.mul(REWARD_RATE);
+        const STAKE_AMOUNT = BigNumber.from(1_000_000);
+
+        let programStartTime;
+        let programEndTime;
+        let staker;
+
+        const stake = async (amount) => {
+            await stakeToken.transfer(staker.address, amount);
+            await stakeToken.connect(staker).approve(pussyFarm.address, amount);
+
+            return pussyFarm.connect(staker).stake(amount);
+        };
+
+        beforeEach(async () => {
+            staker = accounts[2];
+
+            programStartTime = now.add(duration.days(1));
+            programEndTime = programStartTime.add(REWARDS_DURATION);
+
+            pussyFarm = await Contracts.TestPussyFarm.deploy(
+                stakeToken.address,
+                rewardToken.address,
+                programStartTime,
+                programEndTime,
+                REWARD_RATE
+            );
+        });
+
+        it('should report the reward shortfall', async () => {
+            expect(await pussyFarm.getRewardShortfall()).to.equal(TOTAL_REWARDS);
+
+            const amount = BigNumber.from(1000);
+            await rewardToken.transfer(pussyFarm.address, amount);
+            expect(await pussyFarm.getRewardShortfall()).to.equal(TOTAL_REWARDS.sub(amount));
+
+            await rewardToken.transfer(pussyFarm.address, TOTAL_REWARDS);
+            expect(await pussyFarm.getRewardShortfall()).to.equal(BigNumber.from(0));
+        });
+
+        it('should revert when staking into an underfunded program', async () => {
+            await rewardToken.transfer(pussyFarm.address, TOTAL_REWARDS.sub(BigNumber.from(1)));
+
+            await expect(stake(STAKE_AMOUNT)).to.be.revertedWith('INSUFFICIENT_REWARDS');
+
+            await rewardToken.transfer(pussyFarm.address, BigNumber.from(1));
+
+            await stake(STAKE_AMOUNT);
+        });
+
+        it('should revert when staking into an underfunded extended program', async () => {
+            await rewardToken.transfer(pussyFarm.address, TOTAL_REWARDS);
+            await stake(STAKE_AMOUNT);
+
+            await pussyFarm.extendProgram(programEndTime.add(duration.days(1)));
+            expect(await pussyFarm.getRewardShortfall()).to.equal(duration.days(1).mul(REWARD_RATE));
+
+            await expect(stake(STAKE_AMOUNT)).to.be.revertedWith('INSUFFICIENT_REWARDS');
+        });
+
+        it('should only allow withdrawing the reward surplus', async () => {
+            const surplus = BigNumber.from(5000);
+            await rewardToken.transfer(pussyFarm.address, TOTAL_REWARDS.add(surplus));
+            await stake(STAKE_AMOUNT);
+
+            await setTime(programStartTime.add(duration.days(2)));
+
+            await expect(pussyFarm.withdrawTokens(rewardToken.address, surplus.add(1))).to.be.revertedWith(
+                'INVALID_AMOUNT'
+            );
+
+            const reward = await pussyFarm.getPendingRewards(staker.address);
+            await pussyFarm.connect(staker).claim();
+
+            await expect(pussyFarm.withdrawTokens(rewardToken.address, surplus.add(1))).to.be.revertedWith(
+                'INVALID_AMOUNT'
+            );
+
+            const prevOwnerBalance = await rewardToken.balanceOf(owner.address);
+            await pussyFarm.withdrawTokens(rewardToken.address, surplus);
+
+            expect(await rewardToken.balanceOf(owner.address)).to.equal(prevOwnerBalance.add(surplus));
+            expect(await rewardToken.balanceOf(pussyFarm.address)).to.equal(TOTAL_REWARDS.sub(reward));
+            expect(await pussyFarm.getRewardShortfall()).to.equal(BigNumber.from(0));
+        });
+
+        it('should allow withdrawing the rewards of the periods without any weight', async () => {
+            await rewardToken.transfer(pussyFarm.address, TOTAL_REWARDS);
+
+            const idleDuration = duration.days(2);
+            await setTime(programStartTime.add(idleDuration));
+            await stake(STAKE_AMOUNT);
+
+            const forfeited = idleDuration.mul(REWARD_RATE);
+            await expect(pussyFarm.withdrawTokens(rewardToken.address, forfeited.add(1))).to.be.revertedWith(
+                'INVALID_AMOUNT'
+            );
+
+            const prevOwnerBalance = await rewardToken.balanceOf(owner.address);
+            await pussyFarm.withdrawTokens(rewardToken.address, forfeited);
+
+            expect(await rewardToken.balanceOf(owner.address)).to.equal(prevOwnerBalance.add(forfeited));
+            expect(await pussyFarm.getRewardShortfall()).to.equal(BigNumber.from(0));
+
+            await setTime(programEndTime);
+
+            const reward = await pussyFarm.getPendingRewards(staker.address);
+            expect(reward).to.equal(TOTAL_REWARDS.sub(forfeited));
+
+            await pussyFarm.connect(staker).claim();
+            expect(await rewardToken.balanceOf(staker.address)).to.equal(reward);
+            expect(await rewardToken.balanceOf(pussyFarm.address)).to.equal(BigNumber.from(0));
+        });
+
+        it('should revert when withdrawing reward tokens from an underfunded program', async () => {
+            await rewardToken.transfer(pussyFarm.address, TOTAL_REWARDS.div(2));
+
+            await expect(pussyFarm.withdrawTokens(rewardToken.address, BigNumber.from(1))).to.be.revertedWith(
+                'INVALID_AMOUNT'
+            );
+        });
+
+        context('when the stake token is the reward token', () => {
+            beforeEach(async () => {
+                pussyFarm = await Contracts.TestPussyFarm.deploy(
+                    stakeToken.address,
+                    stakeToken.address,
+                    programStartTime,
+                    programEndTime,
+                    REWARD_RATE
+                );
+            });
+
+            it('should not count stakes as rewards', async () => {
+                await stakeToken.transfer(pussyFarm.address, TOTAL_REWARDS.sub(BigNumber.from(1)));
+
+                await expect(stake(STAKE_AMOUNT)).to.be.revertedWith('INSUFFICIENT_REWARDS');
+
+                await stakeToken.transfer(pussyFarm.address, BigNumber.from(1));
+                await stake(STAKE_AMOUNT);
+
+                expect(await pussyFarm.getRewardShortfall()).to.equal(BigNumber.from(0));
+                await expect(pussyFarm.withdrawTokens(stakeToken.address, BigNumber.from(1))).to.be.revertedWith(
+                    'INVALID_AMOUNT'
+                );
+            });
+        });
+    });
+
+    describe('multiple reward tokens', () => {
+        const REWARDS_DURATION = duration.days(10);
+        const REWARD_RATE = BigNumber.from(1000);
+        const REWARD_RATE2 = BigNumber.from(300);
+        const STAKE_AMOUNT = BigNumber.from(1_000_000);
+
+        let programStartTime;
+        let programEndTime;
+        let program2StartTime;
+        let program2EndTime;
+        let rewardToken2;
+        let staker;
+        let staker2;
+
+        const stake = async (account, amount) => {
+            await stakeToken.transfer(account.address, amount);
+            await stakeToken.connect(account).approve(pussyFarm.address, amount);
+
+            return pussyFarm.connect(account).stake(amount);
+        };
+
+        beforeEach(async () => {
+            staker = accounts[2];
+            staker2 = accounts[3];
+
+            programStartTime = now.add(duration.days(1));
+            programEndTime = programStartTime.add(REWARDS_DURATION);
+            program2StartTime = programStartTime.add(duration.days(2));
+            program2EndTime = program2StartTime.add(REWARDS_DURATION);
+
+            rewardToken2 = await Contracts.TestERC20Token.deploy('Reward Token 2', 'RTKN2', TOTAL_SUPPLY);
+
+            pussyFarm = await Contracts.TestPussyFarm.deploy(
+                stakeToken.address,
+                rewardToken.address,
+                programStartTime,
+                programEndTime,
+                REWARD_RATE
+            );
+
+            await rewardToken.transfer(pussyFarm.address, REWARDS_DURATION.mul(REWARD_RATE));
+            await rewardToken2.approve(pussyFarm.address, REWARDS_DURATION.mul(REWARD_RATE2));
+
+            await setTime(now);
+        });
+
+        it('should revert when a non-owner attempts to add a reward token', async () => {
+            await expect(
+                pussyFarm
+                    .connect(nonOwner)
+                    .addRewardToken(rewardToken2.address, program2StartTime, program2EndTime, REWARD_RATE2)
+            ).to.be.revertedWith('Ownable: caller is not the owner');
+        });
+
+        it('should revert when adding an invalid reward token', async () => {
+            await expect(
+                pussyFarm.addRewardToken(ZERO_ADDRESS, program2StartTime, program2EndTime, REWARD_RATE2)
+            ).to.be.revertedWith('INVALID_ADDRESS');
+
+            await expect(
+                pussyFarm.addRewardToken(rewardToken.address, program2StartTime, program2EndTime, REWARD_RATE2)
+            ).to.be.revertedWith('ALREADY_EXISTS');
+        });
+
+        it('should revert when adding a reward token with an invalid program', async () => {
+            await expect(
+                pussyFarm.addRewardToken(rewardToken2.address, program2EndTime, program2StartTime, REWARD_RATE2)
+            ).to.be.revertedWith('INVALID_DURATION');
+
+            await expect(
+                pussyFarm.addRewardToken(rewardToken2.address, now.sub(duration.days(1)), program2EndTime, REWARD_RATE2)
+            ).to.be.revertedWith('INVALID_DURATION');
+
+            await expect(
+                pussyFarm.addRewardToken(rewardToken2.address, program2StartTime, program2EndTime, BigNumber.from(0))
+            ).to.be.revertedWith('INVALID_VALUE');
+        });
+
+        it('should revert when adding a reward token without transferring its rewards', async () => {
+            await rewardToken2.approve(pussyFarm.address, REWARDS_DURATION.mul(REWARD_RATE2).sub(1));
+
+            await expect(
+                pussyFarm.addRewardToken(rewardToken2.address, program2StartTime, program2EndTime, REWARD_RATE2)
+            ).to.be.revertedWith('ERC20: insufficient allowance');
+        });
+
+        it('should revert when adding too many reward tokens', async () => {
+            for (let i = 0; i < 4; i++) {
+                const token = await Contracts.TestERC20Token.deploy('Token', 'TKN', TOTAL_SUPPLY);
+                await token.approve(pussyFarm.address, REWARDS_DURATION.mul(REWARD_RATE2));
+                await pussyFarm.addRewardToken(token.address, program2StartTime, program2EndTime, REWARD_RATE2);
+            }
+
+            await expect(
+                pussyFarm.addRewardToken(rewardToken2.address, program2StartTime, program2EndTime, REWARD_RATE2)
+            ).to.be.revertedWith('TOO_MANY_REWARD_TOKENS');
+        });
+
+        it('should revert when querying a non-existing reward token', async () => {
+            await expect(pussyFarm.getRewardTokenProgram(rewardToken2.address)).to.be.revertedWith(
+                'INVALID_REWARD_TOKEN'
+            );
+            await expect(pussyFarm.getPendingTokenRewards(staker.address, rewardToken2.address)).to.be.revertedWith(
+                'INVALID_REWARD_TOKEN'
+            );
+        });
+
+        it('should add a reward token', async () => {
+            expect(await pussyFarm.getRewardTokens()).to.deep.equal([rewardToken.address]);
+
+            const res = await pussyFarm.addRewardToken(
+                rewardToken2.address,
+                program2StartTime,
+                program2EndTime,
+                REWARD_RATE2
+            );
+            await expect(res)
+                .to.emit(pussyFarm, 'RewardTokenAdded')
+                .withArgs(rewardToken2.address, program2StartTime, program2EndTime, REWARD_RATE2);
+
+            expect(await pussyFarm.getRewardTokens()).to.deep.equal([rewardToken.address, rewardToken2.address]);
+            expect(await pussyFarm.getRewardToken()).to.equal(rewardToken.address);
+
+            const program = await pussyFarm.getRewardTokenProgram(rewardToken2.address);
+            expect(program[0]).to.equal(program2StartTime);
+            expect(program[1]).to.equal(program2EndTime);
+            expect(program[2]).to.equal(REWARD_RATE2);
+            expect(program[3]).to.equal(REWARDS_DURATION.mul(REWARD_RATE2));
+
+            expect(await rewardToken2.balanceOf(pussyFarm.address)).to.equal(program[3]);
+            expect(await pussyFarm.getRewardTokenShortfall(rewardToken2.address)).to.equal(BigNumber.from(0));
+        });
+
+        context('with an additional reward token', () => {
+            beforeEach(async () => {
+                await pussyFarm.addRewardToken(rewardToken2.address, program2StartTime, program2EndTime, REWARD_RATE2);
+
+                await stake(staker, STAKE_AMOUNT);
+                await stake(staker2, STAKE_AMOUNT.mul(3));
+            });
+
+            it('should accumulate the rewards of each reward token separately', async () => {
+                await setTime(program2StartTime);
+
+                const elapsed = program2StartTime.sub(programStartTime);
+
+                expect(await pussyFarm.getPendingRewards(staker.address)).to.equal(elapsed.mul(REWARD_RATE).div(4));
+                expect(await pussyFarm.getPendingTokenRewards(staker.address, rewardToken.address)).to.equal(
+                    elapsed.mul(REWARD_RATE).div(4)
+                );
+                expect(await pussyFarm.getPendingTokenRewards(staker.address, rewardToken2.address)).to.equal(
+                    BigNumber.from(0)
+                );
+
+                await setTime(program2EndTime);
+
+                expect(await pussyFarm.getPendingRewards(staker.address)).to.equal(
+                    REWARDS_DURATION.mul(REWARD_RATE).div(4)
+                );
+                expect(await pussyFarm.getPendingTokenRewards(staker.address, rewardToken2.address)).to.equal(
+                    REWARDS_DURATION.mul(REWARD_RATE2).div(4)
+                );
+                expect(await pussyFarm.getPendingTokenRewards(staker2.address, rewardToken2.address)).to.equal(
+                    REWARDS_DURATION.mul(REWARD_RATE2).mul(3).div(4)
+                );
+            });
+
+            it('should claim all the reward tokens', async () => {
+                await setTime(program2StartTime.add(duration.days(1)));
+
+                const reward = await pussyFarm.getPendingRewards(staker.address);
+                const reward2 = await pussyFarm.getPendingTokenRewards(staker.address, rewardToken2.address);
+
+                expect(await pussyFarm.connect(staker).callStatic.claim()).to.equal(reward);
+
+                const res = await pussyFarm.connect(staker).claim();
+                await expect(res).to.emit(pussyFarm, 'Claimed').withArgs(staker.address, reward);
+                await expect(res)
+                    .to.emit(pussyFarm, 'RewardTokenClaimed')
+                    .withArgs(staker.address, rewardToken2.address, reward2);
+
+                expect(await rewardToken.balanceOf(staker.address)).to.equal(reward);
+                expect(await rewardToken2.balanceOf(staker.address)).to.equal(reward2);
+                expect(await pussyFarm.getClaimed(staker.address)).to.equal(reward);
+                expect(await pussyFarm.getPendingTokenRewards(staker.address, rewardToken2.address)).to.equal(
+                    BigNumber.from(0)
+                );
+            });
+
+            it('should claim all the reward tokens when withdrawing', async () => {
+                await setTime(program2StartTime.add(duration.days(1)));
+
+                const reward2 = await pussyFarm.getPendingTokenRewards(staker.address, rewardToken2.address);
+
+                const res = await pussyFarm.connect(staker).withdraw(STAKE_AMOUNT);
+                await expect(res)
+                    .to.emit(pussyFarm, 'RewardTokenClaimed')
+                    .withArgs(staker.address, rewardToken2.address, reward2);
+
+                expect(await rewardToken2.balanceOf(staker.address)).to.equal(reward2);
+            });
+
+            it('should forfeit all the reward tokens when emergency withdrawing', async () => {
+                await setTime(program2StartTime.add(duration.days(1)));
+
+                const reward2 = await pussyFarm.getPendingTokenRewards(staker.address, rewardToken2.address);
+
+                await pussyFarm.connect(staker).emergencyWithdraw();
+
+                expect(await rewardToken2.balanceOf(staker.address)).to.equal(BigNumber.from(0));
+                expect(await pussyFarm.getPendingTokenRewards(staker.address, rewardToken2.address)).to.equal(
+                    BigNumber.from(0)
+                );
+
+                await expect(
+                    pussyFarm.withdrawTokens(rewardToken2.address, reward2.add(BigNumber.from(1)))
+                ).to.be.revertedWith('INVALID_AMOUNT');
+
+                await pussyFarm.withdrawTokens(rewardToken2.address, reward2);
+            });
+        });
+    });
+
+    describe('staking and claiming on behalf', () => {
+        const REWARDS_DURATION = duration.days(10);
+        const REWARD_RATE = BigNumber.from(1000);
+        const STAKE_AMOUNT = BigNumber.from(1_000_000);
+
+        let programStartTime;
+        let staker;
+        let payer;
+        let recipient;
+
+        beforeEach(async () => {
+            staker = accounts[2];
+            payer = accounts[3];
+            recipient = accounts[4];
+
+            programStartTime = now.add(duration.days(1));
+
+            pussyFarm = await Contracts.TestPussyFarm.deploy(
+                stakeToken.address,
+                rewardToken.address,
+                programStartTime,
+                programStartTime.add(REWARDS_DURATION),
+                REWARD_RATE
+            );
+
+            await rewardToken.transfer(pussyFarm.address, REWARDS_DURATION.mul(REWARD_RATE));
+
+            await stakeToken.transfer(payer.address, STAKE_AMOUNT);
+            await stakeToken.connect(payer).approve(pussyFarm.address, STAKE_AMOUNT);
+        });
+
+        it('should revert when staking on behalf of the zero address', async () => {
+            await expect(pussyFarm.connect(payer).stakeFor(ZERO_ADDRESS, STAKE_AMOUNT)).to.be.revertedWith(
+                'INVALID_ADDRESS'
+            );
+        });
+
+        it('should revert when staking 0 tokens on behalf of an account', async () => {
+            await expect(pussyFarm.connect(payer).stakeFor(staker.address, BigNumber.from(0))).to.be.revertedWith(
+                'INVALID_AMOUNT'
+            );
+        });
+
+        it('should stake on behalf of an account', async () => {
+            const res = await pussyFarm.connect(payer).stakeFor(staker.address, STAKE_AMOUNT);
+            await expect(res).to.emit(pussyFarm, 'Staked').withArgs(staker.address, STAKE_AMOUNT);
+
+            expect(await stakeToken.balanceOf(payer.address)).to.equal(BigNumber.from(0));
+            expect(await pussyFarm.getStake(staker.address)).to.equal(STAKE_AMOUNT);
+            expect(await pussyFarm.getStake(payer.address)).to.equal(BigNumber.from(0));
+
+            await setTime(programStartTime.add(duration.days(1)));
+
+            const reward = duration.days(1).mul(REWARD_RATE);
+            expect(await pussyFarm.getPendingRewards(staker.address)).to.equal(reward);
+            expect(await pussyFarm.getPendingRewards(payer.address)).to.equal(BigNumber.from(0));
+
+            await pussyFarm.connect(staker).withdraw(STAKE_AMOUNT);
+
+            expect(await stakeToken.balanceOf(staker.address)).to.equal(STAKE_AMOUNT);
+            expect(await rewardToken.balanceOf(staker.address)).to.equal(reward);
+        });
+
+        it('should checkpoint the rewards of the credited account', async () => {
+            await pussyFarm.connect(payer).stakeFor(staker.address, STAKE_AMOUNT.div(2));
+
+            await setTime(programStartTime.add(duration.days(1)));
+
+            await pussyFarm.connect(payer).stakeFor(staker.address, STAKE_AMOUNT.div(2));
+
+            await setTime(programStartTime.add(duration.days(2)));
+
+            expect(await pussyFarm.getPendingRewards(staker.address)).to.equal(duration.days(2).mul(REWARD_RATE));
+        });
+
+        context('with a stake', () => {
+            beforeEach(async () => {
+                await pussyFarm.connect(payer).stakeFor(staker.address, STAKE_AMOUNT);
+
+                await setTime(programStartTime.add(duration.days(1)));
+            });
+
+            it('should revert when claiming to the zero address', async () => {
+                await expect(pussyFarm.connect(staker).claimTo(ZERO_ADDRESS)).to.be.revertedWith('INVALID_ADDRESS');
+            });
+
+            it('should claim to a given recipient', async () => {
+                const reward = await pussyFarm.getPendingRewards(staker.address);
+
+                expect(await pussyFarm.connect(staker).callStatic.claimTo(recipient.address)).to.equal(reward);
+
+                const res = await pussyFarm.connect(staker).claimTo(recipient.address);
+                await expect(res).to.emit(pussyFarm, 'Claimed').withArgs(staker.address, reward);
+
+                expect(await rewardToken.balanceOf(recipient.address)).to.equal(reward);
+                expect(await rewardToken.balanceOf(staker.address)).to.equal(BigNumber.from(0));
+                expect(await pussyFarm.getClaimed(staker.address)).to.equal(reward);
+                expect(await pussyFarm.getPendingRewards(staker.address)).to.equal(BigNumber.from(0));
+            });
+
+            it('should send the rewards to the reward recipient', async () => {
+                expect(await pussyFarm.getRewardRecipient(staker.address)).to.equal(staker.address);
+
+                const res = await pussyFarm.connect(staker).setRewardRecipient(recipient.address);
+                await expect(res)
+                    .to.emit(pussyFarm, 'RewardRecipientUpdated')
+                    .withArgs(staker.address, recipient.address);
+
+                expect(await pussyFarm.getRewardRecipient(staker.address)).to.equal(recipient.address);
+
+                const reward = await pussyFarm.getPendingRewards(staker.address);
+                await pussyFarm.connect(staker).claim();
+
+                expect(await rewardToken.balanceOf(recipient.address)).to.equal(reward);
+                expect(await rewardToken.balanceOf(staker.address)).to.equal(BigNumber.from(0));
+
+                await setTime(programStartTime.add(duration.days(2)));
+
+                const reward2 = await pussyFarm.getPendingRewards(staker.address);
+                await pussyFarm.connect(staker).withdraw(STAKE_AMOUNT);
+
+                expect(await rewardToken.balanceOf(recipient.address)).to.equal(reward.add(reward2));
+                expect(await stakeToken.balanceOf(staker.address)).to.equal(STAKE_AMOUNT);
+            });
+
+            it('should reset the reward recipient', async () => {
+                await pussyFarm.connect(staker).setRewardRecipient(recipient.address);
+
+                const res = await pussyFarm.connect(staker).setRewardRecipient(ZERO_ADDRESS);
+                await expect(res).to.emit(pussyFarm, 'RewardRecipientUpdated').withArgs(staker.address, staker.address);
+
+                expect(await pussyFarm.getRewardRecipient(staker.address)).to.equal(staker.address);
+
+                const reward = await pussyFarm.getPendingRewards(staker.address);
+                await pussyFarm.connect(staker).claim();
+
+                expect(await rewardToken.balanceOf(staker.address)).to.equal(reward);
+            });
+        });
+    });
+
+    describe('staking with permit', () => {
+        const REWARDS_DURATION = duration.days(10);
+        const REWARD_RATE = BigNumber.from(1000);
+        const STAKE_AMOUNT = BigNumber.from(1_000_000);
+
+        let programStartTime;
+        let staker;
+        let permitToken;
+
+        beforeEach(async () => {
+            staker = accounts[2];
+
+            programStartTime = now.add(duration.days(1));
+
+            permitToken = await Contracts.TestERC20PermitToken.deploy('Permit Token', 'PTKN', TOTAL_SUPPLY);
+            pussyFarm = await Contracts.TestPussyFarm.deploy(
+                permitToken.address,
+                rewardToken.address,
+                programStartTime,
+                programStartTime.add(REWARDS_DURATION),
+                REWARD_RATE
+            );
+
+            await rewardToken.transfer(pussyFarm.address, REWARDS_DURATION.mul(REWARD_RATE));
+
+            await permitToken.transfer(staker.address, STAKE_AMOUNT);
+        });
+
+        it('should stake without a prior approval', async () => {
+            const { v, r, s } = await signPermit(permitToken, staker, pussyFarm.address, STAKE_AMOUNT, MAX_UINT256);
+
+            const res = await pussyFarm.connect(staker).stakeWithPermit(STAKE_AMOUNT, MAX_UINT256, v, r, s);
+            await expect(res).to.emit(pussyFarm, 'Staked').withArgs(staker.address, STAKE_AMOUNT);
+
+            expect(await pussyFarm.getStake(staker.address)).to.equal(STAKE_AMOUNT);
+            expect(await permitToken.balanceOf(staker.address)).to.equal(BigNumber.from(0));
+            expect(await permitToken.allowance(staker.address, pussyFarm.address)).to.equal(BigNumber.from(0));
+        });
+
+        it('should stake when the permit was already used by someone else', async () => {
+            const { v, r, s } = await signPermit(permitToken, staker, pussyFarm.address, STAKE_AMOUNT, MAX_UINT256);
+
+            await permitToken
+                .connect(nonOwner)
+                .permit(staker.address, pussyFarm.address, STAKE_AMOUNT, MAX_UINT256, v, r, s);
+
+            const res = await pussyFarm.connect(staker).stakeWithPermit(STAKE_AMOUNT, MAX_UINT256, v, r, s);
+            await expect(res).to.emit(pussyFarm, 'Staked').withArgs(staker.address, STAKE_AMOUNT);
+
+            expect(await pussyFarm.getStake(staker.address)).to.equal(STAKE_AMOUNT);
+            expect(await permitToken.allowance(staker.address, pussyFarm.address)).to.equal(BigNumber.from(0));
+        });
+
+        it('should revert when staking with an expired permit', async () => {
+            const deadline = (await latest()).sub(BigNumber.from(1));
+            const { v, r, s } = await signPermit(permitToken, staker, pussyFarm.address, STAKE_AMOUNT, deadline);
+
+            await expect(pussyFarm.connect(staker).stakeWithPermit(STAKE_AMOUNT, deadline, v, r, s)).to.be.revertedWith(
+                'ERC20: insufficient allowance'
+            );
+        });
+
+        it('should revert when staking with a permit signed by another account', async () => {
+            const { v, r, s } = await signPermit(permitToken, nonOwner, pussyFarm.address, STAKE_AMOUNT, MAX_UINT256);
+
+            await expect(
+                pussyFarm.connect(staker).stakeWithPermit(STAKE_AMOUNT, MAX_UINT256, v, r, s)
+            ).to.be.revertedWith('ERC20: insufficient allowance');
+        });
+
+        it('should revert when staking with a permit for a different amount', async () => {
+            const { v, r, s } = await signPermit(permitToken, staker, pussyFarm.address, STAKE_AMOUNT, MAX_UINT256);
+
+            await expect(
+                pussyFarm.connect(staker).stakeWithPermit(STAKE_AMOUNT.div(2), MAX_UINT256, v, r, s)
+            ).to.be.revertedWith('ERC20: insufficient allowance');
+        });
+
+        it('should revert when staking with a permit while paused', async () => {
+            await pussyFarm.pause();
+
+            const { v, r, s } = await signPermit(permitToken, staker, pussyFarm.address, STAKE_AMOUNT, MAX_UINT256);
+
+            await expect(
+                pussyFarm.connect(staker).stakeWithPermit(STAKE_AMOUNT, MAX_UINT256, v, r, s)
+            ).to.be.revertedWith('Pausable: paused');
+        });
+    });
+
+    describe('emergency withdraw', () => {
+        const REWARDS_DURATION = duration.days(10);
+        const REWARD_RATE = BigNumber.from(1000);
+        const TOTAL_REWARDS = REWARDS_DURATION.mul(REWARD_RATE);
+        const STAKE_AMOUNT = BigNumber.from(1_000_000);
+
+        let programStartTime;
+        let programEndTime;
+        let staker;
+        let staker2;
+
+        const stake = async (account, amount) => {
+            await stakeToken.transfer(account.address, amount);
+            await stakeToken.connect(account).approve(pussyFarm.address, amount);
+
+            return pussyFarm.connect(account).stake(amount);
+        };
+
+        beforeEach(async () => {
+            staker = accounts[2];
+            staker2 = accounts[3];
+
+            programStartTime = now.add(duration.days(1));
+            programEndTime = programStartTime.add(REWARDS_DURATION);
+
+            pussyFarm = await Contracts.TestPussyFarm.deploy(
+                stakeToken.address,
+                rewardToken.address,
+                programStartTime,
+                programEndTime,
+                REWARD_RATE
+            );
+
+            await rewardToken.transfer(pussyFarm.address, TOTAL_REWARDS);
+
+            await stake(staker, STAKE_AMOUNT);
+            await stake(staker2, STAKE_AMOUNT);
+        });
+
+        it('should revert when emergency withdrawing without a stake', async () => {
+            await expect(pussyFarm.connect(accounts[4]).emergencyWithdraw()).to.be.revertedWith('INVALID_AMOUNT');
+        });
+
+        it('should return the whole stake and forfeit the pending rewards', async () => {
+            await setTime(programStartTime.add(duration.days(2)));
+
+            const reward = await pussyFarm.getPendingRewards(staker.address);
+            expect(reward).to.be.gt(BigNumber.from(0));
+
+            const reward2 = await pussyFarm.getPendingRewards(staker2.address);
+
+            const res = await pussyFarm.connect(staker).emergencyWithdraw();
+            await expect(res).to.emit(pussyFarm, 'EmergencyWithdrawn').withArgs(staker.address, STAKE_AMOUNT);
+            await expect(res).not.to.emit(pussyFarm, 'Claimed');
+
+            expect(await stakeToken.balanceOf(staker.address)).to.equal(STAKE_AMOUNT);
+            expect(await rewardToken.balanceOf(staker.address)).to.equal(BigNumber.from(0));
+            expect(await pussyFarm.getStake(staker.address)).to.equal(BigNumber.from(0));
+            expect(await pussyFarm.getTotalStaked()).to.equal(STAKE_AMOUNT);
+            expect(await pussyFarm.getPendingRewards(staker.address)).to.equal(BigNumber.from(0));
+
+            expect(await pussyFarm.getPendingRewards(staker2.address)).to.equal(reward2);
+
+            await setTime(now.add(duration.days(1)));
+
+            expect(await pussyFarm.getPendingRewards(staker.address)).to.equal(BigNumber.from(0));
+            expect(await pussyFarm.getPendingRewards(staker2.address)).to.equal(
+                reward2.add(duration.days(1).mul(REWARD_RATE))
+            );
+
+            // the forfeited rewards are no longer owed to anyone
+            await pussyFarm.withdrawTokens(rewardToken.address, reward);
+        });
+
+        it('should allow exiting when claiming the rewards fails', async () => {
+            const newEndTime = programEndTime.add(REWARDS_DURATION.mul(2));
+            await pussyFarm.extendProgram(newEndTime);
+
+            await setTime(newEndTime);
+
+            await expect(pussyFarm.connect(staker).claim()).to.be.reverted;
+            await expect(pussyFarm.connect(staker).withdraw(STAKE_AMOUNT)).to.be.reverted;
+
+            await pussyFarm.connect(staker).emergencyWithdraw();
+
+            expect(await stakeToken.balanceOf(staker.address)).to.equal(STAKE_AMOUNT);
+        });
+    });
+
+    describe('boosting', () => {
+        const REWARDS_DURATION = duration.days(10);
+        const REWARD_RATE = BigNumber.from(1000);
+        const TOTAL_REWARDS = REWARDS_DURATION.mul(REWARD_RATE);
+        const STAKE_AMOUNT = BigNumber.from(1_000_000);
+        const PPM_RESOLUTION = 1_000_000;
+        const BOOST_MULTIPLIER = 2 * PPM_RESOLUTION;
+        const MAX_BOOST_MULTIPLIER = 3 * PPM_RESOLUTION;
+        const TOKEN_ID = 1;
+        const TOKEN_ID2 = 2;
+
+        let boostToken;
+        let programStartTime;
+        let programEndTime;
+        let staker;
+        let staker2;
+
+        const stake = async (account, amount) => {
+            await stakeToken.transfer(account.address, amount);
+            await stakeToken.connect(account).approve(pussyFarm.address, amount);
+
+            return pussyFarm.connect(account).stake(amount);
+        };
+
+        const depositBoost = async (account, tokenId) => {
+            await boostToken.connect(account).approve(pussyFarm.address, tokenId);
+
+            return pussyFarm.connect(account).depositBoost(tokenId);
+        };
+
+        beforeEach(async () => {
+            staker = accounts[2];
+            staker2 = accounts[3];
+
+            programStartTime = now.add(duration.days(1));
+            programEndTime = programStartTime.add(REWARDS_DURATION);
+
+            pussyFarm = await Contracts.TestPussyFarm.deploy(
+                stakeToken.address,
+                rewardToken.address,
+                programStartTime,
+                programEndTime,
+                REWARD_RATE
+            );
+
+            await rewardToken.transfer(pussyFarm.address, TOTAL_REWARDS);
+
+            boostToken = await Contracts.TestERC721Token.deploy('Boost Token', 'BTKN');
+            await boostToken.mint(staker.address, TOKEN_ID);
+            await boostToken.mint(staker2.address, TOKEN_ID2);
+
+            await stake(staker, STAKE_AMOUNT);
+            await stake(staker2, STAKE_AMOUNT);
+        });
+
+        it('should revert when a non-owner attempts to set the boost', async () => {
+            await expect(pussyFarm.connect(nonOwner).setBoost(boostToken.address, BOOST_MULTIPLIER)).to.be.revertedWith(
+                'Ownable: caller is not the owner'
+            );
+        });
+
+        it('should revert when setting an invalid boost', async () => {
+            await expect(pussyFarm.setBoost(ZERO_ADDRESS, BOOST_MULTIPLIER)).to.be.revertedWith('INVALID_ADDRESS');
+            await expect(pussyFarm.setBoost(boostToken.address, PPM_RESOLUTION - 1)).to.be.revertedWith(
+                'INVALID_VALUE'
+            );
+            await expect(pussyFarm.setBoost(boostToken.address, MAX_BOOST_MULTIPLIER + 1)).to.be.revertedWith(
+                'INVALID_VALUE'
+            );
+        });
+
+        it('should revert when depositing a boost before the boost was set', async () => {
+            await expect(depositBoost(staker, TOKEN_ID)).to.be.revertedWith('BOOST_DISABLED');
+        });
+
+        context('with a boost', () => {
+            beforeEach(async () => {
+                const res = await pussyFarm.setBoost(boostToken.address, BOOST_MULTIPLIER);
+                await expect(res).to.emit(pussyFarm, 'BoostUpdated').withArgs(boostToken.address, BOOST_MULTIPLIER);
+
+                const settings = await pussyFarm.getBoostSettings();
+                expect(settings[0]).to.equal(boostToken.address);
+                expect(settings[1]).to.equal(BOOST_MULTIPLIER);
+            });
+
+            it('should revert when depositing a boost twice', async () => {
+                await depositBoost(staker, TOKEN_ID);
+
+                await boostToken.mint(staker.address, TOKEN_ID2 + 1);
+
+                await expect(depositBoost(staker, TOKEN_ID2 + 1)).to.be.revertedWith('ALREADY_BOOSTED');
+            });
+
+            it('should revert when withdrawing a non-existing boost', async () => {
+                await expect(pussyFarm.connect(staker).withdrawBoost()).to.be.revertedWith('NOT_BOOSTED');
+            });
+
+            it('should revert when depositing a boost while paused', async () => {
+                await pussyFarm.pause();
+
+                await expect(depositBoost(staker, TOKEN_ID)).to.be.revertedWith('Pausable: paused');
+            });
+
+            it('should lock the NFT and boost the effective stake', async () => {
+                const res = await depositBoost(staker, TOKEN_ID);
+                await expect(res)
+                    .to.emit(pussyFarm, 'BoostDeposited')
+                    .withArgs(staker.address, TOKEN_ID, BOOST_MULTIPLIER);
+
+                expect(await boostToken.ownerOf(TOKEN_ID)).to.equal(pussyFarm.address);
+
+                const boost = await pussyFarm.getBoost(staker.address);
+                expect(boost[0]).to.equal(TOKEN_ID);
+                expect(boost[1]).to.equal(BOOST_MULTIPLIER);
+
+                expect(await pussyFarm.getStake(staker.address)).to.equal(STAKE_AMOUNT);
+                expect(await pussyFarm.getWeight(staker.address)).to.equal(
+                    STAKE_AMOUNT.mul(BOOST_MULTIPLIER).div(PPM_RESOLUTION)
+                );
+                expect(await pussyFarm.getTotalWeight()).to.equal(
+                    STAKE_AMOUNT.mul(BOOST_MULTIPLIER).div(PPM_RESOLUTION).add(STAKE_AMOUNT)
+                );
+
+                await stake(staker, STAKE_AMOUNT);
+
+                expect(await pussyFarm.getWeight(staker.address)).to.equal(
+                    STAKE_AMOUNT.mul(2).mul(BOOST_MULTIPLIER).div(PPM_RESOLUTION)
+                );
+            });
+
+            it('should distribute the rewards according to the boosted stakes without diluting past rewards', async () => {
+                await setTime(programStartTime.add(duration.days(1)));
+
+                // both stakers earned equally before the boost
+                const reward = await pussyFarm.getPendingRewards(staker.address);
+                expect(await pussyFarm.getPendingRewards(staker2.address)).to.equal(reward);
+
+                await depositBoost(staker, TOKEN_ID);
+
+                expect(await pussyFarm.getPendingRewards(staker.address)).to.equal(reward);
+                expect(await pussyFarm.getPendingRewards(staker2.address)).to.equal(reward);
+
+                await setTime(programStartTime.add(duration.days(4)));
+
+                // the boosted staker earns two thirds of the rewards of the last three days
+                const periodRewards = duration.days(3).mul(REWARD_RATE);
+                expect(await pussyFarm.getPendingRewards(staker.address)).to.be.closeTo(
+                    reward.add(periodRewards.mul(2).div(3)),
+                    1
+                );
+                expect(await pussyFarm.getPendingRewards(staker2.address)).to.be.closeTo(
+                    reward.add(periodRewards.div(3)),
+                    1
+                );
+
+                const reward2 = await pussyFarm.getPendingRewards(staker.address);
+
+                const res = await pussyFarm.connect(staker).withdrawBoost();
+                await expect(res).to.emit(pussyFarm, 'BoostWithdrawn').withArgs(staker.address, TOKEN_ID);
+
+                expect(await boostToken.ownerOf(TOKEN_ID)).to.equal(staker.address);
+                expect(await pussyFarm.getWeight(staker.address)).to.equal(STAKE_AMOUNT);
+                expect(await pussyFarm.getTotalWeight()).to.equal(STAKE_AMOUNT.mul(2));
+                expect(await pussyFarm.getPendingRewards(staker.address)).to.equal(reward2);
+            });
+
+            it('should keep the boost when partially withdrawing', async () => {
+                await depositBoost(staker, TOKEN_ID);
+
+                await pussyFarm.connect(staker).withdraw(STAKE_AMOUNT.div(2));
+
+                expect(await boostToken.ownerOf(TOKEN_ID)).to.equal(pussyFarm.address);
+                expect(await pussyFarm.getWeight(staker.address)).to.equal(
+                    STAKE_AMOUNT.div(2).mul(BOOST_MULTIPLIER).div(PPM_RESOLUTION)
+                );
+            });
+
+            it('should return the NFT when withdrawing the whole stake', async () => {
+                await depositBoost(staker, TOKEN_ID);
+
+                const res = await pussyFarm.connect(staker).withdraw(STAKE_AMOUNT);
+                await expect(res).to.emit(pussyFarm, 'BoostWithdrawn').withArgs(staker.address, TOKEN_ID);
+
+                expect(await boostToken.ownerOf(TOKEN_ID)).to.equal(staker.address);
+                expect(await pussyFarm.getWeight(staker.address)).to.equal(BigNumber.from(0));
+                expect(await pussyFarm.getTotalWeight()).to.equal(STAKE_AMOUNT);
+                expect((await pussyFarm.getBoost(staker.address))[1]).to.equal(0);
+            });
+
+            it('should return the NFT when emergency withdrawing', async () => {
+                await depositBoost(staker, TOKEN_ID);
+
+                const res = await pussyFarm.connect(staker).emergencyWithdraw();
+                await expect(res).to.emit(pussyFarm, 'BoostWithdrawn').withArgs(staker.address, TOKEN_ID);
+
+                expect(await boostToken.ownerOf(TOKEN_ID)).to.equal(staker.address);
+                expect(await pussyFarm.getTotalWeight()).to.equal(STAKE_AMOUNT);
+            });
+
+            it('should keep the multipliers of existing boosts when updating the multiplier', async () => {
+                await depositBoost(staker, TOKEN_ID);
+
+                await pussyFarm.setBoost(boostToken.address, MAX_BOOST_MULTIPLIER);
+
+                await depositBoost(staker2, TOKEN_ID2);
+
+                expect((await pussyFarm.getBoost(staker.address))[1]).to.equal(BOOST_MULTIPLIER);
+                expect((await pussyFarm.getBoost(staker2.address))[1]).to.equal(MAX_BOOST_MULTIPLIER);
+                expect(await pussyFarm.getWeight(staker2.address)).to.equal(
+                    STAKE_AMOUNT.mul(MAX_BOOST_MULTIPLIER).div(PPM_RESOLUTION)
+                );
+            });
+
+            it('should revert when replacing the NFT while there are deposited boosts', async () => {
+                await depositBoost(staker, TOKEN_ID);
+
+                const boostToken2 = await Contracts.TestERC721Token.deploy('Boost Token 2', 'BTKN2');
+
+                await expect(pussyFarm.setBoost(boostToken2.address, BOOST_MULTIPLIER)).to.be.revertedWith(
+                    'BOOSTS_ACTIVE'
+                );
+
+                await pussyFarm.connect(staker).withdrawBoost();
+
+                await pussyFarm.setBoost(boostToken2.address, BOOST_MULTIPLIER);
+            });
+        });
+    });
+
+    describe('pausing', () => {
+        const REWARDS_DURATION = duration.days(10);
+        const REWARD_RATE = BigNumber.from(1000);
+        const STAKE_AMOUNT = BigNumber.from(1_000_000);
+
+        let programStartTime;
+        let guardian;
+        let staker;
+
+        const stake = async (amount) => {
+            await stakeToken.transfer(staker.address, amount);
+            await stakeToken.connect(staker).approve(pussyFarm.address, amount);
+
+            return pussyFarm.connect(staker).stake(amount);
+        };
+
+        beforeEach(async () => {
+            guardian = accounts[4];
+            staker = accounts[2];
+
+            programStartTime = now.add(duration.days(1));
+
+            pussyFarm = await Contracts.TestPussyFarm.deploy(
+                stakeToken.address,
+                rewardToken.address,
+                programStartTime,
+                programStartTime.add(REWARDS_DURATION),
+                REWARD_RATE
+            );
+
+            await rewardToken.transfer(pussyFarm.address, REWARDS_DURATION.mul(REWARD_RATE));
+
+            await stake(STAKE_AMOUNT);
+        });
+
+        it('should set the deployer as the initial guardian', async () => {
+            expect(await pussyFarm.getGuardian()).to.equal(owner.address);
+            expect(await pussyFarm.paused()).to.be.false;
+        });
+
+        it('should revert when a non-owner attempts to set the guardian', async () => {
+            await expect(pussyFarm.connect(nonOwner).setGuardian(guardian.address)).to.be.revertedWith(
+                'Ownable: caller is not the owner'
+            );
+        });
+
+        it('should revert when setting the guardian to the zero address', async () => {
+            await expect(pussyFarm.setGuardian(ZERO_ADDRESS)).to.be.revertedWith('INVALID_ADDRESS');
+        });
+
+        context('with a guardian', () => {
+            beforeEach(async () => {
+                const res = await pussyFarm.setGuardian(guardian.address);
+                await expect(res).to.emit(pussyFarm, 'GuardianUpdated').withArgs(owner.address, guardian.address);
+            });
+
+            it('should revert when a non-guardian attempts to pause or unpause', async () => {
+                await expect(pussyFarm.connect(owner).pause()).to.be.revertedWith('ACCESS_DENIED');
+                await expect(pussyFarm.connect(nonOwner).pause()).to.be.revertedWith('ACCESS_DENIED');
+
+                await pussyFarm.connect(guardian).pause();
+
+                await expect(pussyFarm.connect(owner).unpause()).to.be.revertedWith('ACCESS_DENIED');
+            });
+
+            it('should allow the guardian to pause and unpause', async () => {
+                const res = await pussyFarm.connect(guardian).pause();
+                await expect(res).to.emit(pussyFarm, 'Paused').withArgs(guardian.address);
+
+                expect(await pussyFarm.paused()).to.be.true;
+
+                const res2 = await pussyFarm.connect(guardian).unpause();
+                await expect(res2).to.emit(pussyFarm, 'Unpaused').withArgs(guardian.address);
+
+                expect(await pussyFarm.paused()).to.be.false;
+            });
+
+            context('when paused', () => {
+                beforeEach(async () => {
+                    await pussyFarm.connect(guardian).pause();
+
+                    await setTime(programStartTime.add(duration.days(1)));
+                });
+
+                it('should revert when staking', async () => {
+                    await expect(stake(STAKE_AMOUNT)).to.be.revertedWith('Pausable: paused');
+
+                    await stakeToken.approve(pussyFarm.address, STAKE_AMOUNT);
+                    await expect(pussyFarm.stakeFor(staker.address, STAKE_AMOUNT)).to.be.revertedWith(
+                        'Pausable: paused'
+                    );
+                });
+
+                it('should allow claiming', async () => {
+                    const reward = await pussyFarm.getPendingRewards(staker.address);
+
+                    const res = await pussyFarm.connect(staker).claim();
+                    await expect(res).to.emit(pussyFarm, 'Claimed').withArgs(staker.address, reward);
+                });
+
+                it('should allow withdrawing', async () => {
+                    const res = await pussyFarm.connect(staker).withdraw(STAKE_AMOUNT);
+                    await expect(res).to.emit(pussyFarm, 'Withdrawn').withArgs(staker.address, STAKE_AMOUNT);
+                });
+
+                it('should allow emergency withdrawing', async () => {
+                    const res = await pussyFarm.connect(staker).emergencyWithdraw();
+                    await expect(res).to.emit(pussyFarm, 'EmergencyWithdrawn').withArgs(staker.address, STAKE_AMOUNT);
+                });
+
+                it('should allow staking after unpausing', async () => {
+                    await pussyFarm.connect(guardian).unpause();
+
+                    const res = await stake(STAKE_AMOUNT);
+                    await expect(res).to.emit(pussyFarm, 'Staked').withArgs(staker.address, STAKE_AMOUNT);
+                });
+            });
+        });
+    });
+
     describe('withdraw tokens', () => {
         const testWithdrawTokens = (createToken, staked) => {
             const tokenAmount = BigNumber.from(5000);
@@ -524,6 +1700,9 @@ describe('PussyFarm', () => {
                     BigNumber.from(1000)
                 );
 
+                const program = await pussyFarm.getProgram();
+                await rewardToken.transfer(pussyFarm.address, program[3]);
+
                 token = await createToken();
 
                 await token.transfer(pussyFarm.address, tokenAmount);
@@ -576,7 +1755,13 @@ describe('PussyFarm', () => {
                     expect(await token.balanceOf(owner.address)).to.equal(
                         prevOwnerBalance.add(tokenAmount.sub(amount))
                     );
-                    expect(await token.balanceOf(pussyFarm.address)).to.equal(BigNumber.from(0));
+                    expect(await token.balanceOf(pussyFarm.address)).to.equal(
+                        prevFarmBalance.sub(tokenAmount.sub(amount))
+                    );
+
+                    await expect(pussyFarm.withdrawTokens(token.address, BigNumber.from(1))).to.be.revertedWith(
+                        'INVALID_AMOUNT'
+                    );
                 }
             });
         };
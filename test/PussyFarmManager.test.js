@@ -0,0 +1,678 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { BigNumber } = require('ethers');
+
+const { duration, latest } = require('./helpers/Time');
+const Contracts = require('./helpers/Contracts');
+
+const {
+    constants: { AddressZero: ZERO_ADDRESS, MaxUint256: MAX_UINT256 }
+} = ethers;
+
+describe('PussyFarmManager', () => {
+    const TOTAL_SUPPLY = BigNumber.from(1_000_000_000_000).mul(BigNumber.from(10).pow(18));
+    const RATE_FACTOR = BigNumber.from(10).pow(BigNumber.from(18));
+
+    const POOL_ID = BigNumber.from(1);
+    const POOL_ID2 = BigNumber.from(2);
+
+    let accounts;
+    let owner;
+    let nonOwner;
+
+    let stakeToken;
+    let rewardToken;
+    let rewardToken2;
+    let farmManager;
+
+    let now;
+
+    const setTime = async (time) => {
+        now = time;
+
+        await farmManager.setTime(now);
+    };
+
+    before(async () => {
+        accounts = await ethers.getSigners();
+
+        owner = accounts[0];
+        nonOwner = accounts[1];
+    });
+
+    beforeEach(async () => {
+        now = await latest();
+
+        stakeToken = await Contracts.TestERC20Token.deploy('Stake Token', 'STKN', TOTAL_SUPPLY);
+        rewardToken = await Contracts.TestERC20Token.deploy('Reward Token', 'RTKN', TOTAL_SUPPLY);
+        rewardToken2 = await Contracts.TestERC20Token.deploy('Reward Token 2', 'RTKN2', TOTAL_SUPPLY);
+
+        farmManager = await Contracts.TestPussyFarmManager.deploy();
+
+        // The rewards of each pool are transferred from the owner when the pool is added
+        await rewardToken.approve(farmManager.address, MAX_UINT256);
+        await rewardToken2.approve(farmManager.address, MAX_UINT256);
+    });
+
+    describe('construction', () => {
+        it('should be properly initialized', async () => {
+            expect(await farmManager.getPoolIds()).to.be.empty;
+            expect(await farmManager.time()).to.equal(await latest());
+        });
+    });
+
+    describe('pools', () => {
+        const startTime = BigNumber.from(0);
+        let endTime;
+        const rewardRate = BigNumber.from(1000);
+
+        beforeEach(async () => {
+            endTime = now.add(duration.days(1));
+        });
+
+        it('should revert when a non-owner attempts to add a pool', async () => {
+            await expect(
+                farmManager
+                    .connect(nonOwner)
+                    .addPool(POOL_ID, stakeToken.address, rewardToken.address, startTime, endTime, rewardRate)
+            ).to.be.revertedWith('Ownable: caller is not the owner');
+        });
+
+        it('should revert when adding a pool with an invalid stake token address', async () => {
+            await expect(
+                farmManager.addPool(POOL_ID, ZERO_ADDRESS, rewardToken.address, startTime, endTime, rewardRate)
+            ).to.be.revertedWith('INVALID_ADDRESS');
+        });
+
+        it('should revert when adding a pool with an invalid reward token address', async () => {
+            await expect(
+                farmManager.addPool(POOL_ID, stakeToken.address, ZERO_ADDRESS, startTime, endTime, rewardRate)
+            ).to.be.revertedWith('INVALID_ADDRESS');
+        });
+
+        it('should revert when adding a pool with an invalid time', async () => {
+            await expect(
+                farmManager.addPool(POOL_ID, stakeToken.address, rewardToken.address, endTime, startTime, rewardRate)
+            ).to.be.revertedWith('INVALID_DURATION');
+
+            await expect(
+                farmManager.addPool(
+                    POOL_ID,
+                    stakeToken.address,
+                    rewardToken.address,
+                    startTime,
+                    now.sub(BigNumber.from(10)),
+                    rewardRate
+                )
+            ).to.be.revertedWith('INVALID_DURATION');
+        });
+
+        it('should revert when adding a pool with an invalid reward rate', async () => {
+            await expect(
+                farmManager.addPool(POOL_ID, stakeToken.address, rewardToken.address, startTime, endTime, 0)
+            ).to.be.revertedWith('INVALID_VALUE');
+        });
+
+        it('should revert when adding a pool with an existing ID', async () => {
+            await farmManager.addPool(POOL_ID, stakeToken.address, rewardToken.address, startTime, endTime, rewardRate);
+
+            await expect(
+                farmManager.addPool(POOL_ID, stakeToken.address, rewardToken2.address, startTime, endTime, rewardRate)
+            ).to.be.revertedWith('ALREADY_EXISTS');
+        });
+
+        it('should revert when querying a non-existing pool', async () => {
+            await expect(farmManager.getPool(POOL_ID)).to.be.revertedWith('INVALID_POOL');
+        });
+
+        it('should allow adding pools', async () => {
+            const res = await farmManager.addPool(
+                POOL_ID,
+                stakeToken.address,
+                rewardToken.address,
+                startTime,
+                endTime,
+                rewardRate
+            );
+            await expect(res)
+                .to.emit(farmManager, 'PoolAdded')
+                .withArgs(POOL_ID, stakeToken.address, rewardToken.address, startTime, endTime, rewardRate);
+
+            const endTime2 = endTime.add(duration.days(1));
+            const rewardRate2 = rewardRate.mul(BigNumber.from(2));
+
+            await farmManager.addPool(
+                POOL_ID2,
+                stakeToken.address,
+                rewardToken2.address,
+                startTime,
+                endTime2,
+                rewardRate2
+            );
+
+            const poolIds = (await farmManager.getPoolIds()).map((poolId) => poolId.toNumber());
+            expect(poolIds).to.deep.equal([POOL_ID.toNumber(), POOL_ID2.toNumber()]);
+
+            const pool = await farmManager.getPool(POOL_ID);
+            expect(pool[0]).to.equal(stakeToken.address);
+            expect(pool[1]).to.equal(rewardToken.address);
+            expect(pool[2]).to.equal(startTime);
+            expect(pool[3]).to.equal(endTime);
+            expect(pool[4]).to.equal(rewardRate);
+            expect(pool[5]).to.equal(endTime.sub(startTime).mul(rewardRate));
+
+            const pool2 = await farmManager.getPool(POOL_ID2);
+            expect(pool2[0]).to.equal(stakeToken.address);
+            expect(pool2[1]).to.equal(rewardToken2.address);
+            expect(pool2[3]).to.equal(endTime2);
+            expect(pool2[4]).to.equal(rewardRate2);
+
+            // The rewards of both pools were transferred from the owner
+            expect(await rewardToken.balanceOf(farmManager.address)).to.equal(pool[5]);
+            expect(await rewardToken2.balanceOf(farmManager.address)).to.equal(pool2[5]);
+        });
+    });
+
+    describe('rewards', () => {
+        const REWARDS_DURATION = duration.days(30);
+        const REWARD_RATE = BigNumber.from(10 ** 9)
+            .mul(BigNumber.from(10).pow(18))
+            .div(REWARDS_DURATION);
+        const REWARD_RATE2 = REWARD_RATE.div(BigNumber.from(3));
+
+        let programStartTime;
+        let programEndTime;
+
+        let staker;
+        let staker2;
+
+        const expectedRewards = (stakeAmount, totalStaked, rewardRate, duration) =>
+            stakeAmount.mul(duration.mul(rewardRate).mul(RATE_FACTOR).div(totalStaked)).div(RATE_FACTOR);
+
+        const stake = async (poolId, account, amount) => {
+            await stakeToken.transfer(account.address, amount);
+            await stakeToken.connect(account).approve(farmManager.address, amount);
+
+            return farmManager.connect(account).stake(poolId, amount);
+        };
+
+        beforeEach(async () => {
+            staker = accounts[2];
+            staker2 = accounts[3];
+
+            programStartTime = now.add(duration.days(1));
+            programEndTime = programStartTime.add(REWARDS_DURATION);
+
+            await farmManager.addPool(
+                POOL_ID,
+                stakeToken.address,
+                rewardToken.address,
+                programStartTime,
+                programEndTime,
+                REWARD_RATE
+            );
+            await farmManager.addPool(
+                POOL_ID2,
+                stakeToken.address,
+                rewardToken2.address,
+                programStartTime,
+                programEndTime,
+                REWARD_RATE2
+            );
+
+            await setTime(now);
+        });
+
+        it('should revert when interacting with a non-existing pool', async () => {
+            const poolId = BigNumber.from(1000);
+
+            await expect(stake(poolId, staker, BigNumber.from(1000))).to.be.revertedWith('INVALID_POOL');
+            await expect(farmManager.connect(staker).withdraw(poolId, BigNumber.from(1000))).to.be.revertedWith(
+                'INVALID_POOL'
+            );
+            await expect(farmManager.connect(staker).claim(poolId)).to.be.revertedWith('INVALID_POOL');
+        });
+
+        it('should revert when staking or withdrawing 0 tokens', async () => {
+            await expect(stake(POOL_ID, staker, BigNumber.from(0))).to.be.revertedWith('INVALID_AMOUNT');
+            await expect(farmManager.connect(staker).withdraw(POOL_ID, BigNumber.from(0))).to.be.revertedWith(
+                'INVALID_AMOUNT'
+            );
+        });
+
+        it('should track stakes per pool', async () => {
+            const amount = BigNumber.from(1000);
+            const amount2 = BigNumber.from(5000);
+
+            const res = await stake(POOL_ID, staker, amount);
+            await expect(res).to.emit(farmManager, 'Staked').withArgs(POOL_ID, staker.address, amount);
+
+            await stake(POOL_ID2, staker, amount2);
+
+            expect(await farmManager.getStake(POOL_ID, staker.address)).to.equal(amount);
+            expect(await farmManager.getStake(POOL_ID2, staker.address)).to.equal(amount2);
+            expect(await farmManager.getTotalStaked(POOL_ID)).to.equal(amount);
+            expect(await farmManager.getTotalStaked(POOL_ID2)).to.equal(amount2);
+            expect(await stakeToken.balanceOf(farmManager.address)).to.equal(amount.add(amount2));
+
+            const res2 = await farmManager.connect(staker).withdraw(POOL_ID2, amount2);
+            await expect(res2).to.emit(farmManager, 'Withdrawn').withArgs(POOL_ID2, staker.address, amount2);
+
+            expect(await farmManager.getStake(POOL_ID, staker.address)).to.equal(amount);
+            expect(await farmManager.getStake(POOL_ID2, staker.address)).to.equal(BigNumber.from(0));
+            expect(await farmManager.getTotalStaked(POOL_ID2)).to.equal(BigNumber.from(0));
+            expect(await stakeToken.balanceOf(farmManager.address)).to.equal(amount);
+        });
+
+        it('should distribute rewards independently per pool', async () => {
+            const amount = BigNumber.from(1_000_000);
+            const amount2 = BigNumber.from(3_000_000);
+
+            await stake(POOL_ID, staker, amount);
+            await stake(POOL_ID, staker2, amount2);
+            await stake(POOL_ID2, staker, amount);
+
+            await setTime(programStartTime.add(duration.days(10)));
+
+            const totalStaked = amount.add(amount2);
+            const elapsed = duration.days(10);
+
+            expect(await farmManager.getPendingRewards(POOL_ID, staker.address)).to.equal(
+                expectedRewards(amount, totalStaked, REWARD_RATE, elapsed)
+            );
+            expect(await farmManager.getPendingRewards(POOL_ID, staker2.address)).to.equal(
+                expectedRewards(amount2, totalStaked, REWARD_RATE, elapsed)
+            );
+            expect(await farmManager.getPendingRewards(POOL_ID2, staker.address)).to.equal(
+                expectedRewards(amount, amount, REWARD_RATE2, elapsed)
+            );
+            expect(await farmManager.getPendingRewards(POOL_ID2, staker2.address)).to.equal(BigNumber.from(0));
+
+            await setTime(programEndTime.add(duration.days(1)));
+
+            expect(await farmManager.getPendingRewards(POOL_ID2, staker.address)).to.equal(
+                expectedRewards(amount, amount, REWARD_RATE2, REWARDS_DURATION)
+            );
+        });
+
+        it('should claim rewards from a single pool', async () => {
+            const amount = BigNumber.from(1_000_000);
+
+            await stake(POOL_ID, staker, amount);
+            await stake(POOL_ID2, staker, amount);
+
+            await setTime(programStartTime.add(duration.days(5)));
+
+            const reward = await farmManager.getPendingRewards(POOL_ID, staker.address);
+            const reward2 = await farmManager.getPendingRewards(POOL_ID2, staker.address);
+
+            const res = await farmManager.connect(staker).claim(POOL_ID);
+            await expect(res).to.emit(farmManager, 'Claimed').withArgs(POOL_ID, staker.address, reward);
+
+            expect(await rewardToken.balanceOf(staker.address)).to.equal(reward);
+            expect(await rewardToken2.balanceOf(staker.address)).to.equal(BigNumber.from(0));
+            expect(await farmManager.getClaimed(POOL_ID, staker.address)).to.equal(reward);
+            expect(await farmManager.getPendingRewards(POOL_ID, staker.address)).to.equal(BigNumber.from(0));
+            expect(await farmManager.getPendingRewards(POOL_ID2, staker.address)).to.equal(reward2);
+        });
+
+        it('should claim rewards when withdrawing', async () => {
+            const amount = BigNumber.from(1_000_000);
+
+            await stake(POOL_ID, staker, amount);
+
+            await setTime(programStartTime.add(duration.days(5)));
+
+            const reward = await farmManager.getPendingRewards(POOL_ID, staker.address);
+
+            const res = await farmManager.connect(staker).withdraw(POOL_ID, amount);
+            await expect(res).to.emit(farmManager, 'Claimed').withArgs(POOL_ID, staker.address, reward);
+
+            expect(await rewardToken.balanceOf(staker.address)).to.equal(reward);
+            expect(await stakeToken.balanceOf(staker.address)).to.equal(amount);
+        });
+
+        it('should claim rewards from all the pools', async () => {
+            const amount = BigNumber.from(1_000_000);
+
+            await stake(POOL_ID, staker, amount);
+            await stake(POOL_ID2, staker, amount);
+
+            await setTime(programStartTime.add(duration.days(5)));
+
+            const reward = await farmManager.getPendingRewards(POOL_ID, staker.address);
+            const reward2 = await farmManager.getPendingRewards(POOL_ID2, staker.address);
+
+            const res = await farmManager.connect(staker).claimAll();
+            await expect(res).to.emit(farmManager, 'Claimed').withArgs(POOL_ID, staker.address, reward);
+            await expect(res).to.emit(farmManager, 'Claimed').withArgs(POOL_ID2, staker.address, reward2);
+
+            expect(await rewardToken.balanceOf(staker.address)).to.equal(reward);
+            expect(await rewardToken2.balanceOf(staker.address)).to.equal(reward2);
+            expect(await farmManager.getPendingRewards(POOL_ID, staker.address)).to.equal(BigNumber.from(0));
+            expect(await farmManager.getPendingRewards(POOL_ID2, staker.address)).to.equal(BigNumber.from(0));
+
+            await setTime(programStartTime.add(duration.days(6)));
+
+            const reward3 = await farmManager.getPendingRewards(POOL_ID, staker.address);
+            expect(reward3).to.equal(expectedRewards(amount, amount, REWARD_RATE, duration.days(1)));
+
+            await farmManager.connect(staker).claimAll();
+
+            expect(await farmManager.getClaimed(POOL_ID, staker.address)).to.equal(reward.add(reward3));
+        });
+
+        it('should not pay the rewards of a pool out of the stakes of another pool', async () => {
+            const poolId3 = BigNumber.from(3);
+            const amount = BigNumber.from(1_000_000);
+
+            // The third pool is rewarded in the stake token of the first pool
+            await stakeToken.approve(farmManager.address, MAX_UINT256);
+            await farmManager.addPool(
+                poolId3,
+                rewardToken.address,
+                stakeToken.address,
+                programStartTime,
+                programEndTime,
+                REWARD_RATE2
+            );
+
+            await stake(POOL_ID, staker, amount);
+
+            await rewardToken.transfer(staker2.address, amount);
+            await rewardToken.connect(staker2).approve(farmManager.address, amount);
+            await farmManager.connect(staker2).stake(poolId3, amount);
+
+            await setTime(programEndTime);
+
+            await farmManager.connect(staker2).claim(poolId3);
+
+            expect(await stakeToken.balanceOf(staker2.address)).to.equal(
+                expectedRewards(amount, amount, REWARD_RATE2, REWARDS_DURATION)
+            );
+
+            await farmManager.connect(staker).withdraw(POOL_ID, amount);
+
+            expect(await stakeToken.balanceOf(staker.address)).to.equal(amount);
+        });
+
+        it('should allow withdrawing the rewards of the periods without any stakes', async () => {
+            const amount = BigNumber.from(1_000_000);
+            const idleTime = duration.days(5);
+
+            await setTime(programStartTime.add(idleTime));
+
+            await stake(POOL_ID, staker, amount);
+
+            const forfeited = idleTime.mul(REWARD_RATE);
+
+            await expect(farmManager.withdrawTokens(rewardToken.address, forfeited.add(1))).to.be.revertedWith(
+                'INVALID_AMOUNT'
+            );
+
+            const prevBalance = await rewardToken.balanceOf(owner.address);
+
+            await farmManager.withdrawTokens(rewardToken.address, forfeited);
+
+            expect(await rewardToken.balanceOf(owner.address)).to.equal(prevBalance.add(forfeited));
+
+            // The rewards of the staker are still fully covered
+            await setTime(programEndTime);
+
+            await farmManager.connect(staker).claim(POOL_ID);
+
+            expect(await rewardToken.balanceOf(staker.address)).to.equal(
+                expectedRewards(amount, amount, REWARD_RATE, REWARDS_DURATION.sub(idleTime))
+            );
+        });
+    });
+
+    describe('emergency withdraw', () => {
+        const REWARDS_DURATION = duration.days(10);
+        const REWARD_RATE = BigNumber.from(1000);
+        const STAKE_AMOUNT = BigNumber.from(1_000_000);
+
+        let programStartTime;
+        let staker;
+        let staker2;
+
+        const stake = async (poolId, account, amount) => {
+            await stakeToken.transfer(account.address, amount);
+            await stakeToken.connect(account).approve(farmManager.address, amount);
+
+            return farmManager.connect(account).stake(poolId, amount);
+        };
+
+        beforeEach(async () => {
+            staker = accounts[2];
+            staker2 = accounts[3];
+
+            programStartTime = now.add(duration.days(1));
+
+            await farmManager.addPool(
+                POOL_ID,
+                stakeToken.address,
+                rewardToken.address,
+                programStartTime,
+                programStartTime.add(REWARDS_DURATION),
+                REWARD_RATE
+            );
+            await farmManager.addPool(
+                POOL_ID2,
+                stakeToken.address,
+                rewardToken2.address,
+                programStartTime,
+                programStartTime.add(REWARDS_DURATION),
+                REWARD_RATE
+            );
+
+            await setTime(programStartTime);
+
+            await stake(POOL_ID, staker, STAKE_AMOUNT);
+            await stake(POOL_ID, staker2, STAKE_AMOUNT);
+            await stake(POOL_ID2, staker, STAKE_AMOUNT);
+        });
+
+        it('should revert when emergency withdrawing without a stake', async () => {
+            await expect(farmManager.connect(accounts[4]).emergencyWithdraw(POOL_ID)).to.be.revertedWith(
+                'INVALID_AMOUNT'
+            );
+            await expect(farmManager.connect(staker).emergencyWithdraw(BigNumber.from(1000))).to.be.revertedWith(
+                'INVALID_POOL'
+            );
+        });
+
+        it('should return the whole stake and forfeit the pending rewards of the pool', async () => {
+            await setTime(programStartTime.add(duration.days(2)));
+
+            const reward = await farmManager.getPendingRewards(POOL_ID, staker.address);
+            expect(reward).to.equal(duration.days(1).mul(REWARD_RATE));
+
+            const reward2 = await farmManager.getPendingRewards(POOL_ID2, staker.address);
+
+            const res = await farmManager.connect(staker).emergencyWithdraw(POOL_ID);
+            await expect(res)
+                .to.emit(farmManager, 'EmergencyWithdrawn')
+                .withArgs(POOL_ID, staker.address, STAKE_AMOUNT);
+            await expect(res).not.to.emit(farmManager, 'Claimed');
+
+            expect(await stakeToken.balanceOf(staker.address)).to.equal(STAKE_AMOUNT);
+            expect(await rewardToken.balanceOf(staker.address)).to.equal(BigNumber.from(0));
+            expect(await farmManager.getStake(POOL_ID, staker.address)).to.equal(BigNumber.from(0));
+            expect(await farmManager.getTotalStaked(POOL_ID)).to.equal(STAKE_AMOUNT);
+            expect(await farmManager.getPendingRewards(POOL_ID, staker.address)).to.equal(BigNumber.from(0));
+
+            // The stake and the rewards of the other pool aren't affected
+            expect(await farmManager.getStake(POOL_ID2, staker.address)).to.equal(STAKE_AMOUNT);
+            expect(await farmManager.getPendingRewards(POOL_ID2, staker.address)).to.equal(reward2);
+
+            await setTime(programStartTime.add(duration.days(3)));
+
+            expect(await farmManager.getPendingRewards(POOL_ID, staker.address)).to.equal(BigNumber.from(0));
+            expect(await farmManager.getPendingRewards(POOL_ID, staker2.address)).to.equal(
+                reward.add(duration.days(1).mul(REWARD_RATE))
+            );
+
+            // The forfeited rewards are no longer owed to anyone
+            const prevOwnerBalance = await rewardToken.balanceOf(owner.address);
+            await farmManager.withdrawTokens(rewardToken.address, reward);
+
+            expect(await rewardToken.balanceOf(owner.address)).to.equal(prevOwnerBalance.add(reward));
+            await expect(farmManager.withdrawTokens(rewardToken.address, BigNumber.from(1))).to.be.revertedWith(
+                'INVALID_AMOUNT'
+            );
+        });
+    });
+
+    describe('pausing', () => {
+        const STAKE_AMOUNT = BigNumber.from(1_000_000);
+
+        let guardian;
+        let staker;
+        let programStartTime;
+
+        const stake = async (amount) => {
+            await stakeToken.transfer(staker.address, amount);
+            await stakeToken.connect(staker).approve(farmManager.address, amount);
+
+            return farmManager.connect(staker).stake(POOL_ID, amount);
+        };
+
+        beforeEach(async () => {
+            guardian = accounts[4];
+            staker = accounts[2];
+
+            programStartTime = now.add(duration.days(1));
+
+            await farmManager.addPool(
+                POOL_ID,
+                stakeToken.address,
+                rewardToken.address,
+                programStartTime,
+                programStartTime.add(duration.days(10)),
+                BigNumber.from(1000)
+            );
+            await stake(STAKE_AMOUNT);
+
+            await farmManager.setGuardian(guardian.address);
+        });
+
+        it('should revert when a non-guardian attempts to pause or unpause', async () => {
+            await expect(farmManager.connect(owner).pause()).to.be.revertedWith('ACCESS_DENIED');
+
+            await farmManager.connect(guardian).pause();
+
+            await expect(farmManager.connect(owner).unpause()).to.be.revertedWith('ACCESS_DENIED');
+        });
+
+        context('when paused', () => {
+            beforeEach(async () => {
+                const res = await farmManager.connect(guardian).pause();
+                await expect(res).to.emit(farmManager, 'Paused').withArgs(guardian.address);
+
+                await setTime(programStartTime.add(duration.days(1)));
+            });
+
+            it('should revert when staking', async () => {
+                await expect(stake(STAKE_AMOUNT)).to.be.revertedWith('Pausable: paused');
+            });
+
+            it('should allow claiming', async () => {
+                const reward = await farmManager.getPendingRewards(POOL_ID, staker.address);
+
+                const res = await farmManager.connect(staker).claim(POOL_ID);
+                await expect(res).to.emit(farmManager, 'Claimed').withArgs(POOL_ID, staker.address, reward);
+
+                await farmManager.connect(staker).claimAll();
+            });
+
+            it('should allow withdrawing', async () => {
+                const res = await farmManager.connect(staker).withdraw(POOL_ID, STAKE_AMOUNT);
+                await expect(res).to.emit(farmManager, 'Withdrawn').withArgs(POOL_ID, staker.address, STAKE_AMOUNT);
+            });
+
+            it('should allow emergency withdrawing', async () => {
+                const res = await farmManager.connect(staker).emergencyWithdraw(POOL_ID);
+                await expect(res)
+                    .to.emit(farmManager, 'EmergencyWithdrawn')
+                    .withArgs(POOL_ID, staker.address, STAKE_AMOUNT);
+            });
+
+            it('should allow staking after unpausing', async () => {
+                const res = await farmManager.connect(guardian).unpause();
+                await expect(res).to.emit(farmManager, 'Unpaused').withArgs(guardian.address);
+
+                await stake(STAKE_AMOUNT);
+            });
+        });
+    });
+
+    describe('withdraw tokens', () => {
+        const tokenAmount = BigNumber.from(5000);
+        const stakeAmount = BigNumber.from(10000);
+
+        beforeEach(async () => {
+            await farmManager.addPool(
+                POOL_ID,
+                stakeToken.address,
+                rewardToken.address,
+                BigNumber.from(0),
+                now.add(BigNumber.from(1000)),
+                BigNumber.from(1000)
+            );
+            await farmManager.addPool(
+                POOL_ID2,
+                stakeToken.address,
+                rewardToken2.address,
+                BigNumber.from(0),
+                now.add(BigNumber.from(1000)),
+                BigNumber.from(1000)
+            );
+
+            await stakeToken.transfer(farmManager.address, tokenAmount);
+
+            await setTime(now);
+
+            await stakeToken.approve(farmManager.address, stakeAmount.mul(BigNumber.from(2)));
+            await farmManager.stake(POOL_ID, stakeAmount);
+            await farmManager.stake(POOL_ID2, stakeAmount);
+        });
+
+        it('should revert when a non-owner attempts to withdraw tokens', async () => {
+            await expect(
+                farmManager.connect(nonOwner).withdrawTokens(stakeToken.address, BigNumber.from(1))
+            ).to.be.revertedWith('Ownable: caller is not the owner');
+        });
+
+        it('should exclude the stakes of all the pools', async () => {
+            await expect(farmManager.withdrawTokens(stakeToken.address, tokenAmount.add(1))).to.be.revertedWith(
+                'INVALID_AMOUNT'
+            );
+
+            const prevOwnerBalance = await stakeToken.balanceOf(owner.address);
+
+            await farmManager.withdrawTokens(stakeToken.address, tokenAmount);
+
+            expect(await stakeToken.balanceOf(owner.address)).to.equal(prevOwnerBalance.add(tokenAmount));
+            expect(await stakeToken.balanceOf(farmManager.address)).to.equal(stakeAmount.mul(BigNumber.from(2)));
+        });
+
+        it('should exclude the unclaimed rewards of all the pools', async () => {
+            // Only the rewards of the period before the first stake (which can't be distributed) can be withdrawn
+            const unclaimed = BigNumber.from(1000).mul(BigNumber.from(1000));
+            const balance = await rewardToken.balanceOf(farmManager.address);
+            const available = balance.sub(unclaimed);
+
+            await expect(farmManager.withdrawTokens(rewardToken.address, available.add(1))).to.be.revertedWith(
+                'INVALID_AMOUNT'
+            );
+
+            const prevOwnerBalance = await rewardToken.balanceOf(owner.address);
+
+            await farmManager.withdrawTokens(rewardToken.address, available);
+
+            expect(await rewardToken.balanceOf(owner.address)).to.equal(prevOwnerBalance.add(available));
+            expect(await rewardToken.balanceOf(farmManager.address)).to.equal(unclaimed);
+        });
+    });
+});
@@ -5,18 +5,22 @@ const Decimal = require('decimal.js');
 
 const { duration, latest } = require('./helpers/Time');
 const Contracts = require('./helpers/Contracts');
+const { signPermit } = require('./helpers/Permit');
 
 const {
-    constants: { AddressZero: ZERO_ADDRESS }
+    constants: { AddressZero: ZERO_ADDRESS, MaxUint256: MAX_UINT256 }
 } = ethers;
 
 describe('PussyHODLFarm', () => {
     const TOTAL_SUPPLY = BigNumber.from(1_000_000_000_000).mul(BigNumber.from(10).pow(18));
     const RATE_FACTOR = BigNumber.from(10).pow(BigNumber.from(18));
+    const PPM_RESOLUTION = BigNumber.from(1_000_000);
+    const EARLY_WITHDRAWAL_PENALTY = BigNumber.from(100_000);
 
     let accounts;
     let owner;
     let nonOwner;
+    let dao;
 
     let stakeToken;
     let rewardToken;
@@ -37,6 +41,7 @@ describe('PussyHODLFarm', () => {
 
         owner = accounts[0];
         nonOwner = accounts[1];
+        dao = accounts[9];
 
         now = await latest();
     });
@@ -54,7 +59,9 @@ describe('PussyHODLFarm', () => {
                     rewardToken.address,
                     BigNumber.from(0),
                     now.add(BigNumber.from(100)),
-                    BigNumber.from(1)
+                    BigNumber.from(1),
+                    EARLY_WITHDRAWAL_PENALTY,
+                    dao.address
                 )
             ).to.be.revertedWith('INVALID_ADDRESS');
         });
@@ -66,7 +73,9 @@ describe('PussyHODLFarm', () => {
                     ZERO_ADDRESS,
                     BigNumber.from(0),
                     now.add(BigNumber.from(100)),
-                    BigNumber.from(1)
+                    BigNumber.from(1),
+                    EARLY_WITHDRAWAL_PENALTY,
+                    dao.address
                 )
             ).to.be.revertedWith('INVALID_ADDRESS');
         });
@@ -78,7 +87,9 @@ describe('PussyHODLFarm', () => {
                     rewardToken.address,
                     now.add(BigNumber.from(100)),
                     now.add(BigNumber.from(10)),
-                    BigNumber.from(1)
+                    BigNumber.from(1),
+                    EARLY_WITHDRAWAL_PENALTY,
+                    dao.address
                 )
             ).to.be.revertedWith('INVALID_DURATION');
 
@@ -88,7 +99,9 @@ describe('PussyHODLFarm', () => {
                     rewardToken.address,
                     BigNumber.from(0),
                     now.sub(BigNumber.from(10)),
-                    BigNumber.from(1)
+                    BigNumber.from(1),
+                    EARLY_WITHDRAWAL_PENALTY,
+                    dao.address
                 )
             ).to.be.revertedWith('INVALID_DURATION');
         });
@@ -100,11 +113,41 @@ describe('PussyHODLFarm', () => {
                     rewardToken.address,
                     BigNumber.from(0),
                     now.add(BigNumber.from(10)),
-                    BigNumber.from(0)
+                    BigNumber.from(0),
+                    EARLY_WITHDRAWAL_PENALTY,
+                    dao.address
+                )
+            ).to.be.revertedWith('INVALID_VALUE');
+        });
+
+        it('should revert when initialized with an invalid early withdrawal penalty', async () => {
+            await expect(
+                Contracts.TestPussyHODLFarm.deploy(
+                    stakeToken.address,
+                    rewardToken.address,
+                    BigNumber.from(0),
+                    now.add(BigNumber.from(100)),
+                    BigNumber.from(1),
+                    PPM_RESOLUTION.div(2).add(1),
+                    dao.address
                 )
             ).to.be.revertedWith('INVALID_VALUE');
         });
 
+        it('should revert when redistributing the penalties with different stake and reward tokens', async () => {
+            await expect(
+                Contracts.TestPussyHODLFarm.deploy(
+                    stakeToken.address,
+                    rewardToken.address,
+                    BigNumber.from(0),
+                    now.add(BigNumber.from(100)),
+                    BigNumber.from(1),
+                    EARLY_WITHDRAWAL_PENALTY,
+                    ZERO_ADDRESS
+                )
+            ).to.be.revertedWith('INVALID_ADDRESS');
+        });
+
         it('should be properly initialized', async () => {
             const startTime = now;
             const endTime = now.add(BigNumber.from(100));
@@ -115,7 +158,9 @@ describe('PussyHODLFarm', () => {
                 rewardToken.address,
                 startTime,
                 endTime,
-                rewardRate
+                rewardRate,
+                EARLY_WITHDRAWAL_PENALTY,
+                dao.address
             );
 
             const program = await pussyHODLFarm.getProgram();
@@ -125,6 +170,16 @@ describe('PussyHODLFarm', () => {
             expect(program[3]).to.equal(endTime.sub(startTime).mul(rewardRate));
 
             expect(await pussyHODLFarm.getTotalStaked()).to.equal(BigNumber.from(0));
+            expect(await pussyHODLFarm.getTotalWeight()).to.equal(BigNumber.from(0));
+            expect(await pussyHODLFarm.getLockTierCount()).to.equal(BigNumber.from(1));
+            expect(await pussyHODLFarm.getEarlyWithdrawalPenalty()).to.equal(EARLY_WITHDRAWAL_PENALTY);
+            expect(await pussyHODLFarm.getDAO()).to.equal(dao.address);
+            expect(await pussyHODLFarm.isLocking()).to.be.true;
+
+            const tier = await pussyHODLFarm.getLockTier(0);
+            expect(tier[0]).to.equal(BigNumber.from(0));
+            expect(tier[1]).to.equal(PPM_RESOLUTION);
+
             expect(await pussyHODLFarm.time()).to.equal(await latest());
         });
     });
@@ -481,7 +536,9 @@ describe('PussyHODLFarm', () => {
                     rewardToken.address,
                     programStartTime,
                     programEndTime,
-                    REWARD_RATE
+                    REWARD_RATE,
+                    EARLY_WITHDRAWAL_PENALTY,
+                    dao.address
                 );
 
                 await rewardToken.transfer(
@@ -528,6 +585,993 @@ describe('PussyHODLFarm', () => {
         });
     });
 
+    describe('staking with permit', () => {
+        const REWARDS_DURATION = duration.days(10);
+        const REWARD_RATE = BigNumber.from(1000);
+        const STAKE_AMOUNT = BigNumber.from(1_000_000);
+
+        let programStartTime;
+        let programEndTime;
+        let staker;
+        let permitToken;
+
+        beforeEach(async () => {
+            staker = accounts[2];
+
+            programStartTime = now.add(duration.days(1));
+            programEndTime = programStartTime.add(REWARDS_DURATION);
+
+            permitToken = await Contracts.TestERC20PermitToken.deploy('Permit Token', 'PTKN', TOTAL_SUPPLY);
+            pussyHODLFarm = await Contracts.TestPussyHODLFarm.deploy(
+                permitToken.address,
+                rewardToken.address,
+                programStartTime,
+                programEndTime,
+                REWARD_RATE,
+                EARLY_WITHDRAWAL_PENALTY,
+                dao.address
+            );
+
+            await rewardToken.transfer(pussyHODLFarm.address, REWARDS_DURATION.mul(REWARD_RATE));
+
+            await permitToken.transfer(staker.address, STAKE_AMOUNT);
+        });
+
+        it('should lock stakes made with a permit until the end of the program', async () => {
+            const { v, r, s } = await signPermit(permitToken, staker, pussyHODLFarm.address, STAKE_AMOUNT, MAX_UINT256);
+
+            const res = await pussyHODLFarm.connect(staker).stakeWithPermit(STAKE_AMOUNT, MAX_UINT256, v, r, s);
+            await expect(res).to.emit(pussyHODLFarm, 'Staked').withArgs(staker.address, STAKE_AMOUNT);
+
+            expect(await pussyHODLFarm.getStake(staker.address)).to.equal(STAKE_AMOUNT);
+
+            await setTime(programStartTime.add(duration.days(1)));
+
+            await expect(pussyHODLFarm.connect(staker).withdraw(STAKE_AMOUNT)).to.be.revertedWith('STAKE_LOCKED');
+
+            await setTime(programEndTime);
+
+            await pussyHODLFarm.connect(staker).withdraw(STAKE_AMOUNT);
+
+            expect(await permitToken.balanceOf(staker.address)).to.equal(STAKE_AMOUNT);
+            expect(await rewardToken.balanceOf(staker.address)).to.equal(REWARDS_DURATION.mul(REWARD_RATE));
+        });
+    });
+
+    describe('lock tiers', () => {
+        const REWARDS_DURATION = duration.days(100);
+        const REWARD_RATE = BigNumber.from(1000);
+        const STAKE_AMOUNT = BigNumber.from(1_000_000);
+        const TIER_DURATION = duration.days(30);
+        const TIER_MULTIPLIER = BigNumber.from(3_000_000);
+
+        let programStartTime;
+        let programEndTime;
+        let staker;
+        let staker2;
+
+        const stakeLocked = async (account, amount, tierId) => {
+            await stakeToken.transfer(account.address, amount);
+            await stakeToken.connect(account).approve(pussyHODLFarm.address, amount);
+
+            return pussyHODLFarm.connect(account).stakeLocked(amount, tierId);
+        };
+
+        beforeEach(async () => {
+            staker = accounts[2];
+            staker2 = accounts[3];
+
+            programStartTime = now.add(duration.days(1));
+            programEndTime = programStartTime.add(REWARDS_DURATION);
+
+            pussyHODLFarm = await Contracts.TestPussyHODLFarm.deploy(
+                stakeToken.address,
+                rewardToken.address,
+                programStartTime,
+                programEndTime,
+                REWARD_RATE,
+                EARLY_WITHDRAWAL_PENALTY,
+                dao.address
+            );
+
+            await rewardToken.transfer(pussyHODLFarm.address, REWARDS_DURATION.mul(REWARD_RATE));
+
+            await setTime(programStartTime);
+        });
+
+        it('should revert when a non-owner attempts to add a lock tier', async () => {
+            await expect(
+                pussyHODLFarm.connect(nonOwner).addLockTier(TIER_DURATION, TIER_MULTIPLIER)
+            ).to.be.revertedWith('Ownable: caller is not the owner');
+        });
+
+        it('should revert when adding a lock tier with an invalid multiplier', async () => {
+            await expect(pussyHODLFarm.addLockTier(TIER_DURATION, PPM_RESOLUTION.sub(1))).to.be.revertedWith(
+                'INVALID_VALUE'
+            );
+            await expect(pussyHODLFarm.addLockTier(TIER_DURATION, PPM_RESOLUTION.mul(5).add(1))).to.be.revertedWith(
+                'INVALID_VALUE'
+            );
+        });
+
+        it('should add a lock tier', async () => {
+            const res = await pussyHODLFarm.addLockTier(TIER_DURATION, TIER_MULTIPLIER);
+            await expect(res).to.emit(pussyHODLFarm, 'LockTierAdded').withArgs(1, TIER_DURATION, TIER_MULTIPLIER);
+
+            expect(await pussyHODLFarm.getLockTierCount()).to.equal(BigNumber.from(2));
+
+            const tier = await pussyHODLFarm.getLockTier(1);
+            expect(tier[0]).to.equal(TIER_DURATION);
+            expect(tier[1]).to.equal(TIER_MULTIPLIER);
+        });
+
+        it('should revert when querying an invalid lock tier', async () => {
+            await expect(pussyHODLFarm.getLockTier(1)).to.be.revertedWith('INVALID_TIER');
+        });
+
+        it('should revert when staking with an invalid lock tier', async () => {
+            await expect(stakeLocked(staker, STAKE_AMOUNT, 1)).to.be.revertedWith('INVALID_TIER');
+        });
+
+        it('should lock regular stakes until the end of the program', async () => {
+            await stakeToken.transfer(staker.address, STAKE_AMOUNT);
+            await stakeToken.connect(staker).approve(pussyHODLFarm.address, STAKE_AMOUNT);
+
+            const res = await pussyHODLFarm.connect(staker).stake(STAKE_AMOUNT);
+            await expect(res)
+                .to.emit(pussyHODLFarm, 'Locked')
+                .withArgs(staker.address, 0, STAKE_AMOUNT, STAKE_AMOUNT, programEndTime);
+
+            expect(await pussyHODLFarm.getWeight(staker.address)).to.equal(STAKE_AMOUNT);
+
+            const positions = await pussyHODLFarm.getPositions(staker.address);
+            expect(positions.length).to.equal(1);
+            expect(positions[0].amount).to.equal(STAKE_AMOUNT);
+            expect(positions[0].weight).to.equal(STAKE_AMOUNT);
+            expect(positions[0].stakeTime).to.equal(programStartTime);
+            expect(positions[0].unlockTime).to.equal(programEndTime);
+        });
+
+        it('should not return any positions for an account without a stake', async () => {
+            expect(await pussyHODLFarm.getPositions(staker.address)).to.be.empty;
+            expect(await pussyHODLFarm.getUnlockedStake(staker.address)).to.equal(BigNumber.from(0));
+        });
+
+        context('with a boosted lock tier', () => {
+            const weight = STAKE_AMOUNT.mul(TIER_MULTIPLIER).div(PPM_RESOLUTION);
+
+            beforeEach(async () => {
+                await pussyHODLFarm.addLockTier(TIER_DURATION, TIER_MULTIPLIER);
+            });
+
+            it('should stake a boosted position', async () => {
+                const unlockTime = programStartTime.add(TIER_DURATION);
+
+                const res = await stakeLocked(staker, STAKE_AMOUNT, 1);
+                await expect(res).to.emit(pussyHODLFarm, 'Staked').withArgs(staker.address, STAKE_AMOUNT);
+                await expect(res)
+                    .to.emit(pussyHODLFarm, 'Locked')
+                    .withArgs(staker.address, 1, STAKE_AMOUNT, weight, unlockTime);
+
+                expect(await pussyHODLFarm.getStake(staker.address)).to.equal(STAKE_AMOUNT);
+                expect(await pussyHODLFarm.getWeight(staker.address)).to.equal(weight);
+                expect(await pussyHODLFarm.getTotalStaked()).to.equal(STAKE_AMOUNT);
+                expect(await pussyHODLFarm.getTotalWeight()).to.equal(weight);
+
+                const positions = await pussyHODLFarm.getPositions(staker.address);
+                expect(positions.length).to.equal(1);
+                expect(positions[0].amount).to.equal(STAKE_AMOUNT);
+                expect(positions[0].weight).to.equal(weight);
+                expect(positions[0].stakeTime).to.equal(programStartTime);
+                expect(positions[0].unlockTime).to.equal(unlockTime);
+            });
+
+            it('should distribute the rewards according to the effective stakes', async () => {
+                await stakeLocked(staker, STAKE_AMOUNT, 1);
+                await stakeLocked(staker2, STAKE_AMOUNT, 0);
+
+                await setTime(programStartTime.add(duration.days(1)));
+
+                const totalWeight = weight.add(STAKE_AMOUNT);
+                const reward = duration.days(1).mul(REWARD_RATE);
+
+                expect(await pussyHODLFarm.getPendingRewards(staker.address)).to.equal(
+                    reward.mul(weight).div(totalWeight)
+                );
+                expect(await pussyHODLFarm.getPendingRewards(staker2.address)).to.equal(
+                    reward.mul(STAKE_AMOUNT).div(totalWeight)
+                );
+            });
+
+            it('should unlock each position by its own expiry', async () => {
+                await stakeLocked(staker, STAKE_AMOUNT, 0);
+
+                await setTime(programStartTime.add(duration.days(1)));
+
+                await stakeLocked(staker, STAKE_AMOUNT, 1);
+
+                await setTime(programStartTime.add(duration.days(1)).add(TIER_DURATION).sub(1));
+
+                await expect(pussyHODLFarm.connect(staker).withdraw(BigNumber.from(1))).to.be.revertedWith(
+                    'STAKE_LOCKED'
+                );
+
+                await setTime(programStartTime.add(duration.days(1)).add(TIER_DURATION));
+
+                await expect(pussyHODLFarm.connect(staker).withdraw(STAKE_AMOUNT.add(1))).to.be.revertedWith(
+                    'STAKE_LOCKED'
+                );
+
+                const res = await pussyHODLFarm.connect(staker).withdraw(STAKE_AMOUNT);
+                await expect(res).to.emit(pussyHODLFarm, 'Withdrawn').withArgs(staker.address, STAKE_AMOUNT);
+
+                expect(await pussyHODLFarm.getStake(staker.address)).to.equal(STAKE_AMOUNT);
+                expect(await pussyHODLFarm.getWeight(staker.address)).to.equal(STAKE_AMOUNT);
+                expect(await pussyHODLFarm.getTotalWeight()).to.equal(STAKE_AMOUNT);
+
+                const positions = await pussyHODLFarm.getPositions(staker.address);
+                expect(positions.length).to.equal(1);
+                expect(positions[0].amount).to.equal(STAKE_AMOUNT);
+                expect(positions[0].unlockTime).to.equal(programEndTime);
+            });
+
+            it('should revert when kicking an account without any expired boosted positions', async () => {
+                await stakeLocked(staker, STAKE_AMOUNT, 0);
+                await stakeLocked(staker, STAKE_AMOUNT, 1);
+
+                await setTime(programStartTime.add(TIER_DURATION).sub(1));
+
+                await expect(pussyHODLFarm.connect(nonOwner).kick(staker.address)).to.be.revertedWith(
+                    'NO_EXPIRED_POSITIONS'
+                );
+            });
+
+            it('should remove the boost of the expired positions when kicked', async () => {
+                await stakeLocked(staker, STAKE_AMOUNT, 1);
+                await stakeLocked(staker2, STAKE_AMOUNT, 0);
+
+                await setTime(programStartTime.add(TIER_DURATION));
+
+                const totalWeight = weight.add(STAKE_AMOUNT);
+                const reward = TIER_DURATION.mul(REWARD_RATE).mul(weight).div(totalWeight);
+                expect(await pussyHODLFarm.getPendingRewards(staker.address)).to.equal(reward);
+
+                const res = await pussyHODLFarm.connect(nonOwner).kick(staker.address);
+                await expect(res).to.emit(pussyHODLFarm, 'Kicked').withArgs(staker.address, weight.sub(STAKE_AMOUNT));
+
+                expect(await pussyHODLFarm.getStake(staker.address)).to.equal(STAKE_AMOUNT);
+                expect(await pussyHODLFarm.getWeight(staker.address)).to.equal(STAKE_AMOUNT);
+                expect(await pussyHODLFarm.getTotalWeight()).to.equal(STAKE_AMOUNT.mul(2));
+                expect((await pussyHODLFarm.getPositions(staker.address))[0].weight).to.equal(STAKE_AMOUNT);
+
+                // The rewards earned while the position was locked are kept
+                expect(await pussyHODLFarm.getPendingRewards(staker.address)).to.equal(reward);
+
+                await expect(pussyHODLFarm.kick(staker.address)).to.be.revertedWith('NO_EXPIRED_POSITIONS');
+
+                await setTime(programStartTime.add(TIER_DURATION).add(duration.days(1)));
+
+                expect(await pussyHODLFarm.getPendingRewards(staker.address)).to.equal(
+                    reward.add(duration.days(1).mul(REWARD_RATE).div(2))
+                );
+
+                await pussyHODLFarm.connect(staker).withdraw(STAKE_AMOUNT);
+
+                expect(await pussyHODLFarm.getWeight(staker.address)).to.equal(BigNumber.from(0));
+                expect(await pussyHODLFarm.getTotalWeight()).to.equal(STAKE_AMOUNT);
+            });
+
+            it('should release a partial position proportionally', async () => {
+                await stakeLocked(staker, STAKE_AMOUNT, 1);
+
+                await setTime(programStartTime.add(TIER_DURATION));
+
+                await pussyHODLFarm.connect(staker).withdraw(STAKE_AMOUNT.div(4));
+
+                expect(await pussyHODLFarm.getStake(staker.address)).to.equal(STAKE_AMOUNT.sub(STAKE_AMOUNT.div(4)));
+                expect(await pussyHODLFarm.getWeight(staker.address)).to.equal(weight.sub(weight.div(4)));
+
+                const positions = await pussyHODLFarm.getPositions(staker.address);
+                expect(positions[0].amount).to.equal(STAKE_AMOUNT.sub(STAKE_AMOUNT.div(4)));
+                expect(positions[0].weight).to.equal(weight.sub(weight.div(4)));
+            });
+
+            it('should lock rolling positions from their own stake time', async () => {
+                await stakeLocked(staker, STAKE_AMOUNT, 1);
+
+                await setTime(programStartTime.add(duration.days(10)));
+
+                await stakeLocked(staker, STAKE_AMOUNT, 1);
+
+                const positions = await pussyHODLFarm.getPositions(staker.address);
+                expect(positions.length).to.equal(2);
+                expect(positions[0].stakeTime).to.equal(programStartTime);
+                expect(positions[0].unlockTime).to.equal(programStartTime.add(TIER_DURATION));
+                expect(positions[1].stakeTime).to.equal(programStartTime.add(duration.days(10)));
+                expect(positions[1].unlockTime).to.equal(programStartTime.add(duration.days(10)).add(TIER_DURATION));
+
+                expect(await pussyHODLFarm.getUnlockedStake(staker.address)).to.equal(BigNumber.from(0));
+
+                await setTime(programStartTime.add(TIER_DURATION));
+
+                expect(await pussyHODLFarm.getUnlockedStake(staker.address)).to.equal(STAKE_AMOUNT);
+
+                await setTime(programStartTime.add(duration.days(10)).add(TIER_DURATION));
+
+                expect(await pussyHODLFarm.getUnlockedStake(staker.address)).to.equal(STAKE_AMOUNT.mul(2));
+            });
+
+            it('should consume the unlocked positions first-in-first-out', async () => {
+                const amounts = [BigNumber.from(1000), BigNumber.from(2000), BigNumber.from(3000)];
+
+                for (const [i, amount] of amounts.entries()) {
+                    await setTime(programStartTime.add(duration.days(i)));
+
+                    await stakeLocked(staker, amount, 1);
+                }
+
+                await setTime(programStartTime.add(duration.days(amounts.length)).add(TIER_DURATION));
+
+                await pussyHODLFarm.connect(staker).withdraw(BigNumber.from(1500));
+
+                let positions = await pussyHODLFarm.getPositions(staker.address);
+                expect(positions.length).to.equal(2);
+                expect(positions[0].amount).to.equal(BigNumber.from(1500));
+                expect(positions[0].stakeTime).to.equal(programStartTime.add(duration.days(1)));
+                expect(positions[1].amount).to.equal(BigNumber.from(3000));
+
+                await pussyHODLFarm.connect(staker).withdraw(BigNumber.from(1500));
+
+                positions = await pussyHODLFarm.getPositions(staker.address);
+                expect(positions.length).to.equal(1);
+                expect(positions[0].amount).to.equal(BigNumber.from(3000));
+                expect(positions[0].stakeTime).to.equal(programStartTime.add(duration.days(2)));
+            });
+
+            it('should skip over the locked positions when withdrawing', async () => {
+                await stakeLocked(staker, STAKE_AMOUNT, 0);
+                await stakeLocked(staker, STAKE_AMOUNT, 1);
+
+                await setTime(programStartTime.add(TIER_DURATION));
+
+                expect(await pussyHODLFarm.getUnlockedStake(staker.address)).to.equal(STAKE_AMOUNT);
+
+                await pussyHODLFarm.connect(staker).withdraw(STAKE_AMOUNT);
+
+                const positions = await pussyHODLFarm.getPositions(staker.address);
+                expect(positions.length).to.equal(1);
+                expect(positions[0].amount).to.equal(STAKE_AMOUNT);
+                expect(positions[0].unlockTime).to.equal(programEndTime);
+
+                expect(await pussyHODLFarm.getUnlockedStake(staker.address)).to.equal(BigNumber.from(0));
+
+                await setTime(programEndTime);
+
+                await pussyHODLFarm.connect(staker).withdraw(STAKE_AMOUNT);
+
+                expect(await pussyHODLFarm.getPositions(staker.address)).to.be.empty;
+                expect(await pussyHODLFarm.getStake(staker.address)).to.equal(BigNumber.from(0));
+            });
+
+            it('should merge stakes with the same lock into the newest position', async () => {
+                await stakeLocked(staker, STAKE_AMOUNT, 0);
+
+                // Staking dust on behalf of the staker doesn't add any positions
+                const dust = BigNumber.from(1);
+                await stakeToken.transfer(staker2.address, dust.mul(3));
+                await stakeToken.connect(staker2).approve(pussyHODLFarm.address, dust.mul(3));
+                for (let i = 0; i < 3; i++) {
+                    await pussyHODLFarm.connect(staker2).stakeFor(staker.address, dust);
+                }
+
+                let positions = await pussyHODLFarm.getPositions(staker.address);
+                expect(positions.length).to.equal(1);
+                expect(positions[0].amount).to.equal(STAKE_AMOUNT.add(dust.mul(3)));
+                expect(positions[0].weight).to.equal(STAKE_AMOUNT.add(dust.mul(3)));
+                expect(positions[0].stakeTime).to.equal(programStartTime);
+
+                await stakeLocked(staker, STAKE_AMOUNT, 1);
+                await stakeLocked(staker, STAKE_AMOUNT, 1);
+
+                await setTime(programStartTime.add(duration.days(1)));
+
+                await stakeLocked(staker, STAKE_AMOUNT, 1);
+
+                const weight = STAKE_AMOUNT.mul(TIER_MULTIPLIER).div(PPM_RESOLUTION);
+
+                positions = await pussyHODLFarm.getPositions(staker.address);
+                expect(positions.length).to.equal(3);
+                expect(positions[1].tierId).to.equal(BigNumber.from(1));
+                expect(positions[1].amount).to.equal(STAKE_AMOUNT.mul(2));
+                expect(positions[1].weight).to.equal(weight.mul(2));
+                expect(positions[2].amount).to.equal(STAKE_AMOUNT);
+                expect(positions[2].unlockTime).to.equal(programStartTime.add(duration.days(1)).add(TIER_DURATION));
+            });
+
+            it('should revert when exceeding the maximum number of positions', async () => {
+                const amount = BigNumber.from(1000);
+                const maxPositions = 100;
+
+                await stakeToken.transfer(staker.address, amount.mul(maxPositions + 2));
+                await stakeToken.connect(staker).approve(pussyHODLFarm.address, amount.mul(maxPositions + 2));
+
+                for (let i = 0; i < maxPositions; i++) {
+                    await setTime(programStartTime.add(i));
+
+                    await pussyHODLFarm.connect(staker).stakeLocked(amount, 1);
+                }
+
+                expect((await pussyHODLFarm.getPositions(staker.address)).length).to.equal(maxPositions);
+
+                await setTime(programStartTime.add(maxPositions));
+
+                await expect(pussyHODLFarm.connect(staker).stakeLocked(amount, 1)).to.be.revertedWith(
+                    'TOO_MANY_POSITIONS'
+                );
+                await expect(pussyHODLFarm.connect(staker).stakeLocked(amount, 0)).to.be.revertedWith(
+                    'TOO_MANY_POSITIONS'
+                );
+
+                // Stakes which are merged into the newest position are still allowed
+                await setTime(programStartTime.add(maxPositions - 1));
+
+                await pussyHODLFarm.connect(staker).stakeLocked(amount, 1);
+
+                expect(await pussyHODLFarm.getStake(staker.address)).to.equal(amount.mul(maxPositions + 1));
+            });
+
+            it('should keep positions which expire after the end of the program locked', async () => {
+                await setTime(programEndTime.sub(duration.days(1)));
+
+                await stakeLocked(staker, STAKE_AMOUNT, 1);
+
+                await setTime(programEndTime);
+
+                await expect(pussyHODLFarm.connect(staker).withdraw(STAKE_AMOUNT)).to.be.revertedWith('STAKE_LOCKED');
+                await expect(pussyHODLFarm.connect(staker).emergencyWithdraw()).to.be.revertedWith('STAKE_LOCKED');
+
+                await pussyHODLFarm.setEmergencyMode(true);
+
+                await pussyHODLFarm.connect(staker).emergencyWithdraw();
+
+                expect(await pussyHODLFarm.getStake(staker.address)).to.equal(BigNumber.from(0));
+                expect(await pussyHODLFarm.getWeight(staker.address)).to.equal(BigNumber.from(0));
+                expect(await pussyHODLFarm.getTotalWeight()).to.equal(BigNumber.from(0));
+                expect(await pussyHODLFarm.getPositions(staker.address)).to.be.empty;
+            });
+        });
+    });
+
+    describe('program updates', () => {
+        const REWARDS_DURATION = duration.days(10);
+        const REWARD_RATE = BigNumber.from(1000);
+        const STAKE_AMOUNT = BigNumber.from(1_000_000);
+        const EXTENSION = duration.days(10);
+
+        let programStartTime;
+        let programEndTime;
+        let staker;
+        let staker2;
+
+        const stake = async (account, amount) => {
+            await stakeToken.transfer(account.address, amount);
+            await stakeToken.connect(account).approve(pussyHODLFarm.address, amount);
+
+            return pussyHODLFarm.connect(account).stake(amount);
+        };
+
+        beforeEach(async () => {
+            staker = accounts[2];
+            staker2 = accounts[3];
+
+            programStartTime = now.add(duration.days(1));
+            programEndTime = programStartTime.add(REWARDS_DURATION);
+
+            pussyHODLFarm = await Contracts.TestPussyHODLFarm.deploy(
+                stakeToken.address,
+                rewardToken.address,
+                programStartTime,
+                programEndTime,
+                REWARD_RATE,
+                EARLY_WITHDRAWAL_PENALTY,
+                dao.address
+            );
+
+            await rewardToken.transfer(pussyHODLFarm.address, TOTAL_SUPPLY.div(BigNumber.from(2)));
+
+            await stake(staker, STAKE_AMOUNT);
+
+            await setTime(programStartTime.add(duration.days(5)));
+        });
+
+        it('should not extend the locks of the existing positions when extending the program', async () => {
+            const newEndTime = programEndTime.add(EXTENSION);
+
+            await pussyHODLFarm.extendProgram(newEndTime);
+
+            const res = await stake(staker2, STAKE_AMOUNT);
+            await expect(res)
+                .to.emit(pussyHODLFarm, 'Locked')
+                .withArgs(staker2.address, 0, STAKE_AMOUNT, STAKE_AMOUNT, newEndTime);
+
+            expect((await pussyHODLFarm.getPositions(staker.address))[0].unlockTime).to.equal(programEndTime);
+            expect((await pussyHODLFarm.getPositions(staker2.address))[0].unlockTime).to.equal(newEndTime);
+
+            await setTime(programEndTime);
+
+            expect(await pussyHODLFarm.getUnlockedStake(staker.address)).to.equal(STAKE_AMOUNT);
+            expect(await pussyHODLFarm.getUnlockedStake(staker2.address)).to.equal(BigNumber.from(0));
+
+            await expect(pussyHODLFarm.connect(staker2).withdraw(STAKE_AMOUNT)).to.be.revertedWith('STAKE_LOCKED');
+
+            const res2 = await pussyHODLFarm.connect(staker).withdraw(STAKE_AMOUNT);
+            await expect(res2).to.emit(pussyHODLFarm, 'Withdrawn').withArgs(staker.address, STAKE_AMOUNT);
+
+            // Withdrawing an unlocked position isn't penalized
+            expect(await stakeToken.balanceOf(staker.address)).to.equal(STAKE_AMOUNT);
+
+            await setTime(newEndTime);
+
+            await pussyHODLFarm.connect(staker2).withdraw(STAKE_AMOUNT);
+
+            expect(await stakeToken.balanceOf(staker2.address)).to.equal(STAKE_AMOUNT);
+        });
+
+        it('should keep rewarding the existing positions for the extension', async () => {
+            const newEndTime = programEndTime.add(EXTENSION);
+
+            await pussyHODLFarm.extendProgram(newEndTime);
+
+            await setTime(newEndTime);
+
+            expect(await pussyHODLFarm.getPendingRewards(staker.address)).to.equal(
+                REWARDS_DURATION.add(EXTENSION).mul(REWARD_RATE)
+            );
+        });
+
+        it('should preserve the rewards earned under the previous rate without affecting the locks', async () => {
+            const newRewardRate = REWARD_RATE.mul(3);
+            const elapsed = duration.days(5);
+
+            const prevReward = await pussyHODLFarm.getPendingRewards(staker.address);
+            expect(prevReward).to.equal(elapsed.mul(REWARD_RATE));
+
+            const res = await pussyHODLFarm.setRewardRate(newRewardRate);
+            await expect(res).to.emit(pussyHODLFarm, 'ProgramUpdated').withArgs(programEndTime, newRewardRate);
+
+            expect(await pussyHODLFarm.getPendingRewards(staker.address)).to.equal(prevReward);
+            expect((await pussyHODLFarm.getPositions(staker.address))[0].unlockTime).to.equal(programEndTime);
+
+            await setTime(programEndTime);
+
+            expect(await pussyHODLFarm.getPendingRewards(staker.address)).to.equal(
+                prevReward.add(REWARDS_DURATION.sub(elapsed).mul(newRewardRate))
+            );
+
+            await pussyHODLFarm.connect(staker).withdraw(STAKE_AMOUNT);
+
+            expect(await stakeToken.balanceOf(staker.address)).to.equal(STAKE_AMOUNT);
+        });
+    });
+
+    describe('early withdraw', () => {
+        const REWARDS_DURATION = duration.days(10);
+        const REWARD_RATE = BigNumber.from(1000);
+        const STAKE_AMOUNT = BigNumber.from(1_000_000);
+
+        let programStartTime;
+        let programEndTime;
+        let staker;
+        let staker2;
+
+        const stake = async (account, amount) => {
+            await stakeToken.transfer(account.address, amount);
+            await stakeToken.connect(account).approve(pussyHODLFarm.address, amount);
+
+            return pussyHODLFarm.connect(account).stake(amount);
+        };
+
+        beforeEach(async () => {
+            staker = accounts[2];
+            staker2 = accounts[3];
+
+            programStartTime = now.add(duration.days(1));
+            programEndTime = programStartTime.add(REWARDS_DURATION);
+        });
+
+        context('with the penalties sent to the DAO', () => {
+            beforeEach(async () => {
+                pussyHODLFarm = await Contracts.TestPussyHODLFarm.deploy(
+                    stakeToken.address,
+                    rewardToken.address,
+                    programStartTime,
+                    programEndTime,
+                    REWARD_RATE,
+                    EARLY_WITHDRAWAL_PENALTY,
+                    dao.address
+                );
+
+                await rewardToken.transfer(pussyHODLFarm.address, REWARDS_DURATION.mul(REWARD_RATE));
+
+                await stake(staker, STAKE_AMOUNT);
+                await stake(staker2, STAKE_AMOUNT);
+
+                await setTime(programStartTime.add(duration.days(1)));
+            });
+
+            it('should revert when a non-owner attempts to set the early withdrawal penalty', async () => {
+                await expect(
+                    pussyHODLFarm.connect(nonOwner).setEarlyWithdrawalPenalty(BigNumber.from(0))
+                ).to.be.revertedWith('Ownable: caller is not the owner');
+            });
+
+            it('should revert when setting an invalid early withdrawal penalty', async () => {
+                await expect(pussyHODLFarm.setEarlyWithdrawalPenalty(PPM_RESOLUTION.div(2).add(1))).to.be.revertedWith(
+                    'INVALID_VALUE'
+                );
+            });
+
+            it('should set the early withdrawal penalty', async () => {
+                const newPenalty = PPM_RESOLUTION.div(2);
+
+                const res = await pussyHODLFarm.setEarlyWithdrawalPenalty(newPenalty);
+                await expect(res)
+                    .to.emit(pussyHODLFarm, 'EarlyWithdrawalPenaltyUpdated')
+                    .withArgs(EARLY_WITHDRAWAL_PENALTY, newPenalty);
+
+                expect(await pussyHODLFarm.getEarlyWithdrawalPenalty()).to.equal(newPenalty);
+            });
+
+            it('should revert when early withdrawing 0 tokens', async () => {
+                await expect(pussyHODLFarm.connect(staker).earlyWithdraw(BigNumber.from(0))).to.be.revertedWith(
+                    'INVALID_AMOUNT'
+                );
+            });
+
+            it('should revert when early withdrawing more than the stake', async () => {
+                await expect(pussyHODLFarm.connect(staker).earlyWithdraw(STAKE_AMOUNT.add(1))).to.be.revertedWith(
+                    'INVALID_AMOUNT'
+                );
+            });
+
+            it('should early withdraw, send the penalty to the DAO and forfeit the pending rewards', async () => {
+                const amount = STAKE_AMOUNT.div(2);
+                const penalty = amount.mul(EARLY_WITHDRAWAL_PENALTY).div(PPM_RESOLUTION);
+                const reward = duration.days(1).mul(REWARD_RATE).div(2);
+
+                expect(await pussyHODLFarm.getPendingRewards(staker.address)).to.equal(reward);
+
+                const res = await pussyHODLFarm.connect(staker).earlyWithdraw(amount);
+                await expect(res).to.emit(pussyHODLFarm, 'EarlyWithdrawn').withArgs(staker.address, amount, penalty);
+
+                expect(await stakeToken.balanceOf(staker.address)).to.equal(amount.sub(penalty));
+                expect(await stakeToken.balanceOf(dao.address)).to.equal(penalty);
+                expect(await rewardToken.balanceOf(staker.address)).to.equal(BigNumber.from(0));
+
+                expect(await pussyHODLFarm.getStake(staker.address)).to.equal(STAKE_AMOUNT.sub(amount));
+                expect(await pussyHODLFarm.getWeight(staker.address)).to.equal(STAKE_AMOUNT.sub(amount));
+                expect(await pussyHODLFarm.getTotalStaked()).to.equal(STAKE_AMOUNT.mul(2).sub(amount));
+                expect(await pussyHODLFarm.getPendingRewards(staker.address)).to.equal(BigNumber.from(0));
+                expect(await pussyHODLFarm.getPendingRewards(staker2.address)).to.equal(reward);
+
+                // The forfeited rewards can be withdrawn by the owner
+                const prevBalance = await rewardToken.balanceOf(owner.address);
+
+                await pussyHODLFarm.withdrawTokens(rewardToken.address, reward);
+
+                expect(await rewardToken.balanceOf(owner.address)).to.equal(prevBalance.add(reward));
+            });
+
+            it('should not penalize the unlocked positions', async () => {
+                await pussyHODLFarm.addLockTier(duration.days(1), PPM_RESOLUTION);
+
+                await setTime(programStartTime);
+
+                await stake(staker, STAKE_AMOUNT);
+                await stakeToken.transfer(staker.address, STAKE_AMOUNT);
+                await stakeToken.connect(staker).approve(pussyHODLFarm.address, STAKE_AMOUNT);
+                await pussyHODLFarm.connect(staker).stakeLocked(STAKE_AMOUNT, 1);
+
+                await setTime(programStartTime.add(duration.days(1)));
+
+                // Only the part which is released from the still locked positions is penalized
+                const amount = STAKE_AMOUNT.mul(2);
+                const penalty = STAKE_AMOUNT.mul(EARLY_WITHDRAWAL_PENALTY).div(PPM_RESOLUTION);
+
+                const res = await pussyHODLFarm.connect(staker).earlyWithdraw(amount);
+                await expect(res).to.emit(pussyHODLFarm, 'EarlyWithdrawn').withArgs(staker.address, amount, penalty);
+
+                expect(await pussyHODLFarm.getStake(staker.address)).to.equal(STAKE_AMOUNT);
+                const positions = await pussyHODLFarm.getPositions(staker.address);
+                expect(positions.length).to.equal(1);
+                expect(positions[0].unlockTime).to.equal(programEndTime);
+            });
+
+            it('should not penalize early withdrawals after the end of the program', async () => {
+                await setTime(programEndTime);
+
+                const res = await pussyHODLFarm.connect(staker).earlyWithdraw(STAKE_AMOUNT);
+                await expect(res)
+                    .to.emit(pussyHODLFarm, 'EarlyWithdrawn')
+                    .withArgs(staker.address, STAKE_AMOUNT, BigNumber.from(0));
+
+                expect(await stakeToken.balanceOf(staker.address)).to.equal(STAKE_AMOUNT);
+            });
+        });
+
+        context('with the penalties redistributed', () => {
+            beforeEach(async () => {
+                pussyHODLFarm = await Contracts.TestPussyHODLFarm.deploy(
+                    stakeToken.address,
+                    stakeToken.address,
+                    programStartTime,
+                    programEndTime,
+                    REWARD_RATE,
+                    EARLY_WITHDRAWAL_PENALTY,
+                    ZERO_ADDRESS
+                );
+
+                await stakeToken.transfer(pussyHODLFarm.address, REWARDS_DURATION.mul(REWARD_RATE));
+
+                await stake(staker, STAKE_AMOUNT);
+                await stake(staker2, STAKE_AMOUNT);
+
+                await setTime(programStartTime.add(duration.days(1)));
+            });
+
+            it('should redistribute the penalty and the forfeited rewards to the remaining stakers', async () => {
+                const penalty = STAKE_AMOUNT.mul(EARLY_WITHDRAWAL_PENALTY).div(PPM_RESOLUTION);
+                const reward = duration.days(1).mul(REWARD_RATE).div(2);
+
+                const res = await pussyHODLFarm.connect(staker).earlyWithdraw(STAKE_AMOUNT);
+                await expect(res)
+                    .to.emit(pussyHODLFarm, 'EarlyWithdrawn')
+                    .withArgs(staker.address, STAKE_AMOUNT, penalty);
+
+                expect(await stakeToken.balanceOf(staker.address)).to.equal(STAKE_AMOUNT.sub(penalty));
+                expect(await stakeToken.balanceOf(dao.address)).to.equal(BigNumber.from(0));
+
+                expect(await pussyHODLFarm.getPendingRewards(staker.address)).to.equal(BigNumber.from(0));
+                expect(await pussyHODLFarm.getPendingRewards(staker2.address)).to.equal(reward.mul(2).add(penalty));
+
+                const program = await pussyHODLFarm.getProgram();
+                expect(program[3]).to.equal(REWARDS_DURATION.mul(REWARD_RATE).add(penalty));
+
+                // The redistributed rewards are claimable (and can't be withdrawn by the owner)
+                expect(await pussyHODLFarm.getRewardShortfall()).to.equal(BigNumber.from(0));
+                await expect(pussyHODLFarm.withdrawTokens(stakeToken.address, BigNumber.from(1))).to.be.revertedWith(
+                    'INVALID_AMOUNT'
+                );
+
+                await setTime(programEndTime);
+
+                await pussyHODLFarm.connect(staker2).withdraw(STAKE_AMOUNT);
+
+                expect(await stakeToken.balanceOf(staker2.address)).to.equal(
+                    STAKE_AMOUNT.add(REWARDS_DURATION.mul(REWARD_RATE)).add(penalty)
+                );
+            });
+
+            it('should not redistribute the penalty and the forfeited rewards to the withdrawer', async () => {
+                const amount = STAKE_AMOUNT.div(2);
+                const penalty = amount.mul(EARLY_WITHDRAWAL_PENALTY).div(PPM_RESOLUTION);
+                const reward = duration.days(1).mul(REWARD_RATE).div(2);
+
+                await pussyHODLFarm.connect(staker).earlyWithdraw(amount);
+
+                expect(await stakeToken.balanceOf(staker.address)).to.equal(amount.sub(penalty));
+
+                expect(await pussyHODLFarm.getPendingRewards(staker.address)).to.equal(BigNumber.from(0));
+                expect(await pussyHODLFarm.getPendingRewards(staker2.address)).to.equal(reward.mul(2).add(penalty));
+
+                // The withdrawer only earns the new rewards of its remaining stake
+                await setTime(programStartTime.add(duration.days(2)));
+
+                const newReward = duration.days(1).mul(REWARD_RATE);
+
+                expect(await pussyHODLFarm.getPendingRewards(staker.address)).to.equal(newReward.div(3));
+                expect(await pussyHODLFarm.getPendingRewards(staker2.address)).to.equal(
+                    reward.mul(2).add(penalty).add(newReward.mul(2).div(3))
+                );
+            });
+
+            it('should forfeit the penalty when there are no remaining stakers', async () => {
+                await pussyHODLFarm.connect(staker2).earlyWithdraw(STAKE_AMOUNT);
+
+                const penalty = STAKE_AMOUNT.mul(EARLY_WITHDRAWAL_PENALTY).div(PPM_RESOLUTION);
+                const forfeited = duration.days(1).mul(REWARD_RATE).add(penalty.mul(2));
+
+                await pussyHODLFarm.connect(staker).earlyWithdraw(STAKE_AMOUNT);
+
+                expect(await pussyHODLFarm.getTotalWeight()).to.equal(BigNumber.from(0));
+
+                const prevBalance = await stakeToken.balanceOf(owner.address);
+
+                await pussyHODLFarm.withdrawTokens(stakeToken.address, forfeited);
+
+                expect(await stakeToken.balanceOf(owner.address)).to.equal(prevBalance.add(forfeited));
+            });
+        });
+    });
+
+    describe('emergency withdraw', () => {
+        const REWARDS_DURATION = duration.days(10);
+        const REWARD_RATE = BigNumber.from(1000);
+        const STAKE_AMOUNT = BigNumber.from(1_000_000);
+
+        let programStartTime;
+        let programEndTime;
+        let staker;
+
+        beforeEach(async () => {
+            staker = accounts[2];
+
+            programStartTime = now.add(duration.days(1));
+            programEndTime = programStartTime.add(REWARDS_DURATION);
+
+            pussyHODLFarm = await Contracts.TestPussyHODLFarm.deploy(
+                stakeToken.address,
+                rewardToken.address,
+                programStartTime,
+                programEndTime,
+                REWARD_RATE,
+                EARLY_WITHDRAWAL_PENALTY,
+                dao.address
+            );
+
+            await rewardToken.transfer(pussyHODLFarm.address, REWARDS_DURATION.mul(REWARD_RATE));
+
+            await stakeToken.transfer(staker.address, STAKE_AMOUNT);
+            await stakeToken.connect(staker).approve(pussyHODLFarm.address, STAKE_AMOUNT);
+            await pussyHODLFarm.connect(staker).stake(STAKE_AMOUNT);
+
+            await setTime(programStartTime.add(duration.days(1)));
+        });
+
+        it('should revert when a non-owner attempts to set the emergency mode', async () => {
+            await expect(pussyHODLFarm.connect(nonOwner).setEmergencyMode(true)).to.be.revertedWith(
+                'Ownable: caller is not the owner'
+            );
+        });
+
+        it('should not allow emergency withdrawing before the end of the program', async () => {
+            expect(await pussyHODLFarm.isEmergencyMode()).to.be.false;
+
+            await expect(pussyHODLFarm.connect(staker).emergencyWithdraw()).to.be.revertedWith('STAKE_LOCKED');
+        });
+
+        it('should allow emergency withdrawing after the end of the program', async () => {
+            await setTime(programEndTime);
+
+            const res = await pussyHODLFarm.connect(staker).emergencyWithdraw();
+            await expect(res).to.emit(pussyHODLFarm, 'EmergencyWithdrawn').withArgs(staker.address, STAKE_AMOUNT);
+
+            expect(await stakeToken.balanceOf(staker.address)).to.equal(STAKE_AMOUNT);
+            expect(await rewardToken.balanceOf(staker.address)).to.equal(BigNumber.from(0));
+        });
+
+        it('should allow emergency withdrawing before the end of the program in emergency mode', async () => {
+            const res = await pussyHODLFarm.setEmergencyMode(true);
+            await expect(res).to.emit(pussyHODLFarm, 'EmergencyModeUpdated').withArgs(true);
+
+            expect(await pussyHODLFarm.isEmergencyMode()).to.be.true;
+
+            await expect(pussyHODLFarm.connect(staker).withdraw(STAKE_AMOUNT)).to.be.revertedWith('STAKE_LOCKED');
+
+            const res2 = await pussyHODLFarm.connect(staker).emergencyWithdraw();
+            await expect(res2).to.emit(pussyHODLFarm, 'EmergencyWithdrawn').withArgs(staker.address, STAKE_AMOUNT);
+
+            expect(await stakeToken.balanceOf(staker.address)).to.equal(STAKE_AMOUNT);
+            expect(await rewardToken.balanceOf(staker.address)).to.equal(BigNumber.from(0));
+            expect(await pussyHODLFarm.getStake(staker.address)).to.equal(BigNumber.from(0));
+            expect(await pussyHODLFarm.getPendingRewards(staker.address)).to.equal(BigNumber.from(0));
+        });
+
+        it('should lock the stakes again when the emergency mode is disabled', async () => {
+            await pussyHODLFarm.setEmergencyMode(true);
+
+            const res = await pussyHODLFarm.setEmergencyMode(false);
+            await expect(res).to.emit(pussyHODLFarm, 'EmergencyModeUpdated').withArgs(false);
+
+            await expect(pussyHODLFarm.connect(staker).emergencyWithdraw()).to.be.revertedWith('STAKE_LOCKED');
+        });
+    });
+
+    describe('pausing', () => {
+        const REWARDS_DURATION = duration.days(10);
+        const REWARD_RATE = BigNumber.from(1000);
+        const STAKE_AMOUNT = BigNumber.from(1_000_000);
+
+        let programStartTime;
+        let programEndTime;
+        let guardian;
+        let staker;
+
+        const stake = async (amount) => {
+            await stakeToken.transfer(staker.address, amount);
+            await stakeToken.connect(staker).approve(pussyHODLFarm.address, amount);
+
+            return pussyHODLFarm.connect(staker).stake(amount);
+        };
+
+        beforeEach(async () => {
+            guardian = accounts[4];
+            staker = accounts[2];
+
+            programStartTime = now.add(duration.days(1));
+            programEndTime = programStartTime.add(REWARDS_DURATION);
+
+            pussyHODLFarm = await Contracts.TestPussyHODLFarm.deploy(
+                stakeToken.address,
+                rewardToken.address,
+                programStartTime,
+                programEndTime,
+                REWARD_RATE,
+                EARLY_WITHDRAWAL_PENALTY,
+                dao.address
+            );
+
+            await rewardToken.transfer(pussyHODLFarm.address, REWARDS_DURATION.mul(REWARD_RATE));
+
+            await stake(STAKE_AMOUNT);
+
+            await pussyHODLFarm.setGuardian(guardian.address);
+            await pussyHODLFarm.connect(guardian).pause();
+
+            await setTime(programStartTime.add(duration.days(1)));
+        });
+
+        it('should revert when staking', async () => {
+            await expect(stake(STAKE_AMOUNT)).to.be.revertedWith('Pausable: paused');
+        });
+
+        it('should revert when staking locked', async () => {
+            await stakeToken.transfer(staker.address, STAKE_AMOUNT);
+            await stakeToken.connect(staker).approve(pussyHODLFarm.address, STAKE_AMOUNT);
+
+            await expect(pussyHODLFarm.connect(staker).stakeLocked(STAKE_AMOUNT, 0)).to.be.revertedWith(
+                'Pausable: paused'
+            );
+        });
+
+        it('should allow claiming', async () => {
+            const reward = await pussyHODLFarm.getPendingRewards(staker.address);
+
+            const res = await pussyHODLFarm.connect(staker).claim();
+            await expect(res).to.emit(pussyHODLFarm, 'Claimed').withArgs(staker.address, reward);
+        });
+
+        it('should allow withdrawing after the end of the program', async () => {
+            await setTime(programEndTime);
+
+            const res = await pussyHODLFarm.connect(staker).withdraw(STAKE_AMOUNT);
+            await expect(res).to.emit(pussyHODLFarm, 'Withdrawn').withArgs(staker.address, STAKE_AMOUNT);
+        });
+
+        it('should allow early withdrawing', async () => {
+            const penalty = STAKE_AMOUNT.mul(EARLY_WITHDRAWAL_PENALTY).div(PPM_RESOLUTION);
+
+            const res = await pussyHODLFarm.connect(staker).earlyWithdraw(STAKE_AMOUNT);
+            await expect(res).to.emit(pussyHODLFarm, 'EarlyWithdrawn').withArgs(staker.address, STAKE_AMOUNT, penalty);
+
+            expect(await stakeToken.balanceOf(staker.address)).to.equal(STAKE_AMOUNT.sub(penalty));
+        });
+
+        it('should allow emergency withdrawing in emergency mode', async () => {
+            await pussyHODLFarm.setEmergencyMode(true);
+
+            const res = await pussyHODLFarm.connect(staker).emergencyWithdraw();
+            await expect(res).to.emit(pussyHODLFarm, 'EmergencyWithdrawn').withArgs(staker.address, STAKE_AMOUNT);
+        });
+
+        it('should allow staking after unpausing', async () => {
+            await pussyHODLFarm.connect(guardian).unpause();
+
+            const res = await stake(STAKE_AMOUNT);
+            await expect(res).to.emit(pussyHODLFarm, 'Staked').withArgs(staker.address, STAKE_AMOUNT);
+        });
+    });
+
     describe('withdraw tokens', () => {
         const testWithdrawTokens = (createToken, staked) => {
             const tokenAmount = BigNumber.from(5000);
@@ -539,9 +1583,14 @@ describe('PussyHODLFarm', () => {
                     rewardToken.address,
                     BigNumber.from(0),
                     now.add(BigNumber.from(1000)),
-                    BigNumber.from(1000)
+                    BigNumber.from(1000),
+                    EARLY_WITHDRAWAL_PENALTY,
+                    dao.address
                 );
 
+                const program = await pussyHODLFarm.getProgram();
+                await rewardToken.transfer(pussyHODLFarm.address, program[3]);
+
                 token = await createToken();
 
                 await token.transfer(pussyHODLFarm.address, tokenAmount);
@@ -594,7 +1643,13 @@ describe('PussyHODLFarm', () => {
                     expect(await token.balanceOf(owner.address)).to.equal(
                         prevOwnerBalance.add(tokenAmount.sub(amount))
                     );
-                    expect(await token.balanceOf(pussyHODLFarm.address)).to.equal(BigNumber.from(0));
+                    expect(await token.balanceOf(pussyHODLFarm.address)).to.equal(
+                        prevFarmBalance.sub(tokenAmount.sub(amount))
+                    );
+
+                    await expect(pussyHODLFarm.withdrawTokens(token.address, BigNumber.from(1))).to.be.revertedWith(
+                        'INVALID_AMOUNT'
+                    );
                 }
             });
         };
@@ -0,0 +1,852 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { BigNumber } = require('ethers');
+
+const { advanceBlock, duration, latest } = require('./helpers/Time');
+const Contracts = require('./helpers/Contracts');
+const { signPermit } = require('./helpers/Permit');
+const MerkleTree = require('../utils/MerkleTree');
+const { getLeaf } = require('../utils/Allowlist');
+
+const {
+    constants: { AddressZero: ZERO_ADDRESS, MaxUint256: MAX_UINT256, HashZero: ZERO_HASH },
+    utils: { keccak256, hexValue }
+} = ethers;
+
+describe('PussyNFT', () => {
+    const Phase = {
+        Closed: 0,
+        Presale: 1,
+        Public: 2
+    };
+
+    const TOTAL_SUPPLY = BigNumber.from(1_000_000_000).mul(BigNumber.from(10).pow(18));
+    const MAX_SUPPLY = BigNumber.from(10);
+    const MINT_PRICE = BigNumber.from(1000).mul(BigNumber.from(10).pow(18));
+    const TEMP_URI = 'ipfs://temp';
+    const URI = 'ipfs://final/';
+    const PROVENANCE_HASH = keccak256('0x1234');
+    const STARTING_INDEX_BLOCK_DELAY = 5;
+    const PPM_RESOLUTION = 1_000_000;
+    const DEFAULT_ROYALTY_RATE = 50_000;
+    const MAX_ROYALTY_RATE = 100_000;
+
+    let accounts;
+    let owner;
+    let nonOwner;
+    let dao;
+    let minter;
+
+    let token;
+    let pussyNFT;
+
+    let now;
+    let mintStartTime;
+
+    const mint = async (account, quantity) => {
+        await token.transfer(account.address, MINT_PRICE.mul(quantity));
+        await token.connect(account).approve(pussyNFT.address, MINT_PRICE.mul(quantity));
+
+        return pussyNFT.connect(account).mint(quantity);
+    };
+
+    before(async () => {
+        accounts = await ethers.getSigners();
+
+        owner = accounts[0];
+        nonOwner = accounts[1];
+        dao = accounts[5];
+        minter = accounts[2];
+    });
+
+    beforeEach(async () => {
+        now = await latest();
+        mintStartTime = now.add(duration.days(1));
+
+        token = await Contracts.TestERC20Token.deploy('Token', 'TKN', TOTAL_SUPPLY);
+        pussyNFT = await Contracts.TestPussyNFT.deploy(
+            token.address,
+            dao.address,
+            MAX_SUPPLY,
+            MINT_PRICE,
+            mintStartTime,
+            TEMP_URI,
+            PROVENANCE_HASH
+        );
+    });
+
+    describe('construction', () => {
+        it('should revert when initialized with an invalid token address', async () => {
+            await expect(
+                Contracts.TestPussyNFT.deploy(
+                    ZERO_ADDRESS,
+                    dao.address,
+                    MAX_SUPPLY,
+                    MINT_PRICE,
+                    mintStartTime,
+                    TEMP_URI,
+                    PROVENANCE_HASH
+                )
+            ).to.be.revertedWith('INVALID_ADDRESS');
+        });
+
+        it('should revert when initialized with an invalid DAO address', async () => {
+            await expect(
+                Contracts.TestPussyNFT.deploy(
+                    token.address,
+                    ZERO_ADDRESS,
+                    MAX_SUPPLY,
+                    MINT_PRICE,
+                    mintStartTime,
+                    TEMP_URI,
+                    PROVENANCE_HASH
+                )
+            ).to.be.revertedWith('INVALID_ADDRESS');
+        });
+
+        it('should revert when initialized with an invalid max supply', async () => {
+            await expect(
+                Contracts.TestPussyNFT.deploy(
+                    token.address,
+                    dao.address,
+                    0,
+                    MINT_PRICE,
+                    mintStartTime,
+                    TEMP_URI,
+                    PROVENANCE_HASH
+                )
+            ).to.be.revertedWith('INVALID_MAX_SUPPLY');
+        });
+
+        it('should revert when initialized with an invalid price', async () => {
+            await expect(
+                Contracts.TestPussyNFT.deploy(
+                    token.address,
+                    dao.address,
+                    MAX_SUPPLY,
+                    0,
+                    mintStartTime,
+                    TEMP_URI,
+                    PROVENANCE_HASH
+                )
+            ).to.be.revertedWith('INVALID_PRICE');
+        });
+
+        it('should revert when initialized with an invalid provenance hash', async () => {
+            await expect(
+                Contracts.TestPussyNFT.deploy(
+                    token.address,
+                    dao.address,
+                    MAX_SUPPLY,
+                    MINT_PRICE,
+                    mintStartTime,
+                    TEMP_URI,
+                    ZERO_HASH
+                )
+            ).to.be.revertedWith('INVALID_HASH');
+        });
+
+        it('should be properly initialized', async () => {
+            const settings = await pussyNFT.settings();
+            expect(settings[0]).to.equal(token.address);
+            expect(settings[1]).to.equal(dao.address);
+            expect(settings[2]).to.equal(MAX_SUPPLY);
+            expect(settings[3]).to.equal(MINT_PRICE);
+            expect(settings[4]).to.equal(mintStartTime);
+            expect(settings[5]).to.equal(TEMP_URI);
+            expect(settings[6]).to.be.false;
+
+            expect(await pussyNFT.name()).to.equal('Pussy Financial Punks');
+            expect(await pussyNFT.symbol()).to.equal('PFP');
+            expect(await pussyNFT.totalSupply()).to.equal(BigNumber.from(0));
+            expect(await pussyNFT.getGuardian()).to.equal(owner.address);
+            expect(await pussyNFT.time()).to.equal(await latest());
+
+            const provenance = await pussyNFT.provenance();
+            expect(provenance[0]).to.equal(PROVENANCE_HASH);
+            expect(provenance[1]).to.equal(BigNumber.from(0));
+            expect(provenance[2]).to.be.false;
+            expect(provenance[3]).to.equal(BigNumber.from(0));
+        });
+    });
+
+    describe('minting', () => {
+        it('should revert when minting before the start time', async () => {
+            await expect(mint(minter, BigNumber.from(1))).to.be.revertedWith('MINT_NOT_STARTED');
+        });
+
+        context('after the start time', () => {
+            beforeEach(async () => {
+                await pussyNFT.setTime(mintStartTime);
+            });
+
+            it('should revert when minting 0 tokens', async () => {
+                await expect(mint(minter, BigNumber.from(0))).to.be.revertedWith('INVALID_QUANTITY');
+            });
+
+            it('should mint tokens and send the payment to the DAO', async () => {
+                const quantity = BigNumber.from(3);
+
+                const res = await mint(minter, quantity);
+                await expect(res).to.emit(pussyNFT, 'Minted').withArgs(minter.address, quantity, quantity, MINT_PRICE);
+
+                expect(await pussyNFT.balanceOf(minter.address)).to.equal(quantity);
+                expect(await pussyNFT.mintedBy(minter.address)).to.equal(quantity);
+                expect(await pussyNFT.totalSupply()).to.equal(quantity);
+                expect(await token.balanceOf(dao.address)).to.equal(MINT_PRICE.mul(quantity));
+
+                for (let tokenId = 1; tokenId <= quantity.toNumber(); tokenId++) {
+                    expect(await pussyNFT.ownerOf(tokenId)).to.equal(minter.address);
+                    expect(await pussyNFT.tokenURI(tokenId)).to.equal(TEMP_URI);
+                }
+            });
+
+            it('should revert when the max supply was reached', async () => {
+                await mint(minter, MAX_SUPPLY);
+
+                await expect(mint(minter, BigNumber.from(1))).to.be.revertedWith('MAX_SUPPLY_REACHED');
+            });
+
+            it('should only mint and charge for the remaining supply', async () => {
+                const quantity = BigNumber.from(4);
+                const remaining = BigNumber.from(2);
+
+                await mint(nonOwner, MAX_SUPPLY.sub(remaining));
+
+                const res = await mint(minter, quantity);
+                await expect(res).to.emit(pussyNFT, 'Minted').withArgs(minter.address, quantity, remaining, MINT_PRICE);
+
+                expect(await pussyNFT.balanceOf(minter.address)).to.equal(remaining);
+                expect(await pussyNFT.mintedBy(minter.address)).to.equal(remaining);
+                expect(await token.balanceOf(minter.address)).to.equal(MINT_PRICE.mul(quantity.sub(remaining)));
+            });
+        });
+    });
+
+    describe('mint limits', () => {
+        const MAX_PER_TRANSACTION = BigNumber.from(2);
+        const MAX_PER_WALLET = BigNumber.from(3);
+
+        beforeEach(async () => {
+            await pussyNFT.setTime(mintStartTime);
+        });
+
+        it('should be unlimited by default', async () => {
+            const limits = await pussyNFT.mintLimits();
+            expect(limits[0]).to.equal(BigNumber.from(0));
+            expect(limits[1]).to.equal(BigNumber.from(0));
+        });
+
+        it('should revert when a non-owner attempts to set the mint limits', async () => {
+            await expect(
+                pussyNFT.connect(nonOwner).setMintLimits(MAX_PER_TRANSACTION, MAX_PER_WALLET)
+            ).to.be.revertedWith('Ownable: caller is not the owner');
+        });
+
+        context('with mint limits', () => {
+            beforeEach(async () => {
+                const res = await pussyNFT.setMintLimits(MAX_PER_TRANSACTION, MAX_PER_WALLET);
+                await expect(res).to.emit(pussyNFT, 'MintLimitsUpdated').withArgs(MAX_PER_TRANSACTION, MAX_PER_WALLET);
+            });
+
+            it('should return the mint limits', async () => {
+                const limits = await pussyNFT.mintLimits();
+                expect(limits[0]).to.equal(MAX_PER_TRANSACTION);
+                expect(limits[1]).to.equal(MAX_PER_WALLET);
+            });
+
+            it('should revert when exceeding the max per transaction', async () => {
+                await expect(mint(minter, MAX_PER_TRANSACTION.add(1))).to.be.revertedWith(
+                    'MAX_PER_TRANSACTION_EXCEEDED'
+                );
+            });
+
+            it('should revert when exceeding the max per wallet', async () => {
+                await mint(minter, MAX_PER_TRANSACTION);
+                await mint(minter, MAX_PER_WALLET.sub(MAX_PER_TRANSACTION));
+
+                expect(await pussyNFT.mintedBy(minter.address)).to.equal(MAX_PER_WALLET);
+
+                await expect(mint(minter, BigNumber.from(1))).to.be.revertedWith('MAX_PER_WALLET_EXCEEDED');
+
+                await mint(nonOwner, BigNumber.from(1));
+
+                expect(await pussyNFT.mintedBy(nonOwner.address)).to.equal(BigNumber.from(1));
+            });
+
+            it('should allow unlimited minting after removing the limits', async () => {
+                await pussyNFT.setMintLimits(0, 0);
+
+                await mint(minter, MAX_SUPPLY);
+
+                expect(await pussyNFT.mintedBy(minter.address)).to.equal(MAX_SUPPLY);
+            });
+        });
+    });
+
+    describe('minting with permit', () => {
+        beforeEach(async () => {
+            token = await Contracts.TestERC20PermitToken.deploy('Permit Token', 'PTKN', TOTAL_SUPPLY);
+            pussyNFT = await Contracts.TestPussyNFT.deploy(
+                token.address,
+                dao.address,
+                MAX_SUPPLY,
+                MINT_PRICE,
+                mintStartTime,
+                TEMP_URI,
+                PROVENANCE_HASH
+            );
+
+            await pussyNFT.setTime(mintStartTime);
+        });
+
+        it('should mint tokens without a prior approval', async () => {
+            const quantity = BigNumber.from(2);
+            const price = MINT_PRICE.mul(quantity);
+
+            await token.transfer(minter.address, price);
+
+            const { v, r, s } = await signPermit(token, minter, pussyNFT.address, price, MAX_UINT256);
+            await pussyNFT.connect(minter).mintWithPermit(quantity, MAX_UINT256, v, r, s);
+
+            expect(await pussyNFT.balanceOf(minter.address)).to.equal(quantity);
+            expect(await token.balanceOf(dao.address)).to.equal(price);
+            expect(await token.allowance(minter.address, pussyNFT.address)).to.equal(BigNumber.from(0));
+        });
+
+        it('should mint tokens when the permit was already used by someone else', async () => {
+            const quantity = BigNumber.from(2);
+            const price = MINT_PRICE.mul(quantity);
+
+            await token.transfer(minter.address, price);
+
+            const { v, r, s } = await signPermit(token, minter, pussyNFT.address, price, MAX_UINT256);
+            await token.connect(owner).permit(minter.address, pussyNFT.address, price, MAX_UINT256, v, r, s);
+
+            await pussyNFT.connect(minter).mintWithPermit(quantity, MAX_UINT256, v, r, s);
+
+            expect(await pussyNFT.balanceOf(minter.address)).to.equal(quantity);
+            expect(await token.balanceOf(dao.address)).to.equal(price);
+        });
+
+        it('should revert when minting with a permit for a lower price', async () => {
+            const quantity = BigNumber.from(2);
+
+            await token.transfer(minter.address, MINT_PRICE.mul(quantity));
+
+            const { v, r, s } = await signPermit(token, minter, pussyNFT.address, MINT_PRICE, MAX_UINT256);
+
+            await expect(pussyNFT.connect(minter).mintWithPermit(quantity, MAX_UINT256, v, r, s)).to.be.revertedWith(
+                'ERC20: insufficient allowance'
+            );
+        });
+
+        it('should revert when minting with an expired permit', async () => {
+            const deadline = (await latest()).sub(BigNumber.from(1));
+
+            await token.transfer(minter.address, MINT_PRICE);
+
+            const { v, r, s } = await signPermit(token, minter, pussyNFT.address, MINT_PRICE, deadline);
+
+            await expect(
+                pussyNFT.connect(minter).mintWithPermit(BigNumber.from(1), deadline, v, r, s)
+            ).to.be.revertedWith('ERC20: insufficient allowance');
+        });
+
+        it('should revert when minting while paused', async () => {
+            await pussyNFT.setGuardian(owner.address);
+            await pussyNFT.pause();
+
+            await token.transfer(minter.address, MINT_PRICE);
+
+            const { v, r, s } = await signPermit(token, minter, pussyNFT.address, MINT_PRICE, MAX_UINT256);
+
+            await expect(
+                pussyNFT.connect(minter).mintWithPermit(BigNumber.from(1), MAX_UINT256, v, r, s)
+            ).to.be.revertedWith('Pausable: paused');
+        });
+    });
+
+    describe('presale', () => {
+        const PRESALE_PRICE = MINT_PRICE.div(2);
+        const CAP = 3;
+
+        let presaleStartTime;
+        let allowlisted;
+        let allowlisted2;
+        let entries;
+        let tree;
+        let root;
+
+        const getProof = (account, cap = CAP) => tree.getProof(getLeaf({ account: account.address, cap }));
+
+        const presaleMint = async (account, quantity, cap = CAP, proof = getProof(account, cap)) => {
+            await token.transfer(account.address, PRESALE_PRICE.mul(quantity));
+            await token.connect(account).approve(pussyNFT.address, PRESALE_PRICE.mul(quantity));
+
+            return pussyNFT.connect(account).presaleMint(quantity, cap, proof);
+        };
+
+        beforeEach(async () => {
+            presaleStartTime = mintStartTime.sub(duration.hours(12));
+
+            allowlisted = accounts[6];
+            allowlisted2 = accounts[7];
+
+            entries = [
+                { account: allowlisted.address, cap: CAP },
+                { account: allowlisted2.address, cap: 1 },
+                { account: accounts[8].address, cap: 5 }
+            ];
+            tree = new MerkleTree(entries.map((entry) => getLeaf(entry)));
+            root = tree.getRoot();
+        });
+
+        it('should revert when a non-owner attempts to set the presale', async () => {
+            await expect(
+                pussyNFT.connect(nonOwner).setPresale(presaleStartTime, root, PRESALE_PRICE)
+            ).to.be.revertedWith('Ownable: caller is not the owner');
+        });
+
+        it('should revert when setting the presale with invalid settings', async () => {
+            await expect(pussyNFT.setPresale(mintStartTime, root, PRESALE_PRICE)).to.be.revertedWith('INVALID_TIME');
+            await expect(pussyNFT.setPresale(presaleStartTime, ZERO_HASH, PRESALE_PRICE)).to.be.revertedWith(
+                'INVALID_ROOT'
+            );
+            await expect(pussyNFT.setPresale(presaleStartTime, root, MINT_PRICE.add(1))).to.be.revertedWith(
+                'INVALID_PRICE'
+            );
+        });
+
+        it('should set the presale', async () => {
+            const res = await pussyNFT.setPresale(presaleStartTime, root, PRESALE_PRICE);
+            await expect(res).to.emit(pussyNFT, 'PresaleUpdated').withArgs(presaleStartTime, root, PRESALE_PRICE);
+
+            const settings = await pussyNFT.presaleSettings();
+            expect(settings[0]).to.equal(presaleStartTime);
+            expect(settings[1]).to.equal(root);
+            expect(settings[2]).to.equal(PRESALE_PRICE);
+        });
+
+        it('should default the presale price to the mint price', async () => {
+            await pussyNFT.setPresale(presaleStartTime, root, 0);
+
+            expect((await pussyNFT.presaleSettings())[2]).to.equal(MINT_PRICE);
+        });
+
+        it('should only have a public phase without a presale', async () => {
+            await pussyNFT.setTime(presaleStartTime);
+            expect(await pussyNFT.getPhase()).to.equal(Phase.Closed);
+
+            await pussyNFT.setTime(mintStartTime);
+            expect(await pussyNFT.getPhase()).to.equal(Phase.Public);
+        });
+
+        context('with a presale', () => {
+            beforeEach(async () => {
+                await pussyNFT.setPresale(presaleStartTime, root, PRESALE_PRICE);
+            });
+
+            it('should return the current phase', async () => {
+                await pussyNFT.setTime(presaleStartTime.sub(1));
+                expect(await pussyNFT.getPhase()).to.equal(Phase.Closed);
+
+                await pussyNFT.setTime(presaleStartTime);
+                expect(await pussyNFT.getPhase()).to.equal(Phase.Presale);
+
+                await pussyNFT.setTime(mintStartTime);
+                expect(await pussyNFT.getPhase()).to.equal(Phase.Public);
+            });
+
+            it('should revert when minting before the presale', async () => {
+                await pussyNFT.setTime(presaleStartTime.sub(1));
+
+                await expect(presaleMint(allowlisted, 1)).to.be.revertedWith('PRESALE_NOT_ACTIVE');
+            });
+
+            it('should revert when minting after the presale', async () => {
+                await pussyNFT.setTime(mintStartTime);
+
+                await expect(presaleMint(allowlisted, 1)).to.be.revertedWith('PRESALE_NOT_ACTIVE');
+            });
+
+            context('during the presale', () => {
+                beforeEach(async () => {
+                    await pussyNFT.setTime(presaleStartTime);
+                });
+
+                it('should revert when minting publicly', async () => {
+                    await expect(mint(minter, BigNumber.from(1))).to.be.revertedWith('MINT_NOT_STARTED');
+                });
+
+                it('should revert when minting with an invalid proof', async () => {
+                    await expect(presaleMint(minter, 1, CAP, getProof(allowlisted))).to.be.revertedWith(
+                        'INVALID_PROOF'
+                    );
+                });
+
+                it('should revert when minting with a modified cap', async () => {
+                    await expect(presaleMint(allowlisted, 1, CAP + 1, getProof(allowlisted))).to.be.revertedWith(
+                        'INVALID_PROOF'
+                    );
+                });
+
+                it('should return the remaining allowance', async () => {
+                    expect(
+                        await pussyNFT.getPresaleAllowance(allowlisted.address, CAP, getProof(allowlisted))
+                    ).to.equal(CAP);
+                    expect(await pussyNFT.getPresaleAllowance(minter.address, CAP, getProof(allowlisted))).to.equal(0);
+
+                    await presaleMint(allowlisted, 2);
+
+                    expect(await pussyNFT.getPresaleMinted(allowlisted.address)).to.equal(2);
+                    expect(
+                        await pussyNFT.getPresaleAllowance(allowlisted.address, CAP, getProof(allowlisted))
+                    ).to.equal(CAP - 2);
+                });
+
+                it('should mint at the presale price up to the cap', async () => {
+                    await presaleMint(allowlisted, 2);
+                    await presaleMint(allowlisted, 1);
+
+                    expect(await pussyNFT.balanceOf(allowlisted.address)).to.equal(CAP);
+                    expect(await token.balanceOf(dao.address)).to.equal(PRESALE_PRICE.mul(CAP));
+
+                    await expect(presaleMint(allowlisted, 1)).to.be.revertedWith('ALLOWANCE_EXCEEDED');
+
+                    await presaleMint(allowlisted2, 1, 1);
+
+                    expect(await pussyNFT.ownerOf(CAP + 1)).to.equal(allowlisted2.address);
+                });
+
+                it('should only count the actually minted PFPs', async () => {
+                    const maxSupply = BigNumber.from(4);
+
+                    pussyNFT = await Contracts.TestPussyNFT.deploy(
+                        token.address,
+                        dao.address,
+                        maxSupply,
+                        MINT_PRICE,
+                        mintStartTime,
+                        TEMP_URI,
+                        PROVENANCE_HASH
+                    );
+                    await pussyNFT.setPresale(presaleStartTime, root, PRESALE_PRICE);
+                    await pussyNFT.setTime(presaleStartTime);
+
+                    await presaleMint(accounts[8], 2, 5);
+                    await presaleMint(allowlisted, CAP);
+
+                    expect(await pussyNFT.totalSupply()).to.equal(maxSupply);
+                    expect(await pussyNFT.balanceOf(allowlisted.address)).to.equal(2);
+                    expect(await pussyNFT.getPresaleMinted(allowlisted.address)).to.equal(2);
+                    expect(await token.balanceOf(dao.address)).to.equal(PRESALE_PRICE.mul(maxSupply));
+                });
+
+                it('should revert when minting while paused', async () => {
+                    await pussyNFT.setGuardian(owner.address);
+                    await pussyNFT.pause();
+
+                    await expect(presaleMint(allowlisted, 1)).to.be.revertedWith('Pausable: paused');
+                });
+            });
+        });
+    });
+
+    describe('royalties', () => {
+        const SALE_PRICE = BigNumber.from(1000).mul(BigNumber.from(10).pow(18));
+
+        const royaltyAmount = (rate) => SALE_PRICE.mul(rate).div(PPM_RESOLUTION);
+
+        it('should support the EIP-2981 interface', async () => {
+            expect(await pussyNFT.supportsInterface('0x2a55205a')).to.be.true; // IERC2981
+            expect(await pussyNFT.supportsInterface('0x80ac58cd')).to.be.true; // IERC721
+            expect(await pussyNFT.supportsInterface('0x780e9d63')).to.be.true; // IERC721Enumerable
+            expect(await pussyNFT.supportsInterface('0xffffffff')).to.be.false;
+        });
+
+        it('should pay the default royalty to the DAO', async () => {
+            const [receiver, amount] = await pussyNFT.royaltyInfo(1, SALE_PRICE);
+            expect(receiver).to.equal(dao.address);
+            expect(amount).to.equal(royaltyAmount(DEFAULT_ROYALTY_RATE));
+        });
+
+        it('should revert when a non-DAO attempts to update the royalty', async () => {
+            await expect(pussyNFT.connect(owner).setRoyalty(dao.address, MAX_ROYALTY_RATE)).to.be.revertedWith(
+                'ACCESS_DENIED'
+            );
+        });
+
+        it('should revert when updating the royalty with an invalid receiver', async () => {
+            await expect(pussyNFT.connect(dao).setRoyalty(ZERO_ADDRESS, MAX_ROYALTY_RATE)).to.be.revertedWith(
+                'INVALID_ADDRESS'
+            );
+        });
+
+        it('should revert when updating the royalty with a rate above the maximum', async () => {
+            await expect(pussyNFT.connect(dao).setRoyalty(dao.address, MAX_ROYALTY_RATE + 1)).to.be.revertedWith(
+                'INVALID_RATE'
+            );
+        });
+
+        for (const rate of [0, 25_000, MAX_ROYALTY_RATE]) {
+            it(`should update the royalty to ${rate} PPM`, async () => {
+                const receiver = accounts[6];
+
+                const res = await pussyNFT.connect(dao).setRoyalty(receiver.address, rate);
+                await expect(res).to.emit(pussyNFT, 'RoyaltyUpdated').withArgs(receiver.address, rate);
+
+                const [royaltyReceiver, amount] = await pussyNFT.royaltyInfo(1, SALE_PRICE);
+                expect(royaltyReceiver).to.equal(receiver.address);
+                expect(amount).to.equal(royaltyAmount(rate));
+            });
+        }
+    });
+
+    describe('provenance', () => {
+        const mineStartingIndexBlock = async (startingIndexBlock) => {
+            while ((await ethers.provider.getBlockNumber()) < startingIndexBlock) {
+                await advanceBlock();
+            }
+        };
+
+        const getStartingIndex = async (startingIndexBlock) => {
+            const { hash } = await ethers.provider.getBlock(startingIndexBlock);
+
+            return BigNumber.from(hash).mod(MAX_SUPPLY);
+        };
+
+        beforeEach(async () => {
+            await pussyNFT.setTime(mintStartTime);
+        });
+
+        it('should revert when revealing the starting index before the mint started', async () => {
+            await expect(pussyNFT.revealStartingIndex()).to.be.revertedWith('STARTING_INDEX_NOT_COMMITTED');
+        });
+
+        context('after the first mint', () => {
+            let startingIndexBlock;
+
+            beforeEach(async () => {
+                const res = await mint(minter, BigNumber.from(1));
+
+                startingIndexBlock = res.blockNumber + STARTING_INDEX_BLOCK_DELAY;
+                await expect(res).to.emit(pussyNFT, 'StartingIndexCommitted').withArgs(startingIndexBlock);
+            });
+
+            it('should commit to the starting index', async () => {
+                const provenance = await pussyNFT.provenance();
+                expect(provenance[0]).to.equal(PROVENANCE_HASH);
+                expect(provenance[1]).to.equal(startingIndexBlock);
+                expect(provenance[2]).to.be.false;
+                expect(provenance[3]).to.equal(BigNumber.from(0));
+            });
+
+            it('should not renew the commitment on subsequent mints', async () => {
+                const res = await mint(minter, BigNumber.from(1));
+                await expect(res).not.to.emit(pussyNFT, 'StartingIndexCommitted');
+
+                expect((await pussyNFT.provenance())[1]).to.equal(startingIndexBlock);
+            });
+
+            it('should revert when revealing before the committed block was mined', async () => {
+                await mineStartingIndexBlock(startingIndexBlock - 1);
+
+                await expect(pussyNFT.revealStartingIndex()).to.be.revertedWith('STARTING_INDEX_BLOCK_NOT_MINED');
+            });
+
+            it('should allow anyone to reveal the starting index', async () => {
+                await mineStartingIndexBlock(startingIndexBlock);
+
+                const startingIndex = await getStartingIndex(startingIndexBlock);
+
+                const res = await pussyNFT.connect(nonOwner).revealStartingIndex();
+                await expect(res).to.emit(pussyNFT, 'StartingIndexRevealed').withArgs(startingIndex);
+
+                const provenance = await pussyNFT.provenance();
+                expect(provenance[1]).to.equal(startingIndexBlock);
+                expect(provenance[2]).to.be.true;
+                expect(provenance[3]).to.equal(startingIndex);
+
+                await expect(pussyNFT.revealStartingIndex()).to.be.revertedWith('ALREADY_REVEALED');
+            });
+
+            it('should reveal the starting index when minting after the committed block was mined', async () => {
+                await mineStartingIndexBlock(startingIndexBlock);
+
+                const startingIndex = await getStartingIndex(startingIndexBlock);
+
+                const res = await mint(minter, BigNumber.from(1));
+                await expect(res).to.emit(pussyNFT, 'StartingIndexRevealed').withArgs(startingIndex);
+
+                const provenance = await pussyNFT.provenance();
+                expect(provenance[1]).to.equal(startingIndexBlock);
+                expect(provenance[2]).to.be.true;
+                expect(provenance[3]).to.equal(startingIndex);
+            });
+
+            it('should renew the commitment once it expired', async () => {
+                await ethers.provider.send('hardhat_mine', [hexValue(STARTING_INDEX_BLOCK_DELAY + 256)]);
+
+                const res = await pussyNFT.connect(nonOwner).revealStartingIndex();
+                await expect(res).not.to.emit(pussyNFT, 'StartingIndexRevealed');
+
+                const newStartingIndexBlock = res.blockNumber + STARTING_INDEX_BLOCK_DELAY;
+                await expect(res).to.emit(pussyNFT, 'StartingIndexCommitted').withArgs(newStartingIndexBlock);
+
+                let provenance = await pussyNFT.provenance();
+                expect(provenance[1]).to.equal(newStartingIndexBlock);
+                expect(provenance[2]).to.be.false;
+
+                await mineStartingIndexBlock(newStartingIndexBlock);
+
+                const startingIndex = await getStartingIndex(newStartingIndexBlock);
+
+                const res2 = await pussyNFT.connect(nonOwner).revealStartingIndex();
+                await expect(res2).to.emit(pussyNFT, 'StartingIndexRevealed').withArgs(startingIndex);
+
+                provenance = await pussyNFT.provenance();
+                expect(provenance[2]).to.be.true;
+                expect(provenance[3]).to.equal(startingIndex);
+            });
+
+            it('should renew the commitment when minting once it expired', async () => {
+                await ethers.provider.send('hardhat_mine', [hexValue(STARTING_INDEX_BLOCK_DELAY + 256)]);
+
+                const res = await mint(minter, BigNumber.from(1));
+                await expect(res)
+                    .to.emit(pussyNFT, 'StartingIndexCommitted')
+                    .withArgs(res.blockNumber + STARTING_INDEX_BLOCK_DELAY);
+                await expect(res).not.to.emit(pussyNFT, 'StartingIndexRevealed');
+            });
+        });
+    });
+
+    describe('finalization', () => {
+        beforeEach(async () => {
+            await pussyNFT.setTime(mintStartTime);
+        });
+
+        it('should revert when a non-owner attempts to finalize the mint', async () => {
+            await mint(minter, MAX_SUPPLY);
+
+            await expect(pussyNFT.connect(nonOwner).finalizeMint(URI)).to.be.revertedWith(
+                'Ownable: caller is not the owner'
+            );
+        });
+
+        it('should revert when finalizing before the max supply was reached', async () => {
+            await mint(minter, MAX_SUPPLY.sub(BigNumber.from(1)));
+
+            await expect(pussyNFT.finalizeMint(URI)).to.be.revertedWith('MAX_SUPPLY_NOT_REACHED');
+        });
+
+        it('should revert when finalizing with an invalid URI', async () => {
+            await mint(minter, MAX_SUPPLY);
+
+            await expect(pussyNFT.finalizeMint('ipfs://final')).to.be.revertedWith('INVALID_TERMINATOR');
+        });
+
+        it('should revert when finalizing before the committed block was mined', async () => {
+            await mint(minter, MAX_SUPPLY);
+
+            await expect(pussyNFT.finalizeMint(URI)).to.be.revertedWith('STARTING_INDEX_BLOCK_NOT_MINED');
+        });
+
+        it('should finalize the mint once the expired commitment was renewed', async () => {
+            await mint(minter, MAX_SUPPLY);
+
+            await ethers.provider.send('hardhat_mine', [hexValue(STARTING_INDEX_BLOCK_DELAY + 256)]);
+
+            await expect(pussyNFT.finalizeMint(URI)).to.be.revertedWith('STARTING_INDEX_EXPIRED');
+
+            await pussyNFT.revealStartingIndex();
+
+            await expect(pussyNFT.finalizeMint(URI)).to.be.revertedWith('STARTING_INDEX_BLOCK_NOT_MINED');
+
+            for (let i = 0; i < STARTING_INDEX_BLOCK_DELAY; i++) {
+                await advanceBlock();
+            }
+
+            const res = await pussyNFT.finalizeMint(URI);
+            await expect(res).to.emit(pussyNFT, 'Finalized').withArgs(URI);
+            await expect(res).to.emit(pussyNFT, 'StartingIndexRevealed');
+
+            expect((await pussyNFT.settings())[6]).to.be.true;
+        });
+
+        it('should finalize the mint', async () => {
+            await mint(minter, MAX_SUPPLY);
+
+            for (let i = 0; i < STARTING_INDEX_BLOCK_DELAY; i++) {
+                await advanceBlock();
+            }
+
+            const res = await pussyNFT.finalizeMint(URI);
+            await expect(res).to.emit(pussyNFT, 'Finalized').withArgs(URI);
+
+            const startingIndex = (await pussyNFT.provenance())[3];
+            await expect(res).to.emit(pussyNFT, 'StartingIndexRevealed').withArgs(startingIndex);
+
+            expect((await pussyNFT.settings())[6]).to.be.true;
+
+            for (let tokenId = 1; tokenId <= MAX_SUPPLY.toNumber(); tokenId++) {
+                const metadataId = startingIndex
+                    .add(tokenId - 1)
+                    .mod(MAX_SUPPLY)
+                    .add(1);
+
+                expect(await pussyNFT.tokenURI(tokenId)).to.equal(`${URI}${metadataId}.json`);
+            }
+
+            await expect(pussyNFT.finalizeMint(URI)).to.be.revertedWith('ALREADY_FINISHED');
+        });
+    });
+
+    describe('pausing', () => {
+        let guardian;
+
+        beforeEach(async () => {
+            guardian = accounts[4];
+
+            await pussyNFT.setGuardian(guardian.address);
+            await pussyNFT.setTime(mintStartTime);
+        });
+
+        it('should revert when a non-guardian attempts to pause or unpause', async () => {
+            await expect(pussyNFT.connect(owner).pause()).to.be.revertedWith('ACCESS_DENIED');
+
+            await pussyNFT.connect(guardian).pause();
+
+            await expect(pussyNFT.connect(owner).unpause()).to.be.revertedWith('ACCESS_DENIED');
+        });
+
+        it('should revert when minting while paused', async () => {
+            const res = await pussyNFT.connect(guardian).pause();
+            await expect(res).to.emit(pussyNFT, 'Paused').withArgs(guardian.address);
+
+            await expect(mint(minter, BigNumber.from(1))).to.be.revertedWith('Pausable: paused');
+        });
+
+        it('should allow minting after unpausing', async () => {
+            await pussyNFT.connect(guardian).pause();
+
+            const res = await pussyNFT.connect(guardian).unpause();
+            await expect(res).to.emit(pussyNFT, 'Unpaused').withArgs(guardian.address);
+
+            await mint(minter, BigNumber.from(1));
+
+            expect(await pussyNFT.balanceOf(minter.address)).to.equal(BigNumber.from(1));
+        });
+
+        it('should allow transferring tokens while paused', async () => {
+            await mint(minter, BigNumber.from(1));
+
+            await pussyNFT.connect(guardian).pause();
+
+            await pussyNFT.connect(minter).transferFrom(minter.address, nonOwner.address, 1);
+
+            expect(await pussyNFT.ownerOf(1)).to.equal(nonOwner.address);
+        });
+    });
+});
@@ -0,0 +1,503 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { BigNumber } = require('ethers');
+
+const { duration, latest } = require('./helpers/Time');
+const Contracts = require('./helpers/Contracts');
+
+const {
+    constants: { AddressZero: ZERO_ADDRESS }
+} = ethers;
+
+describe('PussyVault', () => {
+    const TOTAL_SUPPLY = BigNumber.from(1_000_000_000_000).mul(BigNumber.from(10).pow(18));
+    const PRICE_FACTOR = BigNumber.from(10).pow(BigNumber.from(18));
+    const PPM_RESOLUTION = BigNumber.from(1_000_000);
+    const MAX_HARVEST_BOUNTY = BigNumber.from(50_000);
+    const HARVEST_BOUNTY = BigNumber.from(10_000);
+
+    const REWARDS_DURATION = duration.days(10);
+    const REWARD_RATE = BigNumber.from(1000);
+    const DEPOSIT_AMOUNT = BigNumber.from(1_000_000);
+
+    let accounts;
+    let owner;
+    let nonOwner;
+    let depositor;
+    let depositor2;
+    let harvester;
+
+    let token;
+    let pussyFarm;
+    let pussyVault;
+
+    let programStartTime;
+
+    const deposit = async (account, amount) => {
+        await token.transfer(account.address, amount);
+        await token.connect(account).approve(pussyVault.address, amount);
+
+        return pussyVault.connect(account).deposit(amount);
+    };
+
+    before(async () => {
+        accounts = await ethers.getSigners();
+
+        owner = accounts[0];
+        nonOwner = accounts[1];
+        depositor = accounts[2];
+        depositor2 = accounts[3];
+        harvester = accounts[4];
+    });
+
+    beforeEach(async () => {
+        programStartTime = (await latest()).add(duration.days(1));
+
+        token = await Contracts.TestERC20Token.deploy('Pussy', 'PUSSY', TOTAL_SUPPLY);
+        pussyFarm = await Contracts.TestPussyFarm.deploy(
+            token.address,
+            token.address,
+            programStartTime,
+            programStartTime.add(REWARDS_DURATION),
+            REWARD_RATE
+        );
+
+        await token.transfer(pussyFarm.address, REWARDS_DURATION.mul(REWARD_RATE));
+
+        pussyVault = await Contracts.PussyVault.deploy(pussyFarm.address, 'Pussy Vault', 'vPUSSY', HARVEST_BOUNTY);
+    });
+
+    describe('construction', () => {
+        it('should revert when initialized with an invalid farm address', async () => {
+            await expect(
+                Contracts.PussyVault.deploy(ZERO_ADDRESS, 'Pussy Vault', 'vPUSSY', HARVEST_BOUNTY)
+            ).to.be.revertedWith('INVALID_ADDRESS');
+        });
+
+        it('should revert when initialized with a farm with different stake and reward tokens', async () => {
+            const rewardToken = await Contracts.TestERC20Token.deploy('Reward Token', 'RTKN', TOTAL_SUPPLY);
+            const farm = await Contracts.TestPussyFarm.deploy(
+                token.address,
+                rewardToken.address,
+                programStartTime,
+                programStartTime.add(REWARDS_DURATION),
+                REWARD_RATE
+            );
+
+            await expect(
+                Contracts.PussyVault.deploy(farm.address, 'Pussy Vault', 'vPUSSY', HARVEST_BOUNTY)
+            ).to.be.revertedWith('INVALID_FARM');
+        });
+
+        it('should revert when initialized with a farm which locks the stakes', async () => {
+            const farm = await Contracts.TestPussyHODLFarm.deploy(
+                token.address,
+                token.address,
+                programStartTime,
+                programStartTime.add(REWARDS_DURATION),
+                REWARD_RATE,
+                BigNumber.from(100_000),
+                owner.address
+            );
+
+            await expect(
+                Contracts.PussyVault.deploy(farm.address, 'Pussy Vault', 'vPUSSY', HARVEST_BOUNTY)
+            ).to.be.revertedWith('INVALID_FARM');
+        });
+
+        it('should revert when initialized with an invalid harvest bounty', async () => {
+            await expect(
+                Contracts.PussyVault.deploy(pussyFarm.address, 'Pussy Vault', 'vPUSSY', MAX_HARVEST_BOUNTY.add(1))
+            ).to.be.revertedWith('INVALID_VALUE');
+        });
+
+        it('should be properly initialized', async () => {
+            expect(await pussyVault.getFarm()).to.equal(pussyFarm.address);
+            expect(await pussyVault.getToken()).to.equal(token.address);
+            expect(await pussyVault.getHarvestBounty()).to.equal(HARVEST_BOUNTY);
+            expect(await pussyVault.getTotalAssets()).to.equal(BigNumber.from(0));
+            expect(await pussyVault.pricePerShare()).to.equal(PRICE_FACTOR);
+            expect(await pussyVault.name()).to.equal('Pussy Vault');
+            expect(await pussyVault.symbol()).to.equal('vPUSSY');
+            expect(await pussyVault.totalSupply()).to.equal(BigNumber.from(0));
+            expect(await pussyVault.isEmergencyExited()).to.be.false;
+        });
+    });
+
+    describe('depositing', () => {
+        it('should revert when depositing 0 tokens', async () => {
+            await expect(deposit(depositor, BigNumber.from(0))).to.be.revertedWith('INVALID_AMOUNT');
+        });
+
+        it('should issue shares and stake the deposit into the farm', async () => {
+            const res = await deposit(depositor, DEPOSIT_AMOUNT);
+            await expect(res)
+                .to.emit(pussyVault, 'Deposited')
+                .withArgs(depositor.address, DEPOSIT_AMOUNT, DEPOSIT_AMOUNT);
+
+            expect(await pussyVault.balanceOf(depositor.address)).to.equal(DEPOSIT_AMOUNT);
+            expect(await pussyVault.getTotalAssets()).to.equal(DEPOSIT_AMOUNT);
+            expect(await pussyVault.pricePerShare()).to.equal(PRICE_FACTOR);
+            expect(await pussyFarm.getStake(pussyVault.address)).to.equal(DEPOSIT_AMOUNT);
+            expect(await token.balanceOf(pussyVault.address)).to.equal(BigNumber.from(0));
+        });
+
+        it('should compound the pending rewards before issuing new shares', async () => {
+            await deposit(depositor, DEPOSIT_AMOUNT);
+
+            await pussyFarm.setTime(programStartTime.add(duration.days(1)));
+
+            const reward = duration.days(1).mul(REWARD_RATE);
+            const totalAssets = DEPOSIT_AMOUNT.add(reward);
+            const shares = DEPOSIT_AMOUNT.mul(DEPOSIT_AMOUNT).div(totalAssets);
+
+            const res = await deposit(depositor2, DEPOSIT_AMOUNT);
+            await expect(res).to.emit(pussyVault, 'Deposited').withArgs(depositor2.address, DEPOSIT_AMOUNT, shares);
+
+            expect(await pussyVault.balanceOf(depositor2.address)).to.equal(shares);
+            expect(await pussyVault.getTotalAssets()).to.equal(totalAssets.add(DEPOSIT_AMOUNT));
+            expect(await pussyFarm.getStake(pussyVault.address)).to.equal(totalAssets.add(DEPOSIT_AMOUNT));
+            expect(await pussyFarm.getPendingRewards(pussyVault.address)).to.equal(BigNumber.from(0));
+        });
+
+        it('should not be affected by tokens sent to the vault directly', async () => {
+            const attacker = accounts[5];
+            const donation = DEPOSIT_AMOUNT.mul(1000);
+
+            await deposit(attacker, BigNumber.from(1));
+
+            // Inflate the assets of the vault, both by sending and by staking tokens on its behalf
+            await token.transfer(pussyVault.address, donation);
+            await token.approve(pussyFarm.address, donation);
+            await pussyFarm.stakeFor(pussyVault.address, donation);
+
+            expect(await pussyVault.getTotalAssets()).to.equal(BigNumber.from(1));
+            expect(await pussyVault.pricePerShare()).to.equal(PRICE_FACTOR);
+
+            const res = await deposit(depositor, DEPOSIT_AMOUNT);
+            await expect(res)
+                .to.emit(pussyVault, 'Deposited')
+                .withArgs(depositor.address, DEPOSIT_AMOUNT, DEPOSIT_AMOUNT);
+
+            await pussyVault.connect(attacker).redeem(BigNumber.from(1));
+
+            expect(await token.balanceOf(attacker.address)).to.equal(BigNumber.from(1));
+
+            await pussyVault.connect(depositor).redeem(DEPOSIT_AMOUNT);
+
+            expect(await token.balanceOf(depositor.address)).to.equal(DEPOSIT_AMOUNT);
+        });
+    });
+
+    describe('harvesting', () => {
+        beforeEach(async () => {
+            await deposit(depositor, DEPOSIT_AMOUNT);
+        });
+
+        it('should revert when there are no rewards to harvest', async () => {
+            await expect(pussyVault.connect(harvester).harvest()).to.be.revertedWith('NO_REWARDS');
+        });
+
+        it('should re-stake the rewards and pay the bounty to the caller', async () => {
+            await pussyFarm.setTime(programStartTime.add(duration.days(1)));
+
+            const reward = duration.days(1).mul(REWARD_RATE);
+            const bounty = reward.mul(HARVEST_BOUNTY).div(PPM_RESOLUTION);
+            const totalAssets = DEPOSIT_AMOUNT.add(reward).sub(bounty);
+
+            const res = await pussyVault.connect(harvester).harvest();
+            await expect(res).to.emit(pussyVault, 'Harvested').withArgs(harvester.address, reward, bounty);
+
+            expect(await token.balanceOf(harvester.address)).to.equal(bounty);
+            expect(await pussyVault.getTotalAssets()).to.equal(totalAssets);
+            expect(await pussyFarm.getStake(pussyVault.address)).to.equal(totalAssets);
+            expect(await pussyVault.pricePerShare()).to.equal(totalAssets.mul(PRICE_FACTOR).div(DEPOSIT_AMOUNT));
+        });
+
+        it('should not pay a bounty when it is disabled', async () => {
+            await pussyVault.setHarvestBounty(BigNumber.from(0));
+
+            await pussyFarm.setTime(programStartTime.add(duration.days(1)));
+
+            const reward = duration.days(1).mul(REWARD_RATE);
+
+            const res = await pussyVault.connect(harvester).harvest();
+            await expect(res).to.emit(pussyVault, 'Harvested').withArgs(harvester.address, reward, BigNumber.from(0));
+
+            expect(await token.balanceOf(harvester.address)).to.equal(BigNumber.from(0));
+            expect(await pussyVault.getTotalAssets()).to.equal(DEPOSIT_AMOUNT.add(reward));
+        });
+    });
+
+    describe('redeeming', () => {
+        beforeEach(async () => {
+            await deposit(depositor, DEPOSIT_AMOUNT);
+            await deposit(depositor2, DEPOSIT_AMOUNT);
+        });
+
+        it('should revert when redeeming 0 shares', async () => {
+            await expect(pussyVault.connect(depositor).redeem(BigNumber.from(0))).to.be.revertedWith('INVALID_AMOUNT');
+        });
+
+        it('should revert when redeeming more shares than owned', async () => {
+            await expect(pussyVault.connect(depositor).redeem(DEPOSIT_AMOUNT.add(1))).to.be.revertedWith(
+                'INVALID_AMOUNT'
+            );
+        });
+
+        it('should redeem the shares for the underlying tokens', async () => {
+            const res = await pussyVault.connect(depositor).redeem(DEPOSIT_AMOUNT);
+            await expect(res)
+                .to.emit(pussyVault, 'Redeemed')
+                .withArgs(depositor.address, DEPOSIT_AMOUNT, DEPOSIT_AMOUNT);
+
+            expect(await token.balanceOf(depositor.address)).to.equal(DEPOSIT_AMOUNT);
+            expect(await pussyVault.balanceOf(depositor.address)).to.equal(BigNumber.from(0));
+            expect(await pussyFarm.getStake(pussyVault.address)).to.equal(DEPOSIT_AMOUNT);
+        });
+
+        it('should redeem the shares along with the compounded rewards', async () => {
+            await pussyFarm.setTime(programStartTime.add(duration.days(1)));
+
+            await pussyVault.connect(harvester).harvest();
+
+            const totalAssets = await pussyVault.getTotalAssets();
+            const amount = totalAssets.div(2);
+
+            const res = await pussyVault.connect(depositor).redeem(DEPOSIT_AMOUNT);
+            await expect(res).to.emit(pussyVault, 'Redeemed').withArgs(depositor.address, DEPOSIT_AMOUNT, amount);
+
+            expect(await token.balanceOf(depositor.address)).to.equal(amount);
+            expect(amount).to.be.gt(DEPOSIT_AMOUNT);
+            expect(await pussyVault.getTotalAssets()).to.equal(totalAssets.sub(amount));
+        });
+
+        it('should redeem the shares along with their part of the pending rewards', async () => {
+            await pussyFarm.setTime(programStartTime.add(duration.days(1)));
+
+            const reward = duration.days(1).mul(REWARD_RATE);
+            const amount = DEPOSIT_AMOUNT.add(reward.div(2));
+
+            const res = await pussyVault.connect(depositor).redeem(DEPOSIT_AMOUNT);
+            await expect(res).to.emit(pussyVault, 'Redeemed').withArgs(depositor.address, DEPOSIT_AMOUNT, amount);
+
+            expect(await token.balanceOf(depositor.address)).to.equal(amount);
+            expect(await pussyVault.getTotalAssets()).to.equal(DEPOSIT_AMOUNT.mul(2).add(reward).sub(amount));
+
+            await pussyVault.connect(depositor2).redeem(DEPOSIT_AMOUNT);
+
+            expect(await token.balanceOf(depositor2.address)).to.equal(amount);
+            expect(await pussyVault.totalSupply()).to.equal(BigNumber.from(0));
+            expect(await pussyVault.getTotalAssets()).to.equal(BigNumber.from(0));
+        });
+    });
+
+    describe('emergency exit', () => {
+        beforeEach(async () => {
+            await deposit(depositor, DEPOSIT_AMOUNT);
+            await deposit(depositor2, DEPOSIT_AMOUNT);
+
+            await pussyFarm.setTime(programStartTime.add(duration.days(1)));
+        });
+
+        it('should revert when a non-owner attempts to emergency exit', async () => {
+            await expect(pussyVault.connect(nonOwner).emergencyExit()).to.be.revertedWith(
+                'Ownable: caller is not the owner'
+            );
+        });
+
+        it('should withdraw the whole stake from the farm while forfeiting the pending rewards', async () => {
+            const totalStaked = DEPOSIT_AMOUNT.mul(2);
+
+            const res = await pussyVault.emergencyExit();
+            await expect(res).to.emit(pussyVault, 'EmergencyExited').withArgs(totalStaked);
+            await expect(res).to.emit(pussyFarm, 'EmergencyWithdrawn').withArgs(pussyVault.address, totalStaked);
+
+            expect(await pussyVault.isEmergencyExited()).to.be.true;
+            expect(await pussyFarm.getStake(pussyVault.address)).to.equal(BigNumber.from(0));
+            expect(await pussyFarm.getPendingRewards(pussyVault.address)).to.equal(BigNumber.from(0));
+            expect(await token.balanceOf(pussyVault.address)).to.equal(totalStaked);
+            expect(await pussyVault.getTotalAssets()).to.equal(totalStaked);
+        });
+
+        it('should revert when emergency exiting twice', async () => {
+            await pussyVault.emergencyExit();
+
+            await expect(pussyVault.emergencyExit()).to.be.revertedWith('EMERGENCY_EXITED');
+        });
+
+        context('exited', () => {
+            beforeEach(async () => {
+                await pussyVault.emergencyExit();
+            });
+
+            it('should revert when depositing', async () => {
+                await token.transfer(depositor.address, DEPOSIT_AMOUNT);
+                await token.connect(depositor).approve(pussyVault.address, DEPOSIT_AMOUNT);
+
+                await expect(pussyVault.connect(depositor).deposit(DEPOSIT_AMOUNT)).to.be.revertedWith(
+                    'EMERGENCY_EXITED'
+                );
+            });
+
+            it('should revert when harvesting', async () => {
+                await expect(pussyVault.connect(harvester).harvest()).to.be.revertedWith('EMERGENCY_EXITED');
+            });
+
+            it('should redeem the shares pro-rata without claiming from the farm', async () => {
+                const res = await pussyVault.connect(depositor).redeem(DEPOSIT_AMOUNT);
+                await expect(res)
+                    .to.emit(pussyVault, 'Redeemed')
+                    .withArgs(depositor.address, DEPOSIT_AMOUNT, DEPOSIT_AMOUNT);
+                await expect(res).not.to.emit(pussyFarm, 'Claimed');
+
+                expect(await token.balanceOf(depositor.address)).to.equal(DEPOSIT_AMOUNT);
+
+                await pussyVault.connect(depositor2).redeem(DEPOSIT_AMOUNT);
+
+                expect(await token.balanceOf(depositor2.address)).to.equal(DEPOSIT_AMOUNT);
+                expect(await pussyVault.totalSupply()).to.equal(BigNumber.from(0));
+                expect(await pussyVault.getTotalAssets()).to.equal(BigNumber.from(0));
+            });
+        });
+    });
+
+    describe('additional reward tokens', () => {
+        const PARTNER_REWARD_RATE = BigNumber.from(500);
+
+        let partnerToken;
+
+        beforeEach(async () => {
+            partnerToken = await Contracts.TestERC20Token.deploy('Partner Token', 'PTKN', TOTAL_SUPPLY);
+
+            await partnerToken.approve(pussyFarm.address, REWARDS_DURATION.mul(PARTNER_REWARD_RATE));
+            await pussyFarm.addRewardToken(
+                partnerToken.address,
+                programStartTime,
+                programStartTime.add(REWARDS_DURATION),
+                PARTNER_REWARD_RATE
+            );
+
+            await deposit(depositor, DEPOSIT_AMOUNT);
+
+            await pussyFarm.setTime(programStartTime.add(duration.days(1)));
+        });
+
+        it('should distribute the rewards to the shareholders at the time of the claim', async () => {
+            const reward = duration.days(1).mul(PARTNER_REWARD_RATE);
+
+            // The pending farm rewards aren't included before they are claimed
+            expect(await pussyVault.getPendingTokenRewards(depositor.address, partnerToken.address)).to.equal(
+                BigNumber.from(0)
+            );
+
+            await deposit(depositor2, DEPOSIT_AMOUNT);
+
+            expect(await pussyVault.getPendingTokenRewards(depositor.address, partnerToken.address)).to.equal(reward);
+            expect(await pussyVault.getPendingTokenRewards(depositor2.address, partnerToken.address)).to.equal(
+                BigNumber.from(0)
+            );
+
+            const res = await pussyVault.connect(depositor).claimRewards();
+            await expect(res)
+                .to.emit(pussyVault, 'RewardTokenClaimed')
+                .withArgs(depositor.address, partnerToken.address, reward);
+
+            expect(await partnerToken.balanceOf(depositor.address)).to.equal(reward);
+            expect(await pussyVault.getPendingTokenRewards(depositor.address, partnerToken.address)).to.equal(
+                BigNumber.from(0)
+            );
+        });
+
+        it('should keep the rewards of transferred and redeemed shares', async () => {
+            const reward = duration.days(1).mul(PARTNER_REWARD_RATE);
+
+            await pussyVault.connect(depositor).redeem(DEPOSIT_AMOUNT.div(2));
+            await pussyVault.connect(depositor).transfer(depositor2.address, DEPOSIT_AMOUNT.div(2));
+
+            expect(await pussyVault.getPendingTokenRewards(depositor.address, partnerToken.address)).to.equal(reward);
+            expect(await pussyVault.getPendingTokenRewards(depositor2.address, partnerToken.address)).to.equal(
+                BigNumber.from(0)
+            );
+
+            await pussyVault.connect(depositor).claimRewards();
+
+            expect(await partnerToken.balanceOf(depositor.address)).to.equal(reward);
+        });
+
+        it('should not allow the owner to withdraw the rewards of the shareholders', async () => {
+            await pussyVault.connect(harvester).harvest();
+
+            await expect(pussyVault.withdrawTokens(partnerToken.address, BigNumber.from(1))).to.be.revertedWith(
+                'INVALID_AMOUNT'
+            );
+
+            const surplus = BigNumber.from(1000);
+            await partnerToken.transfer(pussyVault.address, surplus);
+
+            await expect(pussyVault.withdrawTokens(partnerToken.address, surplus.add(1))).to.be.revertedWith(
+                'INVALID_AMOUNT'
+            );
+
+            const prevBalance = await partnerToken.balanceOf(owner.address);
+
+            await pussyVault.withdrawTokens(partnerToken.address, surplus);
+
+            expect(await partnerToken.balanceOf(owner.address)).to.equal(prevBalance.add(surplus));
+
+            await pussyVault.connect(depositor).claimRewards();
+
+            expect(await partnerToken.balanceOf(depositor.address)).to.equal(duration.days(1).mul(PARTNER_REWARD_RATE));
+        });
+    });
+
+    describe('harvest bounty', () => {
+        it('should revert when a non-owner attempts to set the harvest bounty', async () => {
+            await expect(pussyVault.connect(nonOwner).setHarvestBounty(BigNumber.from(1))).to.be.revertedWith(
+                'Ownable: caller is not the owner'
+            );
+        });
+
+        it('should revert when setting an invalid harvest bounty', async () => {
+            await expect(pussyVault.setHarvestBounty(MAX_HARVEST_BOUNTY.add(1))).to.be.revertedWith('INVALID_VALUE');
+        });
+
+        it('should set the harvest bounty', async () => {
+            const res = await pussyVault.setHarvestBounty(MAX_HARVEST_BOUNTY);
+            await expect(res).to.emit(pussyVault, 'HarvestBountyUpdated').withArgs(HARVEST_BOUNTY, MAX_HARVEST_BOUNTY);
+
+            expect(await pussyVault.getHarvestBounty()).to.equal(MAX_HARVEST_BOUNTY);
+        });
+    });
+
+    describe('withdraw tokens', () => {
+        it('should revert when a non-owner attempts to withdraw tokens', async () => {
+            await expect(
+                pussyVault.connect(nonOwner).withdrawTokens(token.address, BigNumber.from(1))
+            ).to.be.revertedWith('Ownable: caller is not the owner');
+        });
+
+        it('should revert when attempting to withdraw the underlying token', async () => {
+            await deposit(depositor, DEPOSIT_AMOUNT);
+            await token.transfer(pussyVault.address, BigNumber.from(1000));
+
+            await expect(pussyVault.withdrawTokens(token.address, BigNumber.from(1))).to.be.revertedWith(
+                'INVALID_TOKEN'
+            );
+        });
+
+        it('should allow withdrawing other tokens', async () => {
+            const otherToken = await Contracts.TestERC20Token.deploy('Other Token', 'OTKN', TOTAL_SUPPLY);
+            const amount = BigNumber.from(1000);
+
+            await otherToken.transfer(pussyVault.address, amount);
+
+            const prevBalance = await otherToken.balanceOf(owner.address);
+
+            await pussyVault.withdrawTokens(otherToken.address, amount);
+
+            expect(await otherToken.balanceOf(owner.address)).to.equal(prevBalance.add(amount));
+            expect(await otherToken.balanceOf(pussyVault.address)).to.equal(BigNumber.from(0));
+        });
+    });
+});
@@ -4,13 +4,16 @@ const { BigNumber } = require('ethers');
 
 const { duration, latest } = require('./helpers/Time');
 const Contracts = require('./helpers/Contracts');
+const MerkleTree = require('../utils/MerkleTree');
+const { getLeaf } = require('../utils/Vesting');
 
 const {
-    constants: { AddressZero: ZERO_ADDRESS }
+    constants: { AddressZero: ZERO_ADDRESS, HashZero: ZERO_HASH }
 } = ethers;
 
 describe('PussyVesting', () => {
-    const TOTAL_SUPPLY = BigNumber.from(1000000);
+    const TOTAL_SUPPLY = BigNumber.from(10000000);
+    const PPM_RESOLUTION = 1_000_000;
 
     let accounts;
     let owner;
@@ -37,24 +40,31 @@ describe('PussyVesting', () => {
         it('should be properly initialized', async () => {
             const vesting = await Contracts.TestPussyVesting.deploy(token.address);
 
+            expect(await vesting.getToken()).to.equal(token.address);
             expect(await vesting.getTotalVesting()).to.equal(BigNumber.from(0));
+            expect(await vesting.getUnallocated()).to.equal(BigNumber.from(0));
             expect(await vesting.time()).to.equal(await latest());
         });
     });
 
     describe('programs', () => {
-        const getProgram = async (grantee) => {
-            const data = await vesting.getProgram(grantee.address);
+        const getProgram = async (programId) => {
+            const data = await vesting.getProgram(programId);
 
             return {
-                amount: data[0],
-                start: data[1],
-                cliff: data[2],
-                end: data[3],
-                claimed: data[4]
+                beneficiary: data[0],
+                amount: data[1],
+                start: data[2],
+                cliff: data[3],
+                end: data[4],
+                claimed: data[5],
+                revocable: data[6]
             };
         };
 
+        const getProgramIds = async (beneficiary) =>
+            (await vesting.getProgramIds(beneficiary)).map((programId) => programId.toNumber());
+
         let vesting;
 
         let grantee;
@@ -65,6 +75,8 @@ describe('PussyVesting', () => {
             grantee2 = accounts[2];
 
             vesting = await Contracts.TestPussyVesting.deploy(token.address);
+
+            await token.connect(owner).approve(vesting.address, TOTAL_SUPPLY);
         });
 
         describe('create a program', () => {
@@ -74,7 +86,7 @@ describe('PussyVesting', () => {
                 await expect(
                     vesting
                         .connect(nonOwner)
-                        .addProgram(grantee.address, BigNumber.from(100), now, now, now.add(duration.years(1)))
+                        .addProgram(grantee.address, BigNumber.from(100), now, now, now.add(duration.years(1)), true)
                 ).to.be.revertedWith('Ownable: caller is not the owner');
             });
 
@@ -82,7 +94,7 @@ describe('PussyVesting', () => {
                 await expect(
                     vesting
                         .connect(owner)
-                        .addProgram(ZERO_ADDRESS, BigNumber.from(100), now, now, now.add(duration.years(1)))
+                        .addProgram(ZERO_ADDRESS, BigNumber.from(100), now, now, now.add(duration.years(1)), true)
                 ).to.be.revertedWith('INVALID_ADDRESS');
             });
 
@@ -90,7 +102,7 @@ describe('PussyVesting', () => {
                 await expect(
                     vesting
                         .connect(owner)
-                        .addProgram(grantee.address, BigNumber.from(0), now, now, now.add(duration.years(1)))
+                        .addProgram(grantee.address, BigNumber.from(0), now, now, now.add(duration.years(1)), true)
                 ).to.be.revertedWith('INVALID_AMOUNT');
             });
 
@@ -103,7 +115,8 @@ describe('PussyVesting', () => {
                             BigNumber.from(100),
                             now,
                             now.sub(duration.days(1)),
-                            now.add(duration.years(1))
+                            now.add(duration.years(1)),
+                            true
                         )
                 ).to.be.revertedWith('INVALID_TIME');
             });
@@ -117,23 +130,39 @@ describe('PussyVesting', () => {
                             BigNumber.from(100),
                             now,
                             now.add(duration.years(1)),
-                            now.add(duration.days(1))
+                            now.add(duration.days(1)),
+                            true
                         )
                 ).to.be.revertedWith('INVALID_TIME');
             });
 
-            it('should revert when granting tokens more than once', async () => {
+            it('should allow granting tokens more than once', async () => {
                 const amount = BigNumber.from(100);
+                const amount2 = BigNumber.from(200);
 
                 await vesting
                     .connect(owner)
-                    .addProgram(grantee.address, amount, now, now.add(duration.days(1)), now.add(duration.years(1)));
+                    .addProgram(
+                        grantee.address,
+                        amount,
+                        now,
+                        now.add(duration.days(1)),
+                        now.add(duration.years(1)),
+                        true
+                    );
+
+                const res = await vesting
+                    .connect(owner)
+                    .addProgram(grantee.address, amount2, now, now, now.add(duration.years(2)), true);
+                await expect(res).to.emit(vesting, 'ProgramCreated').withArgs(2, grantee.address, amount2);
 
-                await expect(
-                    vesting
-                        .connect(owner)
-                        .addProgram(grantee.address, amount, now, now.add(duration.days(1)), now.add(duration.years(1)))
-                ).to.be.revertedWith('ALREADY_EXISTS');
+                expect(await getProgramIds(grantee.address)).to.deep.equal([1, 2]);
+                expect(await vesting.getTotalVesting()).to.equal(amount.add(amount2));
+
+                const program = await getProgram(2);
+                expect(program.beneficiary).to.equal(grantee.address);
+                expect(program.amount).to.equal(amount2);
+                expect(program.end).to.equal(now.add(duration.years(2)));
             });
 
             it('should allow creating new programs', async () => {
@@ -145,12 +174,13 @@ describe('PussyVesting', () => {
                 const cliff = now.add(duration.weeks(14));
                 const end = now.add(duration.years(5));
 
-                const res = await vesting.connect(owner).addProgram(grantee.address, amount, start, cliff, end);
-                await expect(res).to.emit(vesting, 'ProgramCreated').withArgs(grantee.address, amount);
+                const res = await vesting.connect(owner).addProgram(grantee.address, amount, start, cliff, end, true);
+                await expect(res).to.emit(vesting, 'ProgramCreated').withArgs(1, grantee.address, amount);
 
                 expect(await vesting.getTotalVesting()).to.equal(totalVesting.add(amount));
 
-                const program1 = await getProgram(grantee);
+                const program1 = await getProgram(1);
+                expect(program1.beneficiary).to.equal(grantee.address);
                 expect(program1.amount).to.equal(amount);
                 expect(program1.start).to.equal(start);
                 expect(program1.cliff).to.equal(cliff);
@@ -162,74 +192,266 @@ describe('PussyVesting', () => {
                 const cliff2 = now;
                 const end2 = now.add(duration.days(8));
 
-                const res2 = await vesting.connect(owner).addProgram(grantee2.address, amount2, start2, cliff2, end2);
-                await expect(res2).to.emit(vesting, 'ProgramCreated').withArgs(grantee2.address, amount2);
+                const res2 = await vesting
+                    .connect(owner)
+                    .addProgram(grantee2.address, amount2, start2, cliff2, end2, true);
+                await expect(res2).to.emit(vesting, 'ProgramCreated').withArgs(2, grantee2.address, amount2);
 
                 expect(await vesting.getTotalVesting()).to.equal(totalVesting.add(amount).add(amount2));
 
-                const program2 = await getProgram(grantee2);
+                const program2 = await getProgram(2);
+                expect(program2.beneficiary).to.equal(grantee2.address);
                 expect(program2.amount).to.equal(amount2);
                 expect(program2.start).to.equal(start2);
                 expect(program2.cliff).to.equal(cliff2);
                 expect(program2.end).to.equal(end2);
                 expect(program2.claimed).to.equal(BigNumber.from(0));
+
+                expect(await getProgramIds(grantee.address)).to.deep.equal([1]);
+                expect(await getProgramIds(grantee2.address)).to.deep.equal([2]);
+
+                expect(await token.balanceOf(vesting.address)).to.equal(amount.add(amount2));
+                expect(await vesting.getUnallocated()).to.equal(BigNumber.from(0));
+            });
+
+            it('should transfer the whole grant from the caller when there are no unallocated tokens', async () => {
+                const amount = BigNumber.from(1000);
+                const prevBalance = await token.balanceOf(owner.address);
+
+                await vesting
+                    .connect(owner)
+                    .addProgram(grantee.address, amount, now, now, now.add(duration.years(1)), true);
+
+                expect(await token.balanceOf(owner.address)).to.equal(prevBalance.sub(amount));
+                expect(await token.balanceOf(vesting.address)).to.equal(amount);
+            });
+
+            it('should only transfer the part of the grant which is not covered by the unallocated tokens', async () => {
+                const amount = BigNumber.from(1000);
+                const unallocated = BigNumber.from(400);
+
+                await token.connect(owner).transfer(vesting.address, unallocated);
+
+                expect(await vesting.getUnallocated()).to.equal(unallocated);
+
+                const prevBalance = await token.balanceOf(owner.address);
+
+                await vesting
+                    .connect(owner)
+                    .addProgram(grantee.address, amount, now, now, now.add(duration.years(1)), true);
+
+                expect(await token.balanceOf(owner.address)).to.equal(prevBalance.sub(amount.sub(unallocated)));
+                expect(await token.balanceOf(vesting.address)).to.equal(amount);
+                expect(await vesting.getUnallocated()).to.equal(BigNumber.from(0));
+            });
+
+            it('should not transfer any tokens when the grant is covered by the unallocated tokens', async () => {
+                const amount = BigNumber.from(1000);
+
+                await token.connect(owner).transfer(vesting.address, amount.mul(3));
+
+                const prevBalance = await token.balanceOf(owner.address);
+
+                await vesting
+                    .connect(owner)
+                    .addProgram(grantee.address, amount, now, now, now.add(duration.years(1)), true);
+
+                expect(await token.balanceOf(owner.address)).to.equal(prevBalance);
+                expect(await vesting.getUnallocated()).to.equal(amount.mul(2));
+            });
+
+            it('should revert when the grant is not covered by the caller', async () => {
+                await token.connect(owner).approve(vesting.address, BigNumber.from(0));
+
+                await expect(
+                    vesting
+                        .connect(owner)
+                        .addProgram(grantee.address, BigNumber.from(100), now, now, now.add(duration.years(1)), true)
+                ).to.be.revertedWith('ERC20: insufficient allowance');
+            });
+        });
+
+        describe('create programs in a batch', () => {
+            let now;
+            let grants;
+
+            beforeEach(async () => {
+                now = await latest();
+
+                grants = [
+                    {
+                        beneficiary: grantee.address,
+                        amount: BigNumber.from(100),
+                        start: now,
+                        cliff: now,
+                        end: now.add(duration.years(1))
+                    },
+                    {
+                        beneficiary: grantee2.address,
+                        amount: BigNumber.from(200),
+                        start: now,
+                        cliff: now.add(duration.days(30)),
+                        end: now.add(duration.years(2))
+                    },
+                    {
+                        beneficiary: grantee.address,
+                        amount: BigNumber.from(300),
+                        start: now.add(duration.days(1)),
+                        cliff: now.add(duration.days(1)),
+                        end: now.add(duration.years(3))
+                    }
+                ];
+            });
+
+            it('should revert when a non-owner attempts to create programs', async () => {
+                await expect(vesting.connect(nonOwner).addPrograms(grants, true)).to.be.revertedWith(
+                    'Ownable: caller is not the owner'
+                );
+            });
+
+            it('should revert when creating an empty batch', async () => {
+                await expect(vesting.connect(owner).addPrograms([], true)).to.be.revertedWith('INVALID_VALUE');
+            });
+
+            it('should revert when any of the programs is invalid', async () => {
+                grants[1].beneficiary = ZERO_ADDRESS;
+                await expect(vesting.connect(owner).addPrograms(grants, true)).to.be.revertedWith('INVALID_ADDRESS');
+
+                grants[1].beneficiary = grantee2.address;
+                grants[2].cliff = grants[2].end.add(BigNumber.from(1));
+                await expect(vesting.connect(owner).addPrograms(grants, true)).to.be.revertedWith('INVALID_TIME');
+            });
+
+            it('should create all the programs', async () => {
+                const res = await vesting.connect(owner).addPrograms(grants, false);
+
+                for (const [index, grant] of grants.entries()) {
+                    const programId = index + 1;
+
+                    await expect(res)
+                        .to.emit(vesting, 'ProgramCreated')
+                        .withArgs(programId, grant.beneficiary, grant.amount);
+
+                    const program = await getProgram(programId);
+                    expect(program.beneficiary).to.equal(grant.beneficiary);
+                    expect(program.amount).to.equal(grant.amount);
+                    expect(program.start).to.equal(grant.start);
+                    expect(program.cliff).to.equal(grant.cliff);
+                    expect(program.end).to.equal(grant.end);
+                    expect(program.revocable).to.be.false;
+                }
+
+                expect(await getProgramIds(grantee.address)).to.deep.equal([1, 3]);
+                expect(await vesting.getTotalVesting()).to.equal(BigNumber.from(600));
+                expect(await token.balanceOf(vesting.address)).to.equal(BigNumber.from(600));
             });
         });
 
         describe('cancel a program', async () => {
             const now = BigNumber.from(10000000);
+            const amount = BigNumber.from(12343);
+            const start = now;
+            const cliff = now.add(duration.weeks(14));
+            const end = now.add(duration.years(5));
 
             beforeEach(async () => {
-                const amount = BigNumber.from(12343);
-                const start = now;
-                const cliff = now.add(duration.weeks(14));
-                const end = now.add(duration.years(5));
+                await vesting.setTime(now);
 
-                await vesting.connect(owner).addProgram(grantee.address, amount, start, cliff, end);
+                await vesting.connect(owner).addProgram(grantee.address, amount, start, cliff, end, true);
             });
 
             it('should revert when a non-owner attempts to cancel a program', async () => {
-                await expect(vesting.connect(nonOwner).cancelProgram(grantee.address)).to.be.revertedWith(
+                await expect(vesting.connect(nonOwner).cancelProgram(1)).to.be.revertedWith(
                     'Ownable: caller is not the owner'
                 );
             });
 
             it('should revert when attempting to cancel a non-existing program', async () => {
-                await expect(vesting.connect(owner).cancelProgram(grantee2.address)).to.be.revertedWith(
-                    'INVALID_ADDRESS'
-                );
+                await expect(vesting.connect(owner).cancelProgram(2)).to.be.revertedWith('INVALID_PROGRAM');
             });
 
             it('should revert when attempting to cancel a program twice', async () => {
-                await vesting.connect(owner).cancelProgram(grantee.address);
-                await expect(vesting.connect(owner).cancelProgram(grantee.address)).to.be.revertedWith(
-                    'INVALID_ADDRESS'
-                );
+                await vesting.connect(owner).cancelProgram(1);
+                await expect(vesting.connect(owner).cancelProgram(1)).to.be.revertedWith('INVALID_PROGRAM');
             });
 
             it('should allow cancelling a program', async () => {
-                const res = await vesting.connect(owner).cancelProgram(grantee.address);
-                await expect(res).to.emit(vesting, 'ProgramCanceled').withArgs(grantee.address);
+                const res = await vesting.connect(owner).cancelProgram(1);
+                await expect(res)
+                    .to.emit(vesting, 'ProgramCanceled')
+                    .withArgs(1, grantee.address, BigNumber.from(0), amount);
 
-                const program = await getProgram(grantee);
+                const program = await getProgram(1);
+                expect(program.beneficiary).to.equal(ZERO_ADDRESS);
                 expect(program.amount).to.equal(BigNumber.from(0));
                 expect(program.start).to.equal(BigNumber.from(0));
                 expect(program.cliff).to.equal(BigNumber.from(0));
                 expect(program.end).to.equal(BigNumber.from(0));
                 expect(program.claimed).to.equal(BigNumber.from(0));
+
+                expect(await vesting.getProgramIds(grantee.address)).to.be.empty;
+                expect(await vesting.getTotalVesting()).to.equal(BigNumber.from(0));
+                expect(await vesting.getUnallocated()).to.equal(amount);
+            });
+
+            it('should pay the vested tokens when cancelling a program', async () => {
+                await vesting.setTime(now.add(duration.years(1)));
+
+                const claimed = amount.mul(duration.years(1)).div(end.sub(start));
+                await vesting.connect(grantee).claim(1);
+
+                await vesting.setTime(now.add(duration.years(2)));
+
+                const vested = amount.mul(duration.years(2)).div(end.sub(start)).sub(claimed);
+                const unvested = amount.sub(claimed).sub(vested);
+
+                const res = await vesting.connect(owner).cancelProgram(1);
+                await expect(res).to.emit(vesting, 'ProgramCanceled').withArgs(1, grantee.address, vested, unvested);
+
+                expect(await token.balanceOf(grantee.address)).to.equal(claimed.add(vested));
+                expect(await token.balanceOf(vesting.address)).to.equal(unvested);
+                expect(await vesting.getTotalVesting()).to.equal(BigNumber.from(0));
+                expect(await vesting.getUnallocated()).to.equal(unvested);
+            });
+
+            it('should revert when attempting to cancel an irrevocable program', async () => {
+                await vesting.connect(owner).addProgram(grantee.address, amount, start, cliff, end, false);
+
+                expect((await getProgram(1)).revocable).to.be.true;
+                expect((await getProgram(2)).revocable).to.be.false;
+
+                await expect(vesting.connect(owner).cancelProgram(2)).to.be.revertedWith('NOT_REVOCABLE');
+            });
+
+            it('should only cancel the given program of the beneficiary', async () => {
+                await vesting
+                    .connect(owner)
+                    .addProgram(grantee.address, BigNumber.from(100), now, now, now.add(1), true);
+                await vesting
+                    .connect(owner)
+                    .addProgram(grantee.address, BigNumber.from(200), now, now, now.add(1), true);
+
+                await vesting.connect(owner).cancelProgram(1);
+
+                expect(await getProgramIds(grantee.address)).to.deep.equal([3, 2]);
+                expect(await vesting.getTotalVesting()).to.equal(BigNumber.from(300));
+                expect((await getProgram(2)).amount).to.equal(BigNumber.from(100));
+                expect((await getProgram(3)).amount).to.equal(BigNumber.from(200));
             });
 
             it('should allow restarting a program', async () => {
-                await vesting.connect(owner).cancelProgram(grantee.address);
+                await vesting.connect(owner).cancelProgram(1);
 
                 const amount2 = BigNumber.from(999999);
                 const start2 = now;
                 const cliff2 = now;
                 const end2 = now.add(duration.days(8));
 
-                await vesting.connect(owner).addProgram(grantee.address, amount2, start2, cliff2, end2);
+                await vesting.connect(owner).addProgram(grantee.address, amount2, start2, cliff2, end2, true);
+
+                expect(await getProgramIds(grantee.address)).to.deep.equal([2]);
 
-                const program2 = await getProgram(grantee);
+                const program2 = await getProgram(2);
                 expect(program2.amount).to.equal(amount2);
                 expect(program2.start).to.equal(start2);
                 expect(program2.cliff).to.equal(cliff2);
@@ -240,11 +462,60 @@ describe('PussyVesting', () => {
 
         describe('claiming a program', () => {
             it('should revert when claiming a non-existing program', async () => {
-                await expect(vesting.connect(grantee).claim()).to.be.revertedWith('INVALID_ADDRESS');
+                await expect(vesting.connect(grantee).claim(1)).to.be.revertedWith('INVALID_PROGRAM');
+            });
+
+            it('should revert when claiming all the programs without any programs', async () => {
+                await expect(vesting.connect(grantee).claimAll()).to.be.revertedWith('INVALID_ADDRESS');
             });
 
             it('should return no claimable tokens for a non-existing program', async () => {
-                expect(await vesting.getClaimable(grantee.address)).to.equal(BigNumber.from(0));
+                expect(await vesting.getClaimable(1)).to.equal(BigNumber.from(0));
+            });
+
+            it('should revert when claiming a program of another beneficiary', async () => {
+                const now = await latest();
+
+                await vesting.connect(owner).addProgram(grantee.address, BigNumber.from(100), now, now, now, true);
+
+                await expect(vesting.connect(grantee2).claim(1)).to.be.revertedWith('ACCESS_DENIED');
+            });
+
+            it('should claim all the programs of the beneficiary', async () => {
+                const now = await latest();
+                const amount = BigNumber.from(1000);
+                const amount2 = BigNumber.from(3000);
+
+                await token.connect(owner).transfer(vesting.address, amount.add(amount2));
+
+                await vesting
+                    .connect(owner)
+                    .addProgram(grantee.address, amount, now, now, now.add(duration.days(10)), true);
+                await vesting
+                    .connect(owner)
+                    .addProgram(grantee2.address, amount, now, now, now.add(duration.days(10)), true);
+                await vesting
+                    .connect(owner)
+                    .addProgram(grantee.address, amount2, now, now, now.add(duration.days(20)), true);
+
+                await vesting.setTime(now.add(duration.days(5)));
+
+                const claimable = amount.div(2);
+                const claimable2 = amount2.div(4);
+
+                expect(await vesting.getClaimable(1)).to.equal(claimable);
+                expect(await vesting.getClaimable(3)).to.equal(claimable2);
+
+                const res = await vesting.connect(grantee).claimAll();
+                await expect(res).to.emit(vesting, 'Claimed').withArgs(1, grantee.address, claimable);
+                await expect(res).to.emit(vesting, 'Claimed').withArgs(3, grantee.address, claimable2);
+
+                expect(await token.balanceOf(grantee.address)).to.equal(claimable.add(claimable2));
+                expect(await token.balanceOf(grantee2.address)).to.equal(BigNumber.from(0));
+                expect(await vesting.getClaimable(2)).to.equal(claimable);
+                expect(await vesting.getTotalVesting()).to.equal(
+                    amount.mul(2).add(amount2).sub(claimable).sub(claimable2)
+                );
             });
 
             [
@@ -367,7 +638,9 @@ describe('PussyVesting', () => {
                             await vesting.setTime(now);
                         }
 
-                        await vesting.connect(owner).addProgram(grantee.address, amount, startTime, cliffTime, endTime);
+                        await vesting
+                            .connect(owner)
+                            .addProgram(grantee.address, amount, startTime, cliffTime, endTime, true);
                     });
 
                     it('should claim according to the schedule', async () => {
@@ -375,7 +648,7 @@ describe('PussyVesting', () => {
                             const totalVesting = await vesting.getTotalVesting();
                             const vestingBalance = await token.balanceOf(vesting.address);
                             const granteeBalance = await token.balanceOf(grantee.address);
-                            const { amount, start, cliff, end, claimed } = await getProgram(grantee);
+                            const { amount, start, cliff, end, claimed } = await getProgram(1);
 
                             now = now.add(step);
                             await vesting.setTime(now);
@@ -389,17 +662,17 @@ describe('PussyVesting', () => {
                                 claimable = amount.mul(now.sub(start)).div(end.sub(start)).sub(claimed);
                             }
 
-                            expect(await vesting.getClaimable(grantee.address)).to.equal(claimable);
-                            const res = await vesting.connect(grantee).claim();
+                            expect(await vesting.getClaimable(1)).to.equal(claimable);
+                            const res = await vesting.connect(grantee).claim(1);
 
                             if (claimable.gt(BigNumber.from(0))) {
-                                await expect(res).to.emit(vesting, 'Claimed').withArgs(grantee.address, claimable);
+                                await expect(res).to.emit(vesting, 'Claimed').withArgs(1, grantee.address, claimable);
                             }
 
                             const totalVesting2 = await vesting.getTotalVesting();
                             const vestingBalance2 = await token.balanceOf(vesting.address);
                             const granteeBalance2 = await token.balanceOf(grantee.address);
-                            const { claimed: claimed2 } = await getProgram(grantee);
+                            const { claimed: claimed2 } = await getProgram(1);
 
                             expect(totalVesting2).to.equal(totalVesting.sub(claimable));
                             expect(vestingBalance2).to.equal(vestingBalance.sub(claimable));
@@ -410,6 +683,732 @@ describe('PussyVesting', () => {
                 });
             });
         });
+
+        describe('schedules', () => {
+            const ScheduleType = {
+                Linear: 0,
+                Periodic: 1,
+                CliffPercentage: 2,
+                Milestones: 3
+            };
+
+            let now;
+
+            beforeEach(async () => {
+                now = await latest();
+            });
+
+            it('should revert when adding a periodic program with an invalid period', async () => {
+                await expect(
+                    vesting
+                        .connect(owner)
+                        .addScheduledProgram(
+                            grantee.address,
+                            BigNumber.from(100),
+                            now,
+                            now,
+                            now.add(duration.years(1)),
+                            true,
+                            ScheduleType.Periodic,
+                            0
+                        )
+                ).to.be.revertedWith('INVALID_VALUE');
+            });
+
+            it('should revert when adding a cliff-percentage program with an invalid percentage', async () => {
+                await expect(
+                    vesting
+                        .connect(owner)
+                        .addScheduledProgram(
+                            grantee.address,
+                            BigNumber.from(100),
+                            now,
+                            now,
+                            now.add(duration.years(1)),
+                            true,
+                            ScheduleType.CliffPercentage,
+                            PPM_RESOLUTION + 1
+                        )
+                ).to.be.revertedWith('INVALID_VALUE');
+            });
+
+            it('should revert when adding a milestone program via the scheduled program creation', async () => {
+                await expect(
+                    vesting
+                        .connect(owner)
+                        .addScheduledProgram(
+                            grantee.address,
+                            BigNumber.from(100),
+                            now,
+                            now,
+                            now.add(duration.years(1)),
+                            true,
+                            ScheduleType.Milestones,
+                            0
+                        )
+                ).to.be.revertedWith('INVALID_VALUE');
+            });
+
+            it('should default to a linear schedule', async () => {
+                await vesting
+                    .connect(owner)
+                    .addProgram(grantee.address, BigNumber.from(100), now, now, now.add(duration.years(1)), true);
+
+                const [scheduleType, scheduleParam, milestones] = await vesting.getSchedule(1);
+                expect(scheduleType).to.equal(ScheduleType.Linear);
+                expect(scheduleParam).to.equal(BigNumber.from(0));
+                expect(milestones).to.be.empty;
+            });
+
+            it('should vest periodic programs at the end of every period', async () => {
+                const amount = BigNumber.from(1200);
+                const period = duration.days(30);
+
+                await vesting
+                    .connect(owner)
+                    .addScheduledProgram(
+                        grantee.address,
+                        amount,
+                        now,
+                        now,
+                        now.add(period.mul(12)),
+                        true,
+                        ScheduleType.Periodic,
+                        period
+                    );
+
+                const [scheduleType, scheduleParam] = await vesting.getSchedule(1);
+                expect(scheduleType).to.equal(ScheduleType.Periodic);
+                expect(scheduleParam).to.equal(period);
+
+                await vesting.setTime(now.add(period).sub(duration.seconds(1)));
+                expect(await vesting.getClaimable(1)).to.equal(BigNumber.from(0));
+
+                await vesting.setTime(now.add(period));
+                expect(await vesting.getClaimable(1)).to.equal(BigNumber.from(100));
+
+                await vesting.setTime(now.add(period.mul(3)).add(duration.days(29)));
+                expect(await vesting.getClaimable(1)).to.equal(BigNumber.from(300));
+
+                await vesting.connect(grantee).claim(1);
+                expect(await token.balanceOf(grantee.address)).to.equal(BigNumber.from(300));
+
+                await vesting.setTime(now.add(period.mul(12)));
+                expect(await vesting.getClaimable(1)).to.equal(amount.sub(BigNumber.from(300)));
+            });
+
+            it('should release the cliff percentage and vest the rest linearly', async () => {
+                const amount = BigNumber.from(1000);
+                const cliff = now.add(duration.days(100));
+                const end = cliff.add(duration.days(100));
+
+                await vesting
+                    .connect(owner)
+                    .addScheduledProgram(
+                        grantee.address,
+                        amount,
+                        now,
+                        cliff,
+                        end,
+                        true,
+                        ScheduleType.CliffPercentage,
+                        PPM_RESOLUTION / 4
+                    );
+
+                await vesting.setTime(cliff.sub(duration.seconds(1)));
+                expect(await vesting.getClaimable(1)).to.equal(BigNumber.from(0));
+
+                await vesting.setTime(cliff);
+                expect(await vesting.getClaimable(1)).to.equal(BigNumber.from(250));
+
+                await vesting.setTime(cliff.add(duration.days(50)));
+                expect(await vesting.getClaimable(1)).to.equal(BigNumber.from(625));
+
+                await vesting.setTime(end);
+                expect(await vesting.getClaimable(1)).to.equal(amount);
+            });
+
+            describe('milestones', () => {
+                let milestones;
+
+                beforeEach(async () => {
+                    milestones = [
+                        { time: now.add(duration.days(10)), amount: BigNumber.from(100) },
+                        { time: now.add(duration.days(20)), amount: BigNumber.from(500) },
+                        { time: now.add(duration.days(50)), amount: BigNumber.from(400) }
+                    ];
+                });
+
+                it('should revert when adding a program without milestones', async () => {
+                    await expect(
+                        vesting.connect(owner).addMilestoneProgram(grantee.address, [], true)
+                    ).to.be.revertedWith('INVALID_VALUE');
+                });
+
+                it('should revert when adding a milestone with a zero amount', async () => {
+                    milestones[1].amount = BigNumber.from(0);
+
+                    await expect(
+                        vesting.connect(owner).addMilestoneProgram(grantee.address, milestones, true)
+                    ).to.be.revertedWith('INVALID_AMOUNT');
+                });
+
+                it('should revert when adding milestones which are not strictly increasing', async () => {
+                    milestones[2].time = milestones[1].time;
+
+                    await expect(
+                        vesting.connect(owner).addMilestoneProgram(grantee.address, milestones, true)
+                    ).to.be.revertedWith('INVALID_TIME');
+                });
+
+                it('should add a milestone program', async () => {
+                    const res = await vesting.connect(owner).addMilestoneProgram(grantee.address, milestones, true);
+                    await expect(res).to.emit(vesting, 'ProgramCreated').withArgs(1, grantee.address, 1000);
+
+                    const program = await getProgram(1);
+                    expect(program.amount).to.equal(BigNumber.from(1000));
+                    expect(program.start).to.equal(milestones[0].time);
+                    expect(program.cliff).to.equal(milestones[0].time);
+                    expect(program.end).to.equal(milestones[2].time);
+
+                    const [scheduleType, , programMilestones] = await vesting.getSchedule(1);
+                    expect(scheduleType).to.equal(ScheduleType.Milestones);
+                    expect(programMilestones.length).to.equal(milestones.length);
+                    for (let i = 0; i < milestones.length; i++) {
+                        expect(programMilestones[i].time).to.equal(milestones[i].time);
+                        expect(programMilestones[i].amount).to.equal(milestones[i].amount);
+                    }
+
+                    expect(await vesting.getTotalVesting()).to.equal(BigNumber.from(1000));
+                });
+
+                it('should vest the amounts of the reached milestones', async () => {
+                    await vesting.connect(owner).addMilestoneProgram(grantee.address, milestones, true);
+
+                    await vesting.setTime(milestones[0].time.sub(duration.seconds(1)));
+                    expect(await vesting.getClaimable(1)).to.equal(BigNumber.from(0));
+
+                    await vesting.setTime(milestones[0].time);
+                    expect(await vesting.getClaimable(1)).to.equal(BigNumber.from(100));
+
+                    await vesting.setTime(milestones[2].time.sub(duration.seconds(1)));
+                    expect(await vesting.getClaimable(1)).to.equal(BigNumber.from(600));
+
+                    await vesting.connect(grantee).claim(1);
+
+                    await vesting.setTime(milestones[2].time);
+                    expect(await vesting.getClaimable(1)).to.equal(BigNumber.from(400));
+                });
+
+                it('should delete the milestones when canceling the program', async () => {
+                    await vesting.connect(owner).addMilestoneProgram(grantee.address, milestones, true);
+
+                    await vesting.setTime(milestones[1].time);
+
+                    const res = await vesting.connect(owner).cancelProgram(1);
+                    await expect(res).to.emit(vesting, 'ProgramCanceled').withArgs(1, grantee.address, 600, 400);
+
+                    const [, , programMilestones] = await vesting.getSchedule(1);
+                    expect(programMilestones).to.be.empty;
+                });
+            });
+        });
+
+        describe('transferring a program', () => {
+            const amount = BigNumber.from(1000);
+
+            let now;
+            let newGrantee;
+
+            beforeEach(async () => {
+                newGrantee = accounts[3];
+
+                now = await latest();
+
+                await vesting
+                    .connect(owner)
+                    .addProgram(grantee.address, amount, now, now, now.add(duration.days(10)), true);
+            });
+
+            it('should be transferable by default', async () => {
+                expect(await vesting.isTransferable(1)).to.be.true;
+                expect(await vesting.getPendingBeneficiary(1)).to.equal(ZERO_ADDRESS);
+            });
+
+            it('should revert when a non-beneficiary attempts to propose a transfer', async () => {
+                await expect(vesting.connect(grantee2).proposeTransfer(1, newGrantee.address)).to.be.revertedWith(
+                    'ACCESS_DENIED'
+                );
+            });
+
+            it('should revert when proposing a transfer of a non-existing program', async () => {
+                await expect(vesting.connect(grantee).proposeTransfer(2, newGrantee.address)).to.be.revertedWith(
+                    'INVALID_PROGRAM'
+                );
+            });
+
+            it('should revert when proposing a transfer to an invalid address', async () => {
+                await expect(vesting.connect(grantee).proposeTransfer(1, ZERO_ADDRESS)).to.be.revertedWith(
+                    'INVALID_ADDRESS'
+                );
+                await expect(vesting.connect(grantee).proposeTransfer(1, grantee.address)).to.be.revertedWith(
+                    'INVALID_ADDRESS'
+                );
+            });
+
+            it('should revert when a non-owner attempts to update the transferability', async () => {
+                await expect(vesting.connect(grantee).setTransferable(1, false)).to.be.revertedWith(
+                    'Ownable: caller is not the owner'
+                );
+            });
+
+            it('should revert when proposing a transfer of a non-transferable program', async () => {
+                const res = await vesting.connect(owner).setTransferable(1, false);
+                await expect(res).to.emit(vesting, 'TransferabilityUpdated').withArgs(1, false);
+
+                expect(await vesting.isTransferable(1)).to.be.false;
+
+                await expect(vesting.connect(grantee).proposeTransfer(1, newGrantee.address)).to.be.revertedWith(
+                    'NOT_TRANSFERABLE'
+                );
+            });
+
+            context('with a pending transfer', () => {
+                beforeEach(async () => {
+                    const res = await vesting.connect(grantee).proposeTransfer(1, newGrantee.address);
+                    await expect(res)
+                        .to.emit(vesting, 'TransferProposed')
+                        .withArgs(1, grantee.address, newGrantee.address);
+
+                    expect(await vesting.getPendingBeneficiary(1)).to.equal(newGrantee.address);
+                });
+
+                it('should revert when a non-proposed address attempts to accept the transfer', async () => {
+                    await expect(vesting.connect(grantee2).acceptTransfer(1)).to.be.revertedWith('ACCESS_DENIED');
+                });
+
+                it('should revert when accepting a transfer which was overridden', async () => {
+                    await vesting.connect(grantee).proposeTransfer(1, grantee2.address);
+
+                    await expect(vesting.connect(newGrantee).acceptTransfer(1)).to.be.revertedWith('ACCESS_DENIED');
+                });
+
+                it('should revert when accepting a transfer after the program became non-transferable', async () => {
+                    await vesting.connect(owner).setTransferable(1, false);
+
+                    expect(await vesting.getPendingBeneficiary(1)).to.equal(ZERO_ADDRESS);
+
+                    await expect(vesting.connect(newGrantee).acceptTransfer(1)).to.be.revertedWith('ACCESS_DENIED');
+                });
+
+                it('should move the whole program to the new beneficiary', async () => {
+                    await vesting.setTime(now.add(duration.days(5)));
+
+                    await vesting.connect(grantee).claim(1);
+
+                    const claimed = amount.div(2);
+                    expect(await token.balanceOf(grantee.address)).to.equal(claimed);
+
+                    const res = await vesting.connect(newGrantee).acceptTransfer(1);
+                    await expect(res)
+                        .to.emit(vesting, 'ProgramTransferred')
+                        .withArgs(1, grantee.address, newGrantee.address);
+
+                    const program = await getProgram(1);
+                    expect(program.beneficiary).to.equal(newGrantee.address);
+                    expect(program.amount).to.equal(amount);
+                    expect(program.claimed).to.equal(claimed);
+
+                    expect(await vesting.getPendingBeneficiary(1)).to.equal(ZERO_ADDRESS);
+                    expect(await vesting.getProgramIds(grantee.address)).to.be.empty;
+                    expect(await getProgramIds(newGrantee.address)).to.deep.equal([1]);
+
+                    await expect(vesting.connect(grantee).claim(1)).to.be.revertedWith('ACCESS_DENIED');
+
+                    await vesting.setTime(now.add(duration.days(10)));
+
+                    await vesting.connect(newGrantee).claimAll();
+                    expect(await token.balanceOf(newGrantee.address)).to.equal(amount.sub(claimed));
+                });
+            });
+        });
+
+        describe('claim recipients', () => {
+            const amount = BigNumber.from(1000);
+
+            let now;
+            let recipient;
+
+            beforeEach(async () => {
+                recipient = accounts[3];
+
+                now = await latest();
+
+                await vesting
+                    .connect(owner)
+                    .addProgram(grantee.address, amount, now, now, now.add(duration.days(10)), true);
+            });
+
+            it('should default to the beneficiary', async () => {
+                expect(await vesting.getClaimRecipient(grantee.address)).to.equal(grantee.address);
+            });
+
+            it('should send the claimed tokens to the claim recipient', async () => {
+                const res = await vesting.connect(grantee).setClaimRecipient(recipient.address);
+                await expect(res)
+                    .to.emit(vesting, 'ClaimRecipientUpdated')
+                    .withArgs(grantee.address, recipient.address);
+
+                expect(await vesting.getClaimRecipient(grantee.address)).to.equal(recipient.address);
+
+                await vesting.setTime(now.add(duration.days(5)));
+
+                const claimable = amount.div(2);
+
+                const res2 = await vesting.connect(grantee).claim(1);
+                await expect(res2).to.emit(vesting, 'Claimed').withArgs(1, grantee.address, claimable);
+
+                expect(await token.balanceOf(recipient.address)).to.equal(claimable);
+                expect(await token.balanceOf(grantee.address)).to.equal(BigNumber.from(0));
+            });
+
+            it('should send the vested tokens of a canceled program to the claim recipient', async () => {
+                await vesting.connect(grantee).setClaimRecipient(recipient.address);
+
+                await vesting.setTime(now.add(duration.days(2)));
+
+                await vesting.connect(owner).cancelProgram(1);
+
+                expect(await token.balanceOf(recipient.address)).to.equal(amount.div(5));
+            });
+
+            it('should reset the claim recipient', async () => {
+                await vesting.connect(grantee).setClaimRecipient(recipient.address);
+
+                const res = await vesting.connect(grantee).setClaimRecipient(ZERO_ADDRESS);
+                await expect(res).to.emit(vesting, 'ClaimRecipientUpdated').withArgs(grantee.address, grantee.address);
+
+                await vesting.setTime(now.add(duration.days(10)));
+                await vesting.connect(grantee).claim(1);
+
+                expect(await token.balanceOf(grantee.address)).to.equal(amount);
+            });
+        });
+
+        describe('voting power', () => {
+            const amount = BigNumber.from(1000);
+            const amount2 = BigNumber.from(3000);
+
+            let now;
+            let delegatee;
+
+            beforeEach(async () => {
+                delegatee = accounts[3];
+
+                now = await latest();
+
+                await vesting
+                    .connect(owner)
+                    .addProgram(grantee.address, amount, now, now, now.add(duration.days(10)), true);
+            });
+
+            it('should not count undelegated voting power', async () => {
+                expect(await vesting.getUnvested(grantee.address)).to.equal(amount);
+                expect(await vesting.delegates(grantee.address)).to.equal(ZERO_ADDRESS);
+                expect(await vesting.getVotes(grantee.address)).to.equal(BigNumber.from(0));
+            });
+
+            it('should revert when querying the voting power of a future block', async () => {
+                const blockNumber = await ethers.provider.getBlockNumber();
+
+                await expect(vesting.getPastVotes(grantee.address, blockNumber + 1)).to.be.revertedWith(
+                    'BLOCK_NOT_MINED'
+                );
+            });
+
+            it('should track the voting power of the unvested amount', async () => {
+                const res = await vesting.connect(grantee).delegate(grantee.address);
+                await expect(res)
+                    .to.emit(vesting, 'DelegateChanged')
+                    .withArgs(grantee.address, ZERO_ADDRESS, grantee.address);
+                await expect(res).to.emit(vesting, 'DelegateVotesChanged').withArgs(grantee.address, 0, amount);
+
+                const delegationBlock = await ethers.provider.getBlockNumber();
+                expect(await vesting.getVotes(grantee.address)).to.equal(amount);
+
+                await vesting
+                    .connect(owner)
+                    .addProgram(grantee.address, amount2, now, now, now.add(duration.days(10)), true);
+
+                const creationBlock = await ethers.provider.getBlockNumber();
+                expect(await vesting.getVotes(grantee.address)).to.equal(amount.add(amount2));
+
+                await vesting.setTime(now.add(duration.days(5)));
+                await vesting.connect(grantee).claimAll();
+
+                const vested = amount.add(amount2).div(2);
+                expect(await vesting.getUnvested(grantee.address)).to.equal(amount.add(amount2).sub(vested));
+                expect(await vesting.getVotes(grantee.address)).to.equal(amount.add(amount2).sub(vested));
+
+                await vesting.connect(owner).cancelProgram(2);
+
+                expect(await vesting.getUnvested(grantee.address)).to.equal(amount.div(2));
+                expect(await vesting.getVotes(grantee.address)).to.equal(amount.div(2));
+
+                expect(await vesting.getPastVotes(grantee.address, delegationBlock - 1)).to.equal(BigNumber.from(0));
+                expect(await vesting.getPastVotes(grantee.address, delegationBlock)).to.equal(amount);
+                expect(await vesting.getPastVotes(grantee.address, creationBlock)).to.equal(amount.add(amount2));
+            });
+
+            it('should not count the voting power of vested but unclaimed tokens', async () => {
+                await vesting.connect(grantee).delegate(delegatee.address);
+
+                await vesting.setTime(now.add(duration.days(4)));
+
+                const res = await vesting.connect(grantee2).updateVotingPower(grantee.address);
+                const updateBlock = await ethers.provider.getBlockNumber();
+
+                const unvested = amount.sub(amount.mul(4).div(10));
+                await expect(res)
+                    .to.emit(vesting, 'DelegateVotesChanged')
+                    .withArgs(delegatee.address, amount, unvested);
+
+                expect(await vesting.getClaimable(1)).to.equal(amount.sub(unvested));
+                expect(await vesting.getUnvested(grantee.address)).to.equal(unvested);
+                expect(await vesting.getVotes(delegatee.address)).to.equal(unvested);
+                expect(await vesting.getPastVotes(delegatee.address, updateBlock - 1)).to.equal(amount);
+
+                // Claiming the vested tokens doesn't affect the voting power anymore
+                await vesting.connect(grantee).claim(1);
+
+                expect(await vesting.getVotes(delegatee.address)).to.equal(unvested);
+
+                // Changing the delegate only moves the voting power of the unvested tokens
+                await vesting.setTime(now.add(duration.days(10)));
+                await vesting.connect(grantee).delegate(grantee.address);
+
+                expect(await vesting.getUnvested(grantee.address)).to.equal(BigNumber.from(0));
+                expect(await vesting.getVotes(delegatee.address)).to.equal(BigNumber.from(0));
+                expect(await vesting.getVotes(grantee.address)).to.equal(BigNumber.from(0));
+            });
+
+            it('should move the voting power when changing the delegate', async () => {
+                await vesting.connect(grantee).delegate(grantee.address);
+
+                const res = await vesting.connect(grantee).delegate(delegatee.address);
+                await expect(res)
+                    .to.emit(vesting, 'DelegateChanged')
+                    .withArgs(grantee.address, grantee.address, delegatee.address);
+                await expect(res).to.emit(vesting, 'DelegateVotesChanged').withArgs(grantee.address, amount, 0);
+                await expect(res).to.emit(vesting, 'DelegateVotesChanged').withArgs(delegatee.address, 0, amount);
+
+                expect(await vesting.delegates(grantee.address)).to.equal(delegatee.address);
+                expect(await vesting.getVotes(grantee.address)).to.equal(BigNumber.from(0));
+                expect(await vesting.getVotes(delegatee.address)).to.equal(amount);
+
+                await vesting.connect(grantee).delegate(ZERO_ADDRESS);
+
+                expect(await vesting.getVotes(delegatee.address)).to.equal(BigNumber.from(0));
+            });
+
+            it('should move the voting power when transferring a program', async () => {
+                await vesting.connect(grantee).delegate(delegatee.address);
+                await vesting.connect(grantee2).delegate(grantee2.address);
+
+                await vesting.connect(grantee).proposeTransfer(1, grantee2.address);
+                await vesting.connect(grantee2).acceptTransfer(1);
+
+                expect(await vesting.getUnvested(grantee.address)).to.equal(BigNumber.from(0));
+                expect(await vesting.getUnvested(grantee2.address)).to.equal(amount);
+                expect(await vesting.getVotes(delegatee.address)).to.equal(BigNumber.from(0));
+                expect(await vesting.getVotes(grantee2.address)).to.equal(amount);
+            });
+        });
+
+        describe('merkle distributions', () => {
+            let now;
+            let grants;
+            let tree;
+            let root;
+            let total;
+
+            const claimWithProof = (account, grant, proof = tree.getProof(getLeaf(grant))) =>
+                vesting.connect(account).claimWithProof(root, grant.amount, grant.start, grant.cliff, grant.end, proof);
+
+            beforeEach(async () => {
+                now = await latest();
+
+                grants = [grantee, grantee2, accounts[3], accounts[4], accounts[5]].map((account, index) => ({
+                    beneficiary: account.address,
+                    amount: BigNumber.from(1000).mul(index + 1),
+                    start: now,
+                    cliff: now,
+                    end: now.add(duration.days(10).mul(index + 1))
+                }));
+
+                tree = new MerkleTree(grants.map((grant) => getLeaf(grant)));
+                root = tree.getRoot();
+                total = grants.reduce((res, { amount }) => res.add(amount), BigNumber.from(0));
+            });
+
+            it('should revert when a non-owner attempts to add a root', async () => {
+                await expect(vesting.connect(nonOwner).addMerkleRoot(root, total, true)).to.be.revertedWith(
+                    'Ownable: caller is not the owner'
+                );
+            });
+
+            it('should revert when adding an invalid root', async () => {
+                await expect(vesting.connect(owner).addMerkleRoot(ZERO_HASH, total, true)).to.be.revertedWith(
+                    'INVALID_ROOT'
+                );
+            });
+
+            it('should revert when adding a root with an invalid amount', async () => {
+                await expect(vesting.connect(owner).addMerkleRoot(root, 0, true)).to.be.revertedWith('INVALID_AMOUNT');
+            });
+
+            it('should add and fund a root', async () => {
+                const res = await vesting.connect(owner).addMerkleRoot(root, total, false);
+                await expect(res).to.emit(vesting, 'MerkleRootAdded').withArgs(root, total, false);
+
+                const [remaining, revocable] = await vesting.getMerkleDistribution(root);
+                expect(remaining).to.equal(total);
+                expect(revocable).to.be.false;
+
+                expect(await vesting.getTotalVesting()).to.equal(total);
+                expect(await token.balanceOf(vesting.address)).to.equal(total);
+
+                await expect(vesting.connect(owner).addMerkleRoot(root, total, false)).to.be.revertedWith(
+                    'ALREADY_EXISTS'
+                );
+            });
+
+            it('should revert when claiming with a proof of a non-existing root', async () => {
+                await expect(claimWithProof(grantee, grants[0])).to.be.revertedWith('INVALID_ROOT');
+            });
+
+            context('with a root', () => {
+                beforeEach(async () => {
+                    await vesting.connect(owner).addMerkleRoot(root, total, true);
+                });
+
+                it('should revert when claiming with an invalid proof', async () => {
+                    await expect(
+                        claimWithProof(grantee, grants[0], tree.getProof(getLeaf(grants[1])))
+                    ).to.be.revertedWith('INVALID_PROOF');
+                });
+
+                it('should revert when claiming a program of another beneficiary', async () => {
+                    await expect(claimWithProof(grantee2, grants[0])).to.be.revertedWith('INVALID_PROOF');
+                });
+
+                it('should revert when claiming a modified program', async () => {
+                    const proof = tree.getProof(getLeaf(grants[0]));
+
+                    await expect(
+                        claimWithProof(grantee, { ...grants[0], amount: grants[0].amount.mul(2) }, proof)
+                    ).to.be.revertedWith('INVALID_PROOF');
+                });
+
+                it('should activate and claim a program', async () => {
+                    const grant = grants[1];
+
+                    expect(
+                        await vesting.isActivated(
+                            root,
+                            grant.beneficiary,
+                            grant.amount,
+                            grant.start,
+                            grant.cliff,
+                            grant.end
+                        )
+                    ).to.be.false;
+
+                    await vesting.setTime(now.add(duration.days(5)));
+
+                    const claimable = grant.amount.div(4);
+
+                    const res = await claimWithProof(grantee2, grant);
+                    await expect(res).to.emit(vesting, 'ProgramCreated').withArgs(1, grant.beneficiary, grant.amount);
+                    await expect(res).to.emit(vesting, 'ProgramActivated').withArgs(root, 1, grant.beneficiary);
+                    await expect(res).to.emit(vesting, 'Claimed').withArgs(1, grant.beneficiary, claimable);
+
+                    expect(
+                        await vesting.isActivated(
+                            root,
+                            grant.beneficiary,
+                            grant.amount,
+                            grant.start,
+                            grant.cliff,
+                            grant.end
+                        )
+                    ).to.be.true;
+
+                    const program = await getProgram(1);
+                    expect(program.beneficiary).to.equal(grant.beneficiary);
+                    expect(program.amount).to.equal(grant.amount);
+                    expect(program.end).to.equal(grant.end);
+                    expect(program.claimed).to.equal(claimable);
+                    expect(program.revocable).to.be.true;
+
+                    expect(await token.balanceOf(grantee2.address)).to.equal(claimable);
+                    expect((await vesting.getMerkleDistribution(root))[0]).to.equal(total.sub(grant.amount));
+                    expect(await vesting.getTotalVesting()).to.equal(total.sub(claimable));
+
+                    await expect(claimWithProof(grantee2, grant)).to.be.revertedWith('ALREADY_ACTIVATED');
+
+                    await vesting.setTime(grant.end);
+                    await vesting.connect(grantee2).claim(1);
+
+                    expect(await token.balanceOf(grantee2.address)).to.equal(grant.amount);
+                });
+
+                it('should activate all the programs', async () => {
+                    for (const [index, grant] of grants.entries()) {
+                        await claimWithProof(
+                            accounts.find(({ address }) => address === grant.beneficiary),
+                            grant
+                        );
+
+                        expect((await getProgram(index + 1)).beneficiary).to.equal(grant.beneficiary);
+                    }
+
+                    expect((await vesting.getMerkleDistribution(root))[0]).to.equal(BigNumber.from(0));
+                    expect(await vesting.getTotalVesting()).to.equal(total);
+                });
+
+                it('should revert when a non-owner attempts to remove a root', async () => {
+                    await expect(vesting.connect(nonOwner).removeMerkleRoot(root)).to.be.revertedWith(
+                        'Ownable: caller is not the owner'
+                    );
+                });
+
+                it('should remove a revocable root', async () => {
+                    await claimWithProof(grantee, grants[0]);
+
+                    const remaining = total.sub(grants[0].amount);
+
+                    const res = await vesting.connect(owner).removeMerkleRoot(root);
+                    await expect(res).to.emit(vesting, 'MerkleRootRemoved').withArgs(root, remaining);
+
+                    expect(await vesting.getTotalVesting()).to.equal(grants[0].amount);
+                    expect(await vesting.getUnallocated()).to.equal(remaining);
+
+                    await expect(claimWithProof(grantee2, grants[1])).to.be.revertedWith('INVALID_ROOT');
+                    await expect(vesting.connect(owner).removeMerkleRoot(root)).to.be.revertedWith('INVALID_ROOT');
+                });
+
+                it('should revert when removing an irrevocable root', async () => {
+                    const irrevocableTree = new MerkleTree([getLeaf(grants[0])]);
+
+                    await vesting.connect(owner).addMerkleRoot(irrevocableTree.getRoot(), grants[0].amount, false);
+
+                    await expect(vesting.connect(owner).removeMerkleRoot(irrevocableTree.getRoot())).to.be.revertedWith(
+                        'NOT_REVOCABLE'
+                    );
+                });
+            });
+        });
     });
 
     describe('emergency withdraw', () => {
@@ -441,6 +1440,34 @@ describe('PussyVesting', () => {
             ).to.be.revertedWith('INVALID_ADDRESS');
         });
 
+        it('should revert when attempting to withdraw vesting tokens which are allocated to programs', async () => {
+            const now = await latest();
+            const amount = BigNumber.from(1000);
+
+            await vesting
+                .connect(owner)
+                .addProgram(nonOwner.address, amount, now, now, now.add(duration.years(1)), true);
+
+            const unallocated = TOTAL_SUPPLY.sub(amount);
+            expect(await vesting.getUnallocated()).to.equal(unallocated);
+
+            await expect(
+                vesting.connect(owner).withdraw(token.address, owner.address, unallocated.add(1))
+            ).to.be.revertedWith('INVALID_AMOUNT');
+
+            await vesting.connect(owner).withdraw(token.address, owner.address, unallocated);
+
+            expect(await token.balanceOf(vesting.address)).to.equal(amount);
+            expect(await vesting.getUnallocated()).to.equal(BigNumber.from(0));
+
+            // Cancelling the program releases its allocation
+            await vesting.connect(owner).cancelProgram(1);
+
+            expect(await vesting.getUnallocated()).to.equal(amount);
+
+            await vesting.connect(owner).withdraw(token.address, owner.address, amount);
+        });
+
         it('should allow the owner to withdraw tokens', async () => {
             const receiver = accounts[5];
 
@@ -16,6 +16,16 @@ const deployOrAttach = (contractName) => {
     };
 };
 
-const CONTRACTS = ['TestERC20Token', 'TestPussyFarm', 'TestPussyHODLFarm', 'TestPussyVesting'];
+const CONTRACTS = [
+    'PussyVault',
+    'TestERC20PermitToken',
+    'TestERC20Token',
+    'TestERC721Token',
+    'TestPussyFarm',
+    'TestPussyFarmManager',
+    'TestPussyHODLFarm',
+    'TestPussyNFT',
+    'TestPussyVesting'
+];
 
 module.exports = Object.fromEntries(CONTRACTS.map((contract) => [contract, deployOrAttach(contract)]));
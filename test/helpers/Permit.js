@@ -0,0 +1,34 @@
+const { ethers } = require('hardhat');
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+const signPermit = async (token, owner, spender, value, deadline) => {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+        name: await token.name(),
+        version: '1',
+        chainId,
+        verifyingContract: token.address
+    };
+    const message = {
+        owner: owner.address,
+        spender,
+        value,
+        nonce: await token.nonces(owner.address),
+        deadline
+    };
+
+    return ethers.utils.splitSignature(await owner._signTypedData(domain, PERMIT_TYPES, message));
+};
+
+module.exports = {
+    signPermit
+};
@@ -0,0 +1,57 @@
+const { ethers } = require('ethers');
+
+const { readRows } = require('./Files');
+
+const {
+    utils: { isAddress, getAddress, keccak256, defaultAbiCoder },
+    constants: { AddressZero: ZERO_ADDRESS }
+} = ethers;
+
+// Parses the (address, cap) entries of a CSV or a JSON allowlist file, where the cap is the number of PFPs the address
+// is allowed to mint during the presale
+const parseAllowlist = (file, content) => {
+    const entries = [];
+    const errors = [];
+    const accounts = new Map();
+
+    for (const { row, columns } of readRows(file, content, ['address', 'cap'])) {
+        if (columns.length !== 2) {
+            errors.push(`row ${row}: expected 2 columns, but got ${columns.length}`);
+
+            continue;
+        }
+
+        const [address, capValue] = columns;
+
+        if (!isAddress(address) || address === ZERO_ADDRESS) {
+            errors.push(`row ${row}: INVALID_ADDRESS (${address})`);
+
+            continue;
+        }
+
+        const account = getAddress(address);
+        if (accounts.has(account)) {
+            errors.push(`row ${row}: duplicate address ${account} (first seen in row ${accounts.get(account)})`);
+
+            continue;
+        }
+
+        accounts.set(account, row);
+
+        if (!/^\d+$/.test(capValue) || Number(capValue) === 0) {
+            errors.push(`row ${row}: INVALID_CAP (${capValue})`);
+
+            continue;
+        }
+
+        entries.push({ account, cap: Number(capValue) });
+    }
+
+    return { entries, errors };
+};
+
+// Returns the Merkle tree leaf of an allowlist entry, which matches PussyNFT's leaf encoding
+const getLeaf = ({ account, cap }) =>
+    keccak256(keccak256(defaultAbiCoder.encode(['address', 'uint256'], [account, cap])));
+
+module.exports = { parseAllowlist, getLeaf };
@@ -0,0 +1,21 @@
+const path = require('path');
+
+// Returns the rows of a CSV file (with an optional header) or of a JSON array of objects with the specified fields
+const readRows = (file, content, fields) => {
+    if (path.extname(file).toLowerCase() === '.json') {
+        return JSON.parse(content).map((item, index) => ({
+            row: index + 1,
+            columns: fields.map((field) => (item[field] === undefined ? '' : String(item[field])))
+        }));
+    }
+
+    return content
+        .split(/\r?\n/)
+        .map((line, index) => ({ row: index + 1, columns: line.split(',').map((column) => column.trim()) }))
+        .filter(({ row, columns }) => {
+            // Skip empty lines and the header (which doesn't start with an address)
+            return !(columns.every((column) => column === '') || (row === 1 && !columns[0].startsWith('0x')));
+        });
+};
+
+module.exports = { readRows };
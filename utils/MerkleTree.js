@@ -0,0 +1,61 @@
+const { ethers } = require('ethers');
+
+const {
+    utils: { keccak256, concat, hexlify }
+} = ethers;
+
+// Hashes a pair of nodes in the sorted order, which is compatible with OpenZeppelin's MerkleProof (please note that all
+// the nodes are normalized to lowercase hex strings of the same length)
+const hashPair = (a, b) => keccak256(concat(a <= b ? [a, b] : [b, a]));
+
+class MerkleTree {
+    constructor(leaves) {
+        if (leaves.length === 0) {
+            throw new Error('Empty leaves');
+        }
+
+        const hexLeaves = leaves.map((leaf) => hexlify(leaf));
+        if (new Set(hexLeaves).size !== hexLeaves.length) {
+            throw new Error('Duplicate leaves');
+        }
+
+        this.layers = [hexLeaves];
+
+        // Nodes without a sibling are promoted to the next layer as is
+        while (this.layers[this.layers.length - 1].length > 1) {
+            const layer = this.layers[this.layers.length - 1];
+            const nextLayer = [];
+
+            for (let i = 0; i < layer.length; i += 2) {
+                nextLayer.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+            }
+
+            this.layers.push(nextLayer);
+        }
+    }
+
+    getRoot() {
+        return this.layers[this.layers.length - 1][0];
+    }
+
+    getProof(leaf) {
+        let index = this.layers[0].indexOf(hexlify(leaf));
+        if (index === -1) {
+            throw new Error(`Unknown leaf ${leaf}`);
+        }
+
+        const proof = [];
+        for (const layer of this.layers.slice(0, -1)) {
+            const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+            if (siblingIndex < layer.length) {
+                proof.push(layer[siblingIndex]);
+            }
+
+            index = Math.floor(index / 2);
+        }
+
+        return proof;
+    }
+}
+
+module.exports = MerkleTree;
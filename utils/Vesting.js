@@ -0,0 +1,92 @@
+const { ethers } = require('ethers');
+
+const { readRows } = require('./Files');
+
+const {
+    utils: { isAddress, getAddress, parseUnits, keccak256, defaultAbiCoder },
+    constants: { AddressZero: ZERO_ADDRESS }
+} = ethers;
+
+const parseTime = (value) => {
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+
+    const time = Date.parse(value);
+
+    return Number.isNaN(time) ? undefined : Math.floor(time / 1000);
+};
+
+// Parses the grants of a CSV or a JSON file and validates them using the same rules as PussyVesting.addProgram. Amounts
+// are specified in whole tokens and times either as UNIX timestamps or as ISO dates
+const parseGrants = (file, content, decimals) => {
+    const grants = [];
+    const errors = [];
+    const beneficiaries = new Map();
+
+    for (const { row, columns } of readRows(file, content, ['address', 'amount', 'start', 'cliff', 'end'])) {
+        if (columns.length !== 5) {
+            errors.push(`row ${row}: expected 5 columns, but got ${columns.length}`);
+
+            continue;
+        }
+
+        const [address, amountValue, startValue, cliffValue, endValue] = columns;
+
+        if (!isAddress(address) || address === ZERO_ADDRESS) {
+            errors.push(`row ${row}: INVALID_ADDRESS (${address})`);
+
+            continue;
+        }
+
+        const beneficiary = getAddress(address);
+        if (beneficiaries.has(beneficiary)) {
+            errors.push(
+                `row ${row}: duplicate beneficiary ${beneficiary} (first seen in row ${beneficiaries.get(beneficiary)})`
+            );
+
+            continue;
+        }
+
+        beneficiaries.set(beneficiary, row);
+
+        let amount;
+        try {
+            amount = parseUnits(amountValue, decimals);
+        } catch (e) {
+            errors.push(`row ${row}: INVALID_AMOUNT (${amountValue})`);
+
+            continue;
+        }
+
+        if (amount.isZero()) {
+            errors.push(`row ${row}: INVALID_AMOUNT (${amountValue})`);
+
+            continue;
+        }
+
+        const [start, cliff, end] = [startValue, cliffValue, endValue].map(parseTime);
+        if (start === undefined || cliff === undefined || end === undefined || start > cliff || cliff > end) {
+            errors.push(`row ${row}: INVALID_TIME (${startValue}, ${cliffValue}, ${endValue})`);
+
+            continue;
+        }
+
+        grants.push({ beneficiary, amount, start, cliff, end });
+    }
+
+    return { grants, errors };
+};
+
+// Returns the Merkle tree leaf of a grant, which matches PussyVesting's leaf encoding
+const getLeaf = ({ beneficiary, amount, start, cliff, end }) =>
+    keccak256(
+        keccak256(
+            defaultAbiCoder.encode(
+                ['address', 'uint256', 'uint256', 'uint256', 'uint256'],
+                [beneficiary, amount, start, cliff, end]
+            )
+        )
+    );
+
+module.exports = { parseGrants, getLeaf };